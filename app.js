@@ -1,15 +1,33 @@
+// Quiz settings
+const QUIZ_STATS_KEY = 'eigenExplorer.quizStats';
+const QUIZ_ANGLE_TOLERANCE = 8; // Degrees between a guessed line and the true eigen-direction
+const QUIZ_PROMPTS = {
+    eigen: 'Drag two arrows onto the eigen-directions of A and type its eigenvalues.',
+    diagonalizable: 'Is this matrix diagonalizable over the real numbers?',
+    preset: 'The matrix is hidden. Which preset produces this transformation?'
+};
+
 // Main Application
 class EigenvectorApp {
     constructor() {
         this.canvas = document.getElementById('canvas');
         this.ctx = this.canvas.getContext('2d');
 
+        // Camera: pixels per unit and the math point shown at the canvas centre
+        this.scale = 60;
+        this.minScale = 10;
+        this.maxScale = 300;
+        this.viewCenter = { x: 0, y: 0 };
+        this.cameraAnimationId = null;
+        this.isPanning = false;
+        this.panStart = null;
+
         // Set canvas to window size
         this.resizeCanvas();
-        window.addEventListener('resize', () => this.resizeCanvas());
-
-        this.scale = 60;
-        this.origin = { x: this.width / 2, y: this.height / 2 };
+        window.addEventListener('resize', () => {
+            this.resizeCanvas();
+            this.draw();
+        });
 
         // Animation state
         this.currentMatrix = Matrix2D.identity();
@@ -49,943 +67,3722 @@ class EigenvectorApp {
         // Determinant visualization toggle
         this.showDeterminant = true;
 
+        // Closed-form eigenvalues/eigenvectors for rational matrices (shared preference, see shared/exact.js)
+        this.exactValues = loadExactPreference();
+
         // Eigenvector dragging state
         this.isDraggingEigenvector = false;
         this.draggedEigenvectorIndex = -1; // 0 for v1, 1 for v2
         this.eigenvectorDragMode = false; // Flag to prevent circular updates
 
+        // View mode: 'transform' (animate I → A), 'chain' (animate a product Mₙ···M₁ factor by factor),
+        // 'power' (power iteration on a seed vector), 'phase' (phase portrait of x' = Ax or x_{k+1} = Ax_k),
+        // 'quiz', 'pca' (A is the covariance matrix of a point cloud) or 'markov' (A is a column-stochastic matrix)
+        this.viewMode = 'transform';
+
+        // Power iteration state (the newest custom vector is the seed)
+        this.defaultPowerSeed = { x: 1, y: -0.4 };
+        this.powerSteps = 0;
+        this.maxPowerSteps = 40;
+        this.powerTimer = null;
+
+        // Animation path from I to A: 'linear' (lerp) or 'exponential' (exp(t·log A))
+        this.interpolationMode = 'linear';
+
+        // Transformation chain: factors M₁, M₂, ... applied in order (product Mₙ···M₁)
+        this.chain = []; // Each: { matrix, name }
+        this.chainSegment = -1; // Index of the factor currently playing
+        this.chainSavedMatrix = null; // Matrix to restore when leaving chain mode
+
+        // Phase portrait state
+        this.phaseMode = 'continuous'; // 'continuous' or 'discrete'
+        this.trajectories = []; // Each: { points: [{x, y}], done }
+        this.maxTrajectories = 12;
+        this.phaseRunning = false;
+        this.phaseLastTime = null;
+        this.phaseAccumulator = 0;
+
+        // Pending history.replaceState call (the URL mirrors the scene)
+        this.urlUpdateTimer = null;
+
+        // True while frames are being captured for a recording
+        this.isRecording = false;
+
+        // Undo/redo history of edit commands ({ label, before, after, coalesceKey, time })
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxHistory = 100;
+        this.editDepth = 0; // Nested edits (e.g. a preset inside an example) record once
+        this.dragEditBefore = null; // State when the current pointer gesture started
+        this.dragEditLabel = null;
+
+        // Quiz mode: current question, question type and persisted score
+        this.quiz = null;
+        this.quizType = 'mixed';
+        this.quizGuessIndex = -1; // Guess arrow being dragged
+        this.quizSavedState = null; // Edit state to restore when leaving the quiz
+        this.quizStats = this.loadQuizStats();
+
+        // PCA mode: data points (see shared/pca.js), their analysis and the matrix to restore afterwards
+        this.pcaPoints = [];
+        this.pca = null;
+        this.pcaSavedMatrix = null;
+
+        // Markov mode: distribution x₀ on the simplex and how many steps of x ↦ Ax are shown
+        this.markovStart = { x: 1, y: 0 };
+        this.markovSteps = 0;
+        this.maxMarkovSteps = 40;
+        this.markovTimer = null;
+        this.markovSavedMatrix = null;
+
+        // Constraints for the random generator; R reuses the last ones chosen
+        this.randomConstraints = { kind: 'any', integer: false };
+
+        // Screen-reader scene description (throttled live region updates)
+        this.sceneDescriptionTimer = null;
+
+        // Saved matrices (shown as extra preset chips)
+        this.library = new MatrixLibrary();
+        this.editingLibraryId = null; // Set while the form renames an existing entry
+
         this.setupInputListeners();
-        this.setupScrubber();
-        this.setupPresetChips();
+        this.timeline = new TimelineControls(this);
+        // Delegated so saved-matrix chips added later work too
+        setupPresetChips(document.querySelector('.preset-grid'), presetName => this.loadPreset(presetName));
+        this.renderLibrary();
+        this.setupModeSelector();
+        this.setupRandomDialog();
         this.setupMouseTracking();
         this.setupKeyboardShortcuts();
+        this.setupVectorHandles();
         this.setupNavigationButton();
         this.syncDeterminantCheckbox();
         this.updateMatrixFromInputs();
+        this.restoreStateFromURL();
+        this.undoStack = []; // Loading the initial scene isn't an undoable edit
+        this.updateHistoryButtons();
         this.draw();
+
+        this.lessons = new LessonRunner(this);
     }
 
-    syncDeterminantCheckbox() {
-        // Sync the checkbox state with the internal state on page load
-        const checkbox = document.getElementById('showDeterminant');
-        if (checkbox) {
-            this.showDeterminant = checkbox.checked;
+    // Quiz: the student finds eigen-directions/eigenvalues, decides diagonalizability or names a preset.
+    // Eigen data stays hidden until the answer is checked, then the reveal plays the transformation.
+    loadQuizStats() {
+        try {
+            const stats = JSON.parse(localStorage.getItem(QUIZ_STATS_KEY) || 'null');
+            if (stats && typeof stats.correct === 'number') {
+                return stats;
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable quiz stats', error);
         }
+        return { correct: 0, answered: 0, streak: 0, bestStreak: 0 };
     }
 
-    resizeCanvas() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
-        this.width = this.canvas.width;
-        this.height = this.canvas.height;
-        this.origin = { x: this.width / 2, y: this.height / 2 };
+    saveQuizStats() {
+        try {
+            localStorage.setItem(QUIZ_STATS_KEY, JSON.stringify(this.quizStats));
+        } catch (error) {
+            console.warn('Failed to save quiz stats', error);
+        }
     }
 
-    setupInputListeners() {
-        const inputs = ['a11', 'a12', 'a21', 'a22'];
-        inputs.forEach(id => {
-            document.getElementById(id).addEventListener('input', () => {
-                this.updateMatrixFromInputs();
-            });
-        });
+    resetQuizStats() {
+        this.quizStats = { correct: 0, answered: 0, streak: 0, bestStreak: 0 };
+        this.saveQuizStats();
+        this.renderQuizPanel();
     }
 
-    setupScrubber() {
-        const track = document.getElementById('scrubberTrack');
-        const handle = document.getElementById('scrubberHandle');
-        let isDragging = false;
-
-        const updateProgress = (clientX) => {
-            const rect = track.getBoundingClientRect();
-            const x = Math.max(0, Math.min(clientX - rect.left, rect.width));
-            const progress = x / rect.width;
-            this.setProgress(progress);
-        };
+    areEigenvectorsHidden() {
+        return this.viewMode === 'quiz' && this.quiz !== null && !this.quiz.answered;
+    }
 
-        handle.addEventListener('mousedown', (e) => {
-            isDragging = true;
-            e.preventDefault();
-        });
+    // "Which preset?" questions also hide the matrix itself
+    isMatrixHidden() {
+        return this.areEigenvectorsHidden() && this.quiz.type === 'preset';
+    }
 
-        track.addEventListener('mousedown', (e) => {
-            updateProgress(e.clientX);
-            isDragging = true;
-        });
+    enterQuizMode() {
+        this.quizSavedState = this.captureEditState();
+        this.customVectors = [];
+        this.setMatrixInputsReadOnly(true);
+        this.nextQuizQuestion();
+    }
 
-        document.addEventListener('mousemove', (e) => {
-            if (isDragging) {
-                this.isAnimating = false;
-                updateProgress(e.clientX);
-            }
-        });
+    exitQuizMode() {
+        this.quiz = null;
+        this.quizGuessIndex = -1;
+        this.setMatrixInputsReadOnly(false);
+        document.querySelector('.matrix-container').classList.remove('quiz-hidden');
+        this.applyEditState(this.quizSavedState);
+    }
 
-        document.addEventListener('mouseup', () => {
-            isDragging = false;
+    setQuizType(type) {
+        this.quizType = type;
+        document.querySelectorAll('[data-quiz-type]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.quizType === type);
         });
+        if (this.viewMode === 'quiz') {
+            this.nextQuizQuestion();
+        }
     }
 
-    setupPresetChips() {
-        const chips = document.querySelectorAll('.preset-chip');
-        chips.forEach(chip => {
-            chip.addEventListener('click', () => {
-                const preset = chip.dataset.preset;
-                this.loadPreset(preset);
+    nextQuizQuestion() {
+        const pick = list => list[Math.floor(Math.random() * list.length)];
+        const type = this.quizType === 'mixed' ? pick(['eigen', 'diagonalizable', 'preset']) : this.quizType;
+
+        let matrix;
+        let presetName = null;
+        if (type === 'preset') {
+            presetName = pick(Object.keys(PRESETS));
+            matrix = PRESETS[presetName].matrix;
+        } else if (type === 'diagonalizable') {
+            const kind = pick(['integerEigenvalues', 'defective', 'complex', 'singular', 'symmetric']);
+            matrix = generateRandomMatrix({ kind, integer: true }).matrix;
+        } else {
+            // Distinct real eigenvalues so there are exactly two directions to find
+            matrix = generateRandomMatrix({ kind: pick(['integerEigenvalues', 'negative']), integer: true }).matrix;
+        }
 
-                // Update active state
-                chips.forEach(c => c.classList.remove('active'));
-                chip.classList.add('active');
-            });
-        });
+        this.quiz = { type, matrix, presetName, guesses: [], answered: false, correct: false, revealStart: 0 };
+        this.quizGuessIndex = -1;
+
+        // Naming a preset from its numbers would be too easy: hide them and play the motion instead
+        document.querySelector('.matrix-container').classList.toggle('quiz-hidden', type === 'preset');
+        setActivePresetChip(null);
+        document.getElementById('transformDesc').innerHTML = `
+            <div class="desc-title">Quiz</div>
+            <div>${QUIZ_PROMPTS[type]}</div>
+        `;
+
+        this.targetMatrix = matrix;
+        this.updateMatrixInputFields(matrix);
+        this.reset();
+        this.updateInfo();
+        this.renderQuizPanel();
+
+        if (type === 'preset') {
+            this.togglePlay();
+        }
     }
 
-    setupMouseTracking() {
-        this.canvas.addEventListener('mousemove', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            this.mousePos = {
-                x: e.clientX - rect.left,
-                y: e.clientY - rect.top
-            };
+    // Angle between two lines through the origin, in degrees (0–90)
+    lineAngle(u, v) {
+        const cos = Math.abs(u.x * v.x + u.y * v.y) / (Math.hypot(u.x, u.y) * Math.hypot(v.x, v.y));
+        return Math.acos(Math.min(1, cos)) * 180 / Math.PI;
+    }
 
-            // Handle dragging eigenvector
-            if (this.isDraggingEigenvector && this.draggedEigenvectorIndex >= 0) {
-                const mathCoords = this.toMathCoords(this.mousePos.x, this.mousePos.y);
-                const eigenvectors = this.targetMatrix.getEigenvectors();
-
-                if (eigenvectors) {
-                    // Calculate new eigenvector direction (normalized)
-                    const magnitude = Math.sqrt(mathCoords.x * mathCoords.x + mathCoords.y * mathCoords.y);
-                    if (magnitude > 0.1) { // Minimum distance threshold
-                        const newDirection = {
-                            x: mathCoords.x / magnitude,
-                            y: mathCoords.y / magnitude
-                        };
-                        const newEigenvalue = magnitude / 3; // Scale factor (eigenvectors displayed at scale=3)
-
-                        // Get the other eigenvector (not being dragged)
-                        const v1 = this.draggedEigenvectorIndex === 0 ? newDirection : eigenvectors.v1;
-                        const lambda1 = this.draggedEigenvectorIndex === 0 ? newEigenvalue : eigenvectors.lambda1;
-                        const v2 = this.draggedEigenvectorIndex === 1 ? newDirection : eigenvectors.v2;
-                        const lambda2 = this.draggedEigenvectorIndex === 1 ? newEigenvalue : eigenvectors.lambda2;
-
-                        // Reconstruct matrix
-                        const newMatrix = this.reconstructMatrixFromEigenvectors(v1, lambda1, v2, lambda2);
-
-                        if (newMatrix) {
-                            // Valid matrix - update everything
-                            this.eigenvectorDragMode = true; // Prevent circular updates
-                            this.targetMatrix = newMatrix;
-                            this.currentMatrix = newMatrix; // Immediate update (no animation during drag)
-
-                            // Update matrix input fields
-                            this.updateMatrixInputFields(newMatrix);
-                            this.updateInfo();
-
-                            this.eigenvectorDragMode = false;
-                        }
-                    }
-                }
+    checkEigenAnswer() {
+        const quiz = this.quiz;
+        const truth = quiz.matrix.getEigenvectors();
+        const read = id => parseFloat(document.getElementById(id).value);
+        const typed = [read('quizLambda1'), read('quizLambda2')];
+        const closeTo = (guess, actual) => Math.abs(guess - actual) <= Math.max(0.05, Math.abs(actual) * 0.05);
 
-                if (!this.isAnimating) {
-                    this.draw();
-                }
-                return;
-            }
+        if (quiz.guesses.length < 2) {
+            this.showQuizFeedback('Drag two arrows onto the canvas first.', false);
+            return;
+        }
+        if (typed.some(isNaN)) {
+            this.showQuizFeedback('Type both eigenvalues first.', false);
+            return;
+        }
 
-            // Handle dragging existing custom vector
-            if (this.isDraggingExistingVector && this.draggedVectorIndex >= 0) {
-                const mathCoords = this.toMathCoords(this.mousePos.x, this.mousePos.y);
-                this.customVectors[this.draggedVectorIndex] = { x: mathCoords.x, y: mathCoords.y };
-                if (!this.isAnimating) {
-                    this.draw();
-                }
-                return;
-            }
+        // Try both pairings of guesses with true eigenvectors and keep the better one
+        const [g1, g2] = quiz.guesses;
+        const straight = [this.lineAngle(g1, truth.v1), this.lineAngle(g2, truth.v2)];
+        const crossed = [this.lineAngle(g2, truth.v1), this.lineAngle(g1, truth.v2)];
+        const useStraight = Math.max(...straight) <= Math.max(...crossed);
+        const angles = useStraight ? straight : crossed; // Per true eigenvector
+        quiz.guessCorrect = (useStraight ? straight : [crossed[1], crossed[0]]) // Per guess
+            .map(angle => angle <= QUIZ_ANGLE_TOLERANCE);
+
+        const valuesCorrect = (closeTo(typed[0], truth.lambda1) && closeTo(typed[1], truth.lambda2)) ||
+            (closeTo(typed[0], truth.lambda2) && closeTo(typed[1], truth.lambda1));
+        const directionsCorrect = angles.every(angle => angle <= QUIZ_ANGLE_TOLERANCE);
+        const format = x => Number(x.toFixed(2));
+
+        this.finishQuizQuestion(directionsCorrect && valuesCorrect, `
+            <div class="readout-row"><span>Directions</span><span>${directionsCorrect ? '✓' : '✗'} off by ${angles.map(a => `${a.toFixed(1)}°`).join(', ')}</span></div>
+            <div class="readout-row"><span>Eigenvalues</span><span>${valuesCorrect ? '✓' : '✗'} λ = ${format(truth.lambda1)}, ${format(truth.lambda2)}</span></div>
+        `);
+    }
 
-            // Draw preview while dragging new vector
-            if (this.isDraggingNewVector) {
-                if (!this.isAnimating) {
-                    this.draw();
-                }
-                return;
-            }
+    answerDiagonalizable(answer) {
+        const matrix = this.quiz.matrix;
+        const eigenvalues = matrix.eigenvalues();
+        const diagonalizable = !eigenvalues.isComplex && !matrix.isDefective();
 
-            // Reset hover states
-            this.hoveredVectorIndex = -1;
-            this.hoveredEigenvectorIndex = -1;
+        let reason;
+        if (eigenvalues.isComplex) {
+            reason = 'Complex eigenvalues: no real eigenvectors, so it is not diagonalizable over ℝ (it is over ℂ).';
+        } else if (!diagonalizable) {
+            reason = `λ = ${Number(eigenvalues.lambda1.real.toFixed(2))} is repeated but has only one eigenvector direction.`;
+        } else {
+            reason = 'Two independent real eigenvectors form the basis P in A = PDP⁻¹.';
+        }
 
-            // Check if hovering over any eigenvector endpoint
-            const eigenvectors = this.targetMatrix.getEigenvectors();
-            if (eigenvectors) {
-                const scale = 3;
-                const eigenVecs = [
-                    { x: eigenvectors.v1.x * scale, y: eigenvectors.v1.y * scale, idx: 0 },
-                    { x: -eigenvectors.v1.x * scale, y: -eigenvectors.v1.y * scale, idx: 0 },
-                    { x: eigenvectors.v2.x * scale, y: eigenvectors.v2.y * scale, idx: 1 },
-                    { x: -eigenvectors.v2.x * scale, y: -eigenvectors.v2.y * scale, idx: 1 }
-                ];
+        this.finishQuizQuestion(answer === diagonalizable, `<div class="readout-note">${reason}</div>`);
+    }
 
-                eigenVecs.forEach(vec => {
-                    const transformed = this.currentMatrix.transform(vec.x, vec.y);
-                    const end = this.toScreenCoords(transformed.x, transformed.y);
+    answerPreset(presetName) {
+        const correct = presetName === this.quiz.presetName;
+        setActivePresetChip(this.quiz.presetName);
+        document.querySelector('.matrix-container').classList.remove('quiz-hidden');
+        this.finishQuizQuestion(correct, `<div class="readout-note">${PRESETS[this.quiz.presetName].name}: ${PRESETS[this.quiz.presetName].description}</div>`);
+    }
 
-                    const dx = this.mousePos.x - end.x;
-                    const dy = this.mousePos.y - end.y;
-                    const distance = Math.sqrt(dx * dx + dy * dy);
+    finishQuizQuestion(correct, details) {
+        if (this.quiz.answered) return;
 
-                    if (distance <= this.hoverRadius * 1.5) { // Slightly larger radius for eigenvectors
-                        this.hoveredEigenvectorIndex = vec.idx;
-                    }
-                });
-            }
+        const stats = this.quizStats;
+        stats.answered++;
+        if (correct) {
+            stats.correct++;
+            stats.streak++;
+            stats.bestStreak = Math.max(stats.bestStreak, stats.streak);
+        } else {
+            stats.streak = 0;
+        }
+        this.saveQuizStats();
 
-            // Check if hovering over any test vector endpoint (only if not hovering eigenvector)
-            if (this.hoveredEigenvectorIndex === -1) {
-                this.testVectors.forEach((vec, idx) => {
-                    const transformed = this.currentMatrix.transform(vec.x, vec.y);
-                    const end = this.toScreenCoords(transformed.x, transformed.y);
+        this.quiz.answered = true;
+        this.quiz.correct = correct;
+        this.updateInfo();
+        this.renderQuizPanel();
+        if (this.updateDiagonalizationLink) {
+            this.updateDiagonalizationLink();
+        }
+        this.showQuizFeedback(`${correct ? 'Correct!' : 'Not quite.'}${details}`, correct);
 
-                    const dx = this.mousePos.x - end.x;
-                    const dy = this.mousePos.y - end.y;
-                    const distance = Math.sqrt(dx * dx + dy * dy);
+        // Reveal: replay I → A while the true eigenvectors grow in
+        this.reset();
+        this.quiz.revealStart = performance.now();
+        this.togglePlay();
+    }
 
-                    if (distance <= this.hoverRadius) {
-                        this.hoveredVectorIndex = idx;
-                    }
-                });
-            }
+    // 0 → 1 as the true eigenvectors grow in after an answer
+    getQuizRevealGrowth() {
+        if (this.viewMode !== 'quiz' || !this.quiz) return 1;
+        return Math.min(1, (performance.now() - this.quiz.revealStart) / 800);
+    }
 
-            if (!this.isAnimating) {
-                this.draw();
-            }
-        });
+    showQuizFeedback(html, correct) {
+        const feedback = document.getElementById('quizFeedback');
+        feedback.innerHTML = html;
+        feedback.className = correct ? 'readout-note' : 'complex-warning';
+    }
 
-        this.canvas.addEventListener('mouseleave', () => {
-            this.mousePos = null;
-            this.hoveredVectorIndex = -1;
-            this.hoveredEigenvectorIndex = -1;
-            if (!this.isAnimating) {
-                this.draw();
-            }
-        });
+    renderQuizPanel() {
+        const quiz = this.quiz;
+        const stats = this.quizStats;
 
-        // Change cursor based on state
-        this.canvas.addEventListener('mousemove', () => {
-            // Check if hovering over delete button
-            let hoveringDelete = false;
-            this.customVectors.forEach((vec) => {
-                const transformed = this.currentMatrix.transform(vec.x, vec.y);
-                const end = this.toScreenCoords(transformed.x, transformed.y);
-                const btnX = end.x + 20;
-                const btnY = end.y - 20;
-                const btnRadius = 8;
+        document.getElementById('quizStats').innerHTML = `
+            <div class="readout-row"><span>Score</span><span>${stats.correct} / ${stats.answered}</span></div>
+            <div class="readout-row"><span>Streak</span><span>${stats.streak} (best ${stats.bestStreak})</span></div>
+        `;
+        if (!quiz) return;
+
+        const answers = document.getElementById('quizAnswers');
+        const disabled = quiz.answered ? 'disabled' : '';
+        if (quiz.type === 'eigen') {
+            answers.innerHTML = `
+                <div class="quiz-lambdas">
+                    <input type="number" id="quizLambda1" step="0.1" placeholder="λ₁" aria-label="First eigenvalue" ${disabled}
+                        onkeydown="if (event.key === 'Enter') app.checkEigenAnswer()">
+                    <input type="number" id="quizLambda2" step="0.1" placeholder="λ₂" aria-label="Second eigenvalue" ${disabled}
+                        onkeydown="if (event.key === 'Enter') app.checkEigenAnswer()">
+                </div>
+                <button class="speed-btn" onclick="app.checkEigenAnswer()" ${disabled}>Check</button>
+            `;
+        } else if (quiz.type === 'diagonalizable') {
+            answers.innerHTML = `
+                <button class="speed-btn" onclick="app.answerDiagonalizable(true)" ${disabled}>Yes</button>
+                <button class="speed-btn" onclick="app.answerDiagonalizable(false)" ${disabled}>No</button>
+            `;
+        } else {
+            answers.innerHTML = '<div class="chain-empty">Pick a preset chip (or press 1–7).</div>';
+        }
 
-                if (this.mousePos) {
-                    const dx = this.mousePos.x - btnX;
-                    const dy = this.mousePos.y - btnY;
-                    const distance = Math.sqrt(dx * dx + dy * dy);
-                    if (distance <= btnRadius) {
-                        hoveringDelete = true;
-                    }
-                }
-            });
+        document.getElementById('quizQuestion').textContent = QUIZ_PROMPTS[quiz.type];
+        if (!quiz.answered) {
+            document.getElementById('quizFeedback').innerHTML = '';
+            document.getElementById('quizFeedback').className = '';
+        }
+    }
 
-            if (hoveringDelete) {
-                this.canvas.style.cursor = 'pointer';
-            } else if (this.isDraggingEigenvector) {
-                this.canvas.style.cursor = 'grabbing';
-            } else if (this.isDraggingNewVector) {
-                this.canvas.style.cursor = 'crosshair';
-            } else if (this.isDraggingExistingVector) {
-                this.canvas.style.cursor = 'move';
-            } else if (this.hoveredEigenvectorIndex >= 0) {
-                this.canvas.style.cursor = 'grab'; // Grab cursor when hovering eigenvector
-            } else if (this.hoveredVectorIndex >= 0) {
-                this.canvas.style.cursor = 'pointer';
-            } else {
-                this.canvas.style.cursor = 'crosshair'; // Default to crosshair for drawing
-            }
+    // Guess arrows: click to place (at most two), drag a tip to adjust
+    startQuizGuessDrag(screenX, screenY) {
+        const quiz = this.quiz;
+        if (!quiz || quiz.type !== 'eigen' || quiz.answered) return;
+
+        const inverse = this.currentMatrix.inverse();
+        if (!inverse) return;
+        const screenToGuess = (x, y) => {
+            const p = this.toMathCoords(x, y);
+            return inverse.transform(p.x, p.y);
+        };
+
+        // Grab an existing tip
+        this.quizGuessIndex = quiz.guesses.findIndex(guess => {
+            const tip = this.currentMatrix.transform(guess.x, guess.y);
+            const end = this.toScreenCoords(tip.x, tip.y);
+            return Math.hypot(screenX - end.x, screenY - end.y) <= this.hoverRadius;
         });
+        if (this.quizGuessIndex >= 0) return;
 
-        // Mouse down - start drawing or dragging
-        this.canvas.addEventListener('mousedown', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            const screenX = e.clientX - rect.left;
-            const screenY = e.clientY - rect.top;
-            const mathCoords = this.toMathCoords(screenX, screenY);
+        const point = screenToGuess(screenX, screenY);
+        if (Math.hypot(point.x, point.y) < 0.2) return;
 
-            // Check if clicking on eigenvector endpoint
-            const eigenvectors = this.targetMatrix.getEigenvectors();
-            if (eigenvectors) {
-                const scale = 3;
-                const eigenVecs = [
-                    { x: eigenvectors.v1.x * scale, y: eigenvectors.v1.y * scale, idx: 0 },
-                    { x: -eigenvectors.v1.x * scale, y: -eigenvectors.v1.y * scale, idx: 0 },
-                    { x: eigenvectors.v2.x * scale, y: eigenvectors.v2.y * scale, idx: 1 },
-                    { x: -eigenvectors.v2.x * scale, y: -eigenvectors.v2.y * scale, idx: 1 }
-                ];
+        if (quiz.guesses.length < 2) {
+            quiz.guesses.push(point);
+            this.quizGuessIndex = quiz.guesses.length - 1;
+        } else {
+            // Replace the guess whose line is closest to the click
+            const angles = quiz.guesses.map(guess => this.lineAngle(guess, point));
+            this.quizGuessIndex = angles[0] <= angles[1] ? 0 : 1;
+            quiz.guesses[this.quizGuessIndex] = point;
+        }
+        this.draw();
+    }
 
-                for (const vec of eigenVecs) {
-                    const transformed = this.currentMatrix.transform(vec.x, vec.y);
-                    const end = this.toScreenCoords(transformed.x, transformed.y);
+    dragQuizGuess(screenX, screenY) {
+        const inverse = this.currentMatrix.inverse();
+        if (!inverse) return;
 
-                    const dx = screenX - end.x;
-                    const dy = screenY - end.y;
-                    const distance = Math.sqrt(dx * dx + dy * dy);
+        const p = this.toMathCoords(screenX, screenY);
+        const point = inverse.transform(p.x, p.y);
+        if (Math.hypot(point.x, point.y) >= 0.2) {
+            this.quiz.guesses[this.quizGuessIndex] = point;
+        }
+        if (!this.isAnimating) {
+            this.draw();
+        }
+    }
 
-                    if (distance <= this.hoverRadius * 1.5) {
-                        this.isDraggingEigenvector = true;
-                        this.draggedEigenvectorIndex = vec.idx;
-                        return; // Start dragging eigenvector
-                    }
-                }
+    drawQuizGuesses() {
+        const quiz = this.quiz;
+        if (!quiz || quiz.type !== 'eigen') return;
+
+        const reach = this.getViewRadius() * 2;
+        quiz.guesses.forEach((guess, i) => {
+            let color = '#E5E7EB';
+            if (quiz.answered) {
+                color = quiz.guessCorrect && quiz.guessCorrect[i] ? '#10B981' : '#EF4444';
             }
 
-            // Check if clicking on delete button
-            let clickedDelete = false;
-            this.customVectors.forEach((vec, idx) => {
-                const transformed = this.currentMatrix.transform(vec.x, vec.y);
-                const end = this.toScreenCoords(transformed.x, transformed.y);
-                const btnX = end.x + 20;
-                const btnY = end.y - 20;
-                const btnRadius = 8;
+            // The guessed line stays put: a wrong guess visibly turns off it during the reveal
+            const length = Math.hypot(guess.x, guess.y);
+            const start = this.toScreenCoords(-guess.x / length * reach, -guess.y / length * reach);
+            const end = this.toScreenCoords(guess.x / length * reach, guess.y / length * reach);
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = 1.5;
+            this.ctx.globalAlpha = 0.35;
+            this.ctx.setLineDash([4, 6]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(start.x, start.y);
+            this.ctx.lineTo(end.x, end.y);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+            this.ctx.globalAlpha = 1;
 
-                const dx = screenX - btnX;
-                const dy = screenY - btnY;
-                const distance = Math.sqrt(dx * dx + dy * dy);
+            this.drawVector(guess.x, guess.y, color, 4, `guess ${i + 1}`, 1);
+        });
+    }
 
-                if (distance <= btnRadius) {
-                    this.customVectors.splice(idx, 1);
-                    clickedDelete = true;
-                    if (!this.isAnimating) {
-                        this.draw();
-                    }
-                }
-            });
+    // Undo/redo. Every edit is a command holding the edit state before and after it.
+    captureEditState() {
+        const m = this.targetMatrix;
+        const activeChip = document.querySelector('.preset-chip.active');
+        return {
+            matrix: new Matrix2D(m.a, m.b, m.c, m.d),
+            customVectors: this.customVectors.map(v => ({ x: v.x, y: v.y })),
+            preset: activeChip ? activeChip.dataset.preset : null,
+            description: document.getElementById('transformDesc').innerHTML
+        };
+    }
 
-            if (clickedDelete) return;
+    isSameEditState(s1, s2) {
+        return ['a', 'b', 'c', 'd'].every(key => s1.matrix[key] === s2.matrix[key]) &&
+            s1.preset === s2.preset &&
+            JSON.stringify(s1.customVectors) === JSON.stringify(s2.customVectors);
+    }
 
-            // Check if clicking on existing custom vector endpoint
-            let clickedExisting = false;
-            this.customVectors.forEach((vec, idx) => {
-                const transformed = this.currentMatrix.transform(vec.x, vec.y);
-                const end = this.toScreenCoords(transformed.x, transformed.y);
+    applyEditState(state) {
+        this.targetMatrix = state.matrix;
+        this.customVectors = state.customVectors.map(v => ({ x: v.x, y: v.y }));
+        this.updateMatrixInputFields(state.matrix);
+        setActivePresetChip(state.preset);
+        document.getElementById('transformDesc').innerHTML = state.description;
 
-                const dx = screenX - end.x;
-                const dy = screenY - end.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
+        this.eigenTrails = [[], []];
+        this.currentMatrix = this.getMatrixAtProgress(this.animationProgress);
+        if (this.viewMode === 'power') {
+            this.restartPowerIteration();
+        }
+        this.updateInfo();
+        this.draw();
 
-                if (distance <= this.hoverRadius) {
-                    this.isDraggingExistingVector = true;
-                    this.draggedVectorIndex = idx;
-                    clickedExisting = true;
-                }
-            });
+        if (this.updateDiagonalizationLink) {
+            this.updateDiagonalizationLink();
+        }
+    }
 
-            // If not clicking existing, start drawing new vector
-            if (!clickedExisting) {
-                this.isDraggingNewVector = true;
-                this.dragStartPos = mathCoords;
-            }
-        });
+    beginEdit() {
+        this.editDepth++;
+        return this.captureEditState();
+    }
 
-        // Mouse up - finalize vector
-        this.canvas.addEventListener('mouseup', (e) => {
-            if (this.isDraggingNewVector && this.mousePos) {
-                const mathCoords = this.toMathCoords(this.mousePos.x, this.mousePos.y);
-                const dx = mathCoords.x - this.dragStartPos.x;
-                const dy = mathCoords.y - this.dragStartPos.y;
+    endEdit(label, before, coalesceKey = null) {
+        this.editDepth--;
+        if (this.editDepth > 0) return; // The outer edit records the whole change
+        this.pushHistory(label, before, this.captureEditState(), coalesceKey);
+    }
 
-                // Only add if vector has some magnitude (at least 0.2 units)
-                const magnitude = Math.sqrt(dx * dx + dy * dy);
-                if (magnitude > 0.2) {
-                    this.customVectors.push({ x: dx, y: dy });
-                }
+    pushHistory(label, before, after, coalesceKey = null) {
+        // The chain product is derived from its factors, not edited directly (likewise the quiz, PCA and Markov matrices)
+        if (this.modeOwnsMatrix() || this.isSameEditState(before, after)) return;
+
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (coalesceKey && last && last.coalesceKey === coalesceKey && now - last.time < 1000) {
+            // Continue the previous entry (e.g. consecutive keystrokes)
+            last.after = after;
+            last.time = now;
+        } else {
+            this.undoStack.push({ label, before, after, coalesceKey, time: now });
+            if (this.undoStack.length > this.maxHistory) {
+                this.undoStack.shift();
             }
+        }
 
-            this.isDraggingNewVector = false;
-            this.isDraggingExistingVector = false;
-            this.isDraggingEigenvector = false;
-            this.dragStartPos = null;
-            this.draggedVectorIndex = -1;
-            this.draggedEigenvectorIndex = -1;
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
 
-            if (!this.isAnimating) {
-                this.draw();
-            }
-        });
+    undo() {
+        if (this.modeOwnsMatrix()) return;
+        const command = this.undoStack.pop();
+        if (!command) return;
 
-        // Mouse wheel - manual zoom control
-        this.canvas.addEventListener('wheel', (e) => {
-            e.preventDefault();
+        this.applyEditState(command.before);
+        this.redoStack.push(command);
+        this.updateHistoryButtons();
+    }
 
-            // Zoom factor: negative deltaY = zoom in, positive = zoom out
-            const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
-            this.scale *= zoomFactor;
+    redo() {
+        if (this.modeOwnsMatrix()) return;
+        const command = this.redoStack.pop();
+        if (!command) return;
 
-            // Clamp scale to reasonable bounds
-            this.scale = Math.max(20, Math.min(200, this.scale));
+        this.applyEditState(command.after);
+        command.coalesceKey = null; // Don't merge new edits into a redone entry
+        this.undoStack.push(command);
+        this.updateHistoryButtons();
+    }
 
-            if (!this.isAnimating) {
-                this.draw();
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        if (!undoBtn || !redoBtn) return;
+
+        const lastUndo = this.undoStack[this.undoStack.length - 1];
+        const lastRedo = this.redoStack[this.redoStack.length - 1];
+        undoBtn.disabled = !lastUndo;
+        redoBtn.disabled = !lastRedo;
+        undoBtn.title = lastUndo ? `Undo ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+        redoBtn.title = lastRedo ? `Redo ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+
+    // Restore a scene shared via URL, e.g.
+    // ?matrix=2,1,1,2&vectors=1,0.5;-1,2&t=0.5&speed=2&scale=80&center=1,0&det=0&preset=shearX
+    // In a view mode other than transform: &mode=chain&chain=0,-1,1,0;1,1,0,1 (chain factors M₁;M₂;...)
+    restoreStateFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        const isSame = (m1, m2) => ['a', 'b', 'c', 'd'].every(key => Math.abs(m1[key] - m2[key]) < 1e-9);
+
+        const values = (params.get('matrix') || '').split(',').map(Number);
+        const matrix = values.length === 4 && values.every(v => !isNaN(v))
+            ? new Matrix2D(values[0], values[1], values[2], values[3])
+            : null;
+
+        const presetName = params.get('preset');
+        const preset = this.getPreset(presetName);
+        const matchesPreset = preset && (!matrix || isSame(preset.matrix, matrix));
+
+        if (matchesPreset) {
+            this.loadPreset(presetName);
+        } else if (matrix) {
+            document.getElementById('a11').value = matrix.a;
+            document.getElementById('a12').value = matrix.b;
+            document.getElementById('a21').value = matrix.c;
+            document.getElementById('a22').value = matrix.d;
+            this.updateMatrixFromInputs();
+        }
+
+        // Custom vectors: "x,y;x,y;..."
+        const vectors = (params.get('vectors') || '').split(';')
+            .map(pair => pair.split(',').map(Number))
+            .filter(pair => pair.length === 2 && pair.every(v => !isNaN(v)))
+            .map(([x, y]) => ({ x, y }));
+        if (vectors.length > 0) {
+            this.customVectors = vectors;
+        }
+
+        // Chain factors: "a,b,c,d;a,b,c,d;...", named A or after the preset they match
+        this.chain = (params.get('chain') || '').split(';')
+            .map(factor => factor.split(',').map(Number))
+            .filter(factor => factor.length === 4 && factor.every(v => !isNaN(v)))
+            .map(([a, b, c, d]) => {
+                const factor = new Matrix2D(a, b, c, d);
+                const preset = Object.values(PRESETS).find(p => isSame(p.matrix, factor));
+                const name = isSame(this.targetMatrix, factor) ? 'A' : (preset ? preset.name : 'Custom');
+                return { matrix: factor, name };
+            });
+
+        const mode = params.get('mode');
+        if ([...document.querySelectorAll('.mode-btn')].some(btn => btn.dataset.mode === mode)) {
+            this.setViewMode(mode);
+        }
+
+        const speed = parseFloat(params.get('speed'));
+        if (speed > 0) {
+            this.setSpeed(speed);
+        }
+
+        const scale = parseFloat(params.get('scale'));
+        if (scale > 0) {
+            this.scale = this.clampScale(scale);
+        }
+
+        // Camera centre: "x,y"
+        const center = (params.get('center') || '').split(',').map(Number);
+        if (center.length === 2 && center.every(v => !isNaN(v))) {
+            this.viewCenter = { x: center[0], y: center[1] };
+        }
+        this.updateOrigin();
+
+        if (params.get('det') === '0') {
+            document.getElementById('showDeterminant').checked = false;
+            this.showDeterminant = false;
+        }
+
+        const progress = parseFloat(params.get('t'));
+        if (!isNaN(progress)) {
+            this.setProgress(progress);
+        }
+    }
+
+    // Query string describing the current scene (defaults are left out)
+    getStateQuery() {
+        const round = x => Number(x.toFixed(4));
+        const formatMatrix = m => [m.a, m.b, m.c, m.d].map(round).join(',');
+        const params = new URLSearchParams();
+
+        // In chain mode A shows the running product; link the matrix that leaving the chain restores
+        params.set('matrix', formatMatrix(this.viewMode === 'chain' ? this.chainSavedMatrix : this.targetMatrix));
+        if (this.customVectors.length > 0) {
+            params.set('vectors', this.customVectors.map(v => `${round(v.x)},${round(v.y)}`).join(';'));
+        }
+        if (this.viewMode !== 'transform') {
+            params.set('mode', this.viewMode);
+        }
+        if (this.viewMode === 'chain' && this.chain.length > 0) {
+            params.set('chain', this.chain.map(factor => formatMatrix(factor.matrix)).join(';'));
+        }
+        if (this.animationProgress > 0) {
+            params.set('t', round(this.animationProgress));
+        }
+        if (this.animationSpeed !== 1) {
+            params.set('speed', this.animationSpeed);
+        }
+        if (this.viewCenter.x !== 0 || this.viewCenter.y !== 0) {
+            params.set('center', `${round(this.viewCenter.x)},${round(this.viewCenter.y)}`);
+        }
+        if (this.scale !== 60) {
+            params.set('scale', round(this.scale));
+        }
+        if (!this.showDeterminant) {
+            params.set('det', '0');
+        }
+
+        const activeChip = document.querySelector('.preset-chip.active');
+        if (activeChip) {
+            params.set('preset', activeChip.dataset.preset);
+        }
+
+        // Keep commas and semicolons readable in pasted links
+        return params.toString().replace(/%2C/g, ',').replace(/%3B/g, ';');
+    }
+
+    // Mirror the scene in the address bar. Debounced so animation frames don't flood the history API.
+    updateURL() {
+        clearTimeout(this.urlUpdateTimer);
+        this.urlUpdateTimer = setTimeout(() => {
+            // Don't give away a hidden quiz answer; the reveal updates the URL again
+            if (this.isMatrixHidden()) return;
+
+            const url = `${window.location.pathname}?${this.getStateQuery()}`;
+            if (url !== window.location.pathname + window.location.search) {
+                history.replaceState(null, '', url);
             }
-        });
+        }, 200);
+    }
 
-        // Touch event support for mobile
-        this.setupTouchEvents();
+    syncDeterminantCheckbox() {
+        // Sync the checkbox state with the internal state on page load
+        const checkbox = document.getElementById('showDeterminant');
+        if (checkbox) {
+            this.showDeterminant = checkbox.checked;
+        }
+
+        // The exact-values preference lives in localStorage, so it drives the checkbox instead
+        const exactCheckbox = document.getElementById('exactValues');
+        if (exactCheckbox) {
+            exactCheckbox.checked = this.exactValues;
+        }
     }
 
-    setupTouchEvents() {
-        let lastTouchDistance = 0;
+    resizeCanvas() {
+        this.canvas.width = window.innerWidth;
+        this.canvas.height = window.innerHeight;
+        this.width = this.canvas.width;
+        this.height = this.canvas.height;
+        this.updateOrigin();
+    }
 
-        // Touch start
-        this.canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
+    // The screen position of (0, 0) follows the camera's centre and scale
+    updateOrigin() {
+        this.origin = {
+            x: this.width / 2 - this.viewCenter.x * this.scale,
+            y: this.height / 2 + this.viewCenter.y * this.scale
+        };
+    }
 
-            if (e.touches.length === 1) {
-                const touch = e.touches[0];
-                const rect = this.canvas.getBoundingClientRect();
-                const screenX = touch.clientX - rect.left;
-                const screenY = touch.clientY - rect.top;
+    clampScale(scale) {
+        return Math.max(this.minScale, Math.min(this.maxScale, scale));
+    }
 
-                // Simulate mouse position
-                this.mousePos = { x: screenX, y: screenY };
+    // Zoom by `factor`, keeping the math point under (screenX, screenY) fixed
+    zoomAt(screenX, screenY, factor) {
+        const anchor = this.toMathCoords(screenX, screenY);
+        this.scale = this.clampScale(this.scale * factor);
+        this.viewCenter = {
+            x: anchor.x - (screenX - this.width / 2) / this.scale,
+            y: anchor.y + (screenY - this.height / 2) / this.scale
+        };
+        this.updateOrigin();
+    }
 
-                // Trigger mousedown logic
-                const mouseDownEvent = new MouseEvent('mousedown', {
-                    clientX: touch.clientX,
-                    clientY: touch.clientY
+    panBy(dx, dy) {
+        this.viewCenter = {
+            x: this.viewCenter.x - dx / this.scale,
+            y: this.viewCenter.y + dy / this.scale
+        };
+        this.updateOrigin();
+    }
+
+    startPanning() {
+        this.stopCameraAnimation();
+        this.isPanning = true;
+        this.canvas.style.cursor = 'grabbing';
+    }
+
+    // Largest distance (in math units) from the origin to a corner of the view
+    getViewRadius() {
+        const corners = [[0, 0], [this.width, 0], [0, this.height], [this.width, this.height]];
+        return Math.max(...corners.map(([x, y]) => {
+            const p = this.toMathCoords(x, y);
+            return Math.hypot(p.x, p.y);
+        }));
+    }
+
+    // Points that should stay on screen: the transformed unit square, eigenvectors and custom vectors,
+    // both at the current frame and at the end of the animation
+    getFitPoints() {
+        const points = [{ x: 0, y: 0 }];
+        const eigenvectors = this.targetMatrix.getEigenvectors();
+        const lengths = 3; // Eigenvector arrows are drawn 3 units long
+
+        [this.currentMatrix, this.targetMatrix].forEach(matrix => {
+            [[1, 0], [1, 1], [0, 1]].forEach(([x, y]) => points.push(matrix.transform(x, y)));
+            if (eigenvectors) {
+                [eigenvectors.v1, eigenvectors.v2].forEach(v => {
+                    points.push(matrix.transform(v.x * lengths, v.y * lengths));
+                    points.push(matrix.transform(-v.x * lengths, -v.y * lengths));
                 });
-                this.canvas.dispatchEvent(mouseDownEvent);
-            } else if (e.touches.length === 2) {
-                // Pinch to zoom - store initial distance
-                const touch1 = e.touches[0];
-                const touch2 = e.touches[1];
-                lastTouchDistance = Math.hypot(
-                    touch2.clientX - touch1.clientX,
-                    touch2.clientY - touch1.clientY
-                );
             }
+            this.customVectors.forEach(v => points.push(matrix.transform(v.x, v.y)));
         });
+        if (this.viewMode === 'pca') {
+            points.push(...this.pcaPoints);
+        }
 
-        // Touch move
-        this.canvas.addEventListener('touchmove', (e) => {
-            e.preventDefault();
+        return points.filter(p => isFinite(p.x) && isFinite(p.y));
+    }
 
-            if (e.touches.length === 1) {
-                const touch = e.touches[0];
-                const rect = this.canvas.getBoundingClientRect();
-                const screenX = touch.clientX - rect.left;
-                const screenY = touch.clientY - rect.top;
+    // Frame everything of interest, leaving room for the side panels
+    fitView() {
+        const points = this.getFitPoints();
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minY = Math.min(...ys), maxY = Math.max(...ys);
 
-                this.mousePos = { x: screenX, y: screenY };
+        const width = Math.max(maxX - minX, 1);
+        const height = Math.max(maxY - minY, 1);
+        const scale = this.clampScale(Math.min(this.width * 0.5 / width, this.height * 0.7 / height));
 
-                // Trigger mousemove logic
-                const mouseMoveEvent = new MouseEvent('mousemove', {
-                    clientX: touch.clientX,
-                    clientY: touch.clientY
-                });
-                this.canvas.dispatchEvent(mouseMoveEvent);
-            } else if (e.touches.length === 2) {
-                // Pinch to zoom
-                const touch1 = e.touches[0];
-                const touch2 = e.touches[1];
-                const currentDistance = Math.hypot(
-                    touch2.clientX - touch1.clientX,
-                    touch2.clientY - touch1.clientY
-                );
+        this.animateCamera({ x: (minX + maxX) / 2, y: (minY + maxY) / 2 }, scale);
+    }
 
-                if (lastTouchDistance > 0) {
-                    const zoomFactor = currentDistance / lastTouchDistance;
-                    this.scale *= zoomFactor;
-                    this.scale = Math.max(20, Math.min(200, this.scale));
+    animateCamera(targetCenter, targetScale, duration = 500) {
+        this.stopCameraAnimation();
 
-                    if (!this.isAnimating) {
-                        this.draw();
-                    }
-                }
+        const startCenter = { ...this.viewCenter };
+        const startScale = this.scale;
+        const startTime = performance.now();
 
-                lastTouchDistance = currentDistance;
-            }
-        });
+        const step = (now) => {
+            const t = Math.min(1, (now - startTime) / duration);
+            const eased = 1 - Math.pow(1 - t, 3); // Ease-out cubic
 
-        // Touch end
-        this.canvas.addEventListener('touchend', (e) => {
-            e.preventDefault();
+            // Interpolate zoom geometrically so it feels uniform
+            this.scale = startScale * Math.pow(targetScale / startScale, eased);
+            this.viewCenter = {
+                x: startCenter.x + (targetCenter.x - startCenter.x) * eased,
+                y: startCenter.y + (targetCenter.y - startCenter.y) * eased
+            };
+            this.updateOrigin();
 
-            if (e.touches.length === 0) {
-                // Trigger mouseup logic
-                const mouseUpEvent = new MouseEvent('mouseup');
-                this.canvas.dispatchEvent(mouseUpEvent);
+            if (!this.isAnimating) {
+                this.draw();
+            }
 
-                this.mousePos = null;
-                lastTouchDistance = 0;
+            if (t < 1) {
+                this.cameraAnimationId = requestAnimationFrame(step);
+            } else {
+                this.cameraAnimationId = null;
+                this.updateURL();
             }
-        });
+        };
+        this.cameraAnimationId = requestAnimationFrame(step);
+    }
 
-        // Touch cancel
-        this.canvas.addEventListener('touchcancel', (e) => {
-            e.preventDefault();
-            this.mousePos = null;
-            lastTouchDistance = 0;
-            this.isDraggingNewVector = false;
-            this.isDraggingExistingVector = false;
-            this.isDraggingEigenvector = false;
+    stopCameraAnimation() {
+        if (this.cameraAnimationId) {
+            cancelAnimationFrame(this.cameraAnimationId);
+            this.cameraAnimationId = null;
+        }
+    }
+
+    setupInputListeners() {
+        const inputs = ['a11', 'a12', 'a21', 'a22'];
+        inputs.forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                if (this.viewMode === 'markov') {
+                    this.onMarkovInput(id);
+                    return;
+                }
+                const before = this.beginEdit();
+                this.updateMatrixFromInputs();
+                this.endEdit('Edit matrix', before, 'matrix-input'); // Typing coalesces into one entry
+            });
         });
     }
 
-    setupKeyboardShortcuts() {
-        document.addEventListener('keydown', (e) => {
-            // Ignore if user is typing in an input field
-            if (e.target.tagName === 'INPUT') {
-                return;
+    // Built-in presets by key, or saved matrices as "library:<id>"
+    getPreset(presetName) {
+        if (PRESETS[presetName]) {
+            return PRESETS[presetName];
+        }
+        if (typeof presetName === 'string' && presetName.startsWith(LIBRARY_PREFIX)) {
+            const item = this.library.get(presetName.slice(LIBRARY_PREFIX.length));
+            if (item) {
+                const tags = item.tags.length > 0 ? ` Tags: ${item.tags.join(', ')}.` : '';
+                return {
+                    name: escapeXML(item.name),
+                    matrix: toLibraryMatrix(item),
+                    description: escapeXML((item.description || 'A matrix from your library.') + tags)
+                };
             }
+        }
+        return null;
+    }
 
-            // Space - Play/Pause
-            if (e.code === 'Space') {
-                e.preventDefault();
-                this.togglePlay();
-            }
+    renderLibrary() {
+        const activeChip = document.querySelector('.preset-chip.active');
+        const activePreset = activeChip ? activeChip.dataset.preset : null;
+        const format = x => Number(x.toFixed(2));
+
+        // Saved chips follow the built-in ones; Shift+1–9 loads the first nine
+        const grid = document.querySelector('.preset-grid');
+        grid.querySelectorAll('.preset-chip.saved').forEach(chip => chip.remove());
+        grid.insertAdjacentHTML('beforeend', this.library.items.map((item, i) => `
+            <div class="preset-chip saved" data-preset="${LIBRARY_PREFIX}${item.id}" tabindex="0" role="button"
+                title="${escapeXML(item.description || item.name)}${i < 9 ? ` (Shift+${i + 1})` : ''}">
+                <svg viewBox="0 0 24 24">
+                    <path d="M6 3h12v18l-6-4-6 4z"></path>
+                </svg>
+                <span>${escapeXML(item.name)}</span>
+            </div>
+        `).join(''));
+        setActivePresetChip(activePreset);
 
-            // R - Randomize
-            if (e.code === 'KeyR' && !e.ctrlKey && !e.metaKey) {
-                e.preventDefault();
-                this.randomizeMatrix();
+        const list = document.getElementById('libraryList');
+        if (!list) return;
+
+        if (this.library.items.length === 0) {
+            list.innerHTML = '<div class="chain-empty">Save the current matrix to reuse it later.</div>';
+            return;
+        }
+
+        list.innerHTML = this.library.items.map(item => {
+            const [a, b, c, d] = item.matrix.map(format);
+            const tags = item.tags.map(tag => `<span class="library-tag">${escapeXML(tag)}</span>`).join('');
+            return `
+                <div class="library-item">
+                    <div class="chain-factor-body">
+                        <div class="library-item-name">${escapeXML(item.name)}</div>
+                        <div class="chain-factor-matrix">[${a} ${b}; ${c} ${d}]</div>
+                        ${tags ? `<div class="library-tags">${tags}</div>` : ''}
+                    </div>
+                    <a class="library-action" href="diagonalization.html?matrix=${item.matrix.join(',')}" title="Open in Diagonalization">↗</a>
+                    <button class="library-action" onclick="app.showLibraryForm('${item.id}')" title="Rename / edit">✎</button>
+                    <button class="chain-remove" onclick="app.deleteLibraryItem('${item.id}')" title="Delete">×</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Open the form to save the current matrix, or to rename an existing entry
+    showLibraryForm(id = null) {
+        const item = id ? this.library.get(id) : null;
+        this.editingLibraryId = item ? item.id : null;
+
+        document.getElementById('libraryName').value = item ? item.name : '';
+        document.getElementById('libraryDescription').value = item ? item.description : '';
+        document.getElementById('libraryTags').value = item ? item.tags.join(', ') : '';
+        document.getElementById('librarySaveBtn').textContent = item ? 'Update' : 'Save';
+        document.getElementById('libraryForm').classList.add('visible');
+        document.getElementById('libraryName').focus();
+        this.showLibraryMessage('');
+    }
+
+    hideLibraryForm() {
+        this.editingLibraryId = null;
+        document.getElementById('libraryForm').classList.remove('visible');
+    }
+
+    saveLibraryForm() {
+        const fields = {
+            name: document.getElementById('libraryName').value,
+            description: document.getElementById('libraryDescription').value,
+            tags: parseLibraryTags(document.getElementById('libraryTags').value)
+        };
+
+        let savedId = null;
+        try {
+            if (this.editingLibraryId) {
+                this.library.update(this.editingLibraryId, fields);
+            } else {
+                savedId = this.library.add({ ...fields, matrix: this.targetMatrix }).id;
             }
+        } catch (error) {
+            this.showLibraryMessage(error.message, true);
+            return;
+        }
 
-            // Right Arrow - Step Forward
-            if (e.code === 'ArrowRight') {
+        this.hideLibraryForm();
+        this.renderLibrary();
+        if (savedId) {
+            // The current matrix is now this saved entry
+            setActivePresetChip(LIBRARY_PREFIX + savedId);
+        }
+    }
+
+    deleteLibraryItem(id) {
+        const item = this.library.get(id);
+        if (!item || !confirm(`Delete "${item.name}" from your library?`)) return;
+
+        this.library.remove(id);
+        if (this.editingLibraryId === id) {
+            this.hideLibraryForm();
+        }
+        this.renderLibrary();
+    }
+
+    exportLibrary() {
+        const json = JSON.stringify(this.library.toJSON(), null, 2);
+        downloadBlob(new Blob([json], { type: 'application/json' }), 'matrix-library.json');
+    }
+
+    async importLibrary(file) {
+        if (!file) return;
+
+        try {
+            const count = this.library.importJSON(await file.text());
+            this.renderLibrary();
+            this.showLibraryMessage(`Imported ${count} matrix${count === 1 ? '' : 'es'}.`);
+        } catch (error) {
+            this.showLibraryMessage(error.message, true);
+        }
+    }
+
+    showLibraryMessage(text, isError = false) {
+        const message = document.getElementById('libraryMessage');
+        message.textContent = text;
+        message.classList.toggle('error', isError);
+    }
+
+    setupModeSelector() {
+        document.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setViewMode(btn.dataset.mode));
+        });
+
+        document.querySelectorAll('[data-power-example]').forEach(btn => {
+            btn.addEventListener('click', () => this.loadPowerExample(btn.dataset.powerExample));
+        });
+
+        document.querySelectorAll('[data-phase-mode]').forEach(btn => {
+            btn.addEventListener('click', () => this.setPhaseMode(btn.dataset.phaseMode));
+        });
+
+        document.querySelectorAll('[data-interpolation]').forEach(btn => {
+            btn.addEventListener('click', () => this.setInterpolationMode(btn.dataset.interpolation));
+        });
+
+        document.querySelectorAll('[data-quiz-type]').forEach(btn => {
+            btn.addEventListener('click', () => this.setQuizType(btn.dataset.quizType));
+        });
+
+        document.querySelectorAll('[data-pca-example]').forEach(btn => {
+            btn.addEventListener('click', () => this.loadPcaExample(btn.dataset.pcaExample));
+        });
+
+        document.querySelectorAll('[data-markov-example]').forEach(btn => {
+            btn.addEventListener('click', () => this.loadMarkovExample(btn.dataset.markovExample));
+        });
+
+        document.querySelectorAll('[data-markov-start]').forEach(btn => {
+            const [x, y] = btn.dataset.markovStart.split(',').map(Number);
+            btn.addEventListener('click', () => this.setMarkovStart({ x, y }));
+        });
+        this.renderQuizPanel();
+    }
+
+    setupMouseTracking() {
+        this.canvas.addEventListener('mousemove', (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const previousPos = this.mousePos;
+            this.mousePos = {
+                x: e.clientX - rect.left,
+                y: e.clientY - rect.top
+            };
+
+            if (this.isPanning) {
+                if (previousPos) {
+                    this.panBy(this.mousePos.x - previousPos.x, this.mousePos.y - previousPos.y);
+                }
+                this.canvas.style.cursor = 'grabbing';
+                if (!this.isAnimating) {
+                    this.draw();
+                }
+                return;
+            }
+
+            if (this.quizGuessIndex >= 0) {
+                this.dragQuizGuess(this.mousePos.x, this.mousePos.y);
+                return;
+            }
+
+            // Handle dragging eigenvector
+            if (this.isDraggingEigenvector && this.draggedEigenvectorIndex >= 0) {
+                const mathCoords = this.toMathCoords(this.mousePos.x, this.mousePos.y);
+
+                // Calculate new eigenvector direction (normalized)
+                const magnitude = Math.sqrt(mathCoords.x * mathCoords.x + mathCoords.y * mathCoords.y);
+                if (magnitude > 0.1) { // Minimum distance threshold
+                    const newDirection = {
+                        x: mathCoords.x / magnitude,
+                        y: mathCoords.y / magnitude
+                    };
+                    const newEigenvalue = magnitude / 3; // Scale factor (eigenvectors displayed at scale=3)
+                    this.setEigenpair(this.draggedEigenvectorIndex, newDirection, newEigenvalue);
+                }
+
+                if (!this.isAnimating) {
+                    this.draw();
+                }
+                return;
+            }
+
+            // Handle dragging existing custom vector
+            if (this.isDraggingExistingVector && this.draggedVectorIndex >= 0) {
+                const mathCoords = this.toMathCoords(this.mousePos.x, this.mousePos.y);
+                this.customVectors[this.draggedVectorIndex] = { x: mathCoords.x, y: mathCoords.y };
+                if (this.viewMode === 'power') {
+                    this.restartPowerIteration();
+                }
+                if (!this.isAnimating) {
+                    this.draw();
+                }
+                return;
+            }
+
+            // Draw preview while dragging new vector
+            if (this.isDraggingNewVector) {
+                if (!this.isAnimating) {
+                    this.draw();
+                }
+                return;
+            }
+
+            // Reset hover states
+            this.hoveredVectorIndex = -1;
+            this.hoveredEigenvectorIndex = -1;
+
+            // Check if hovering over any eigenvector endpoint
+            const eigenvectors = this.targetMatrix.getEigenvectors();
+            if (eigenvectors && !this.areEigenvectorsHidden() && this.viewMode !== 'pca') {
+                const scale = 3;
+                const eigenVecs = [
+                    { x: eigenvectors.v1.x * scale, y: eigenvectors.v1.y * scale, idx: 0 },
+                    { x: -eigenvectors.v1.x * scale, y: -eigenvectors.v1.y * scale, idx: 0 },
+                    { x: eigenvectors.v2.x * scale, y: eigenvectors.v2.y * scale, idx: 1 },
+                    { x: -eigenvectors.v2.x * scale, y: -eigenvectors.v2.y * scale, idx: 1 }
+                ];
+
+                eigenVecs.forEach(vec => {
+                    const transformed = this.currentMatrix.transform(vec.x, vec.y);
+                    const end = this.toScreenCoords(transformed.x, transformed.y);
+
+                    const dx = this.mousePos.x - end.x;
+                    const dy = this.mousePos.y - end.y;
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+
+                    if (distance <= this.hoverRadius * 1.5) { // Slightly larger radius for eigenvectors
+                        this.hoveredEigenvectorIndex = vec.idx;
+                    }
+                });
+            }
+
+            // Check if hovering over any test vector endpoint (only if not hovering eigenvector)
+            if (this.hoveredEigenvectorIndex === -1 && this.isTransformView()) {
+                this.testVectors.forEach((vec, idx) => {
+                    const transformed = this.currentMatrix.transform(vec.x, vec.y);
+                    const end = this.toScreenCoords(transformed.x, transformed.y);
+
+                    const dx = this.mousePos.x - end.x;
+                    const dy = this.mousePos.y - end.y;
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+
+                    if (distance <= this.hoverRadius) {
+                        this.hoveredVectorIndex = idx;
+                    }
+                });
+            }
+
+            if (!this.isAnimating) {
+                this.draw();
+            }
+        });
+
+        this.canvas.addEventListener('mouseleave', () => {
+            if (this.isPanning) {
+                this.isPanning = false;
+                this.updateURL();
+            }
+            this.mousePos = null;
+            this.hoveredVectorIndex = -1;
+            this.hoveredEigenvectorIndex = -1;
+            if (!this.isAnimating) {
+                this.draw();
+            }
+        });
+
+        // Change cursor based on state
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (this.isPanning) return;
+
+            // Check if hovering over delete button
+            let hoveringDelete = false;
+            this.customVectors.forEach((vec) => {
+                const transformed = this.currentMatrix.transform(vec.x, vec.y);
+                const end = this.toScreenCoords(transformed.x, transformed.y);
+                const btnX = end.x + 20;
+                const btnY = end.y - 20;
+                const btnRadius = 8;
+
+                if (this.mousePos) {
+                    const dx = this.mousePos.x - btnX;
+                    const dy = this.mousePos.y - btnY;
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    if (distance <= btnRadius) {
+                        hoveringDelete = true;
+                    }
+                }
+            });
+
+            if (hoveringDelete) {
+                this.canvas.style.cursor = 'pointer';
+            } else if (this.isDraggingEigenvector) {
+                this.canvas.style.cursor = 'grabbing';
+            } else if (this.isDraggingNewVector) {
+                this.canvas.style.cursor = 'crosshair';
+            } else if (this.isDraggingExistingVector) {
+                this.canvas.style.cursor = 'move';
+            } else if (this.hoveredEigenvectorIndex >= 0) {
+                this.canvas.style.cursor = 'grab'; // Grab cursor when hovering eigenvector
+            } else if (this.hoveredVectorIndex >= 0) {
+                this.canvas.style.cursor = 'pointer';
+            } else if (this.canvasDragPans() && !e.shiftKey) {
+                this.canvas.style.cursor = 'grab'; // Empty canvas pans; Shift switches to drawing
+            } else {
+                this.canvas.style.cursor = 'crosshair';
+            }
+        });
+
+        // Mouse down - start drawing or dragging
+        this.canvas.addEventListener('mousedown', (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const screenX = e.clientX - rect.left;
+            const screenY = e.clientY - rect.top;
+            const mathCoords = this.toMathCoords(screenX, screenY);
+            this.mousePos = { x: screenX, y: screenY };
+
+            // Middle-button drag pans the camera anywhere
+            if (e.button === 1) {
                 e.preventDefault();
-                this.stepForward();
+                this.startPanning();
+                return;
+            }
+
+            // Quiz: place or drag guess arrows; nothing else on the canvas is editable
+            if (this.viewMode === 'quiz') {
+                this.startQuizGuessDrag(screenX, screenY);
+                return;
+            }
+
+            // PCA: clicking adds a data point, or removes the one under the cursor
+            if (this.viewMode === 'pca') {
+                this.togglePcaPoint(screenX, screenY);
+                return;
+            }
+
+            // Markov: clicking picks the starting distribution
+            if (this.viewMode === 'markov') {
+                this.setMarkovStart(mathCoords);
+                return;
+            }
+
+            // The whole gesture (until mouseup) becomes one history entry
+            this.dragEditBefore = this.captureEditState();
+
+            // Check if clicking on eigenvector endpoint (the chain product can't be edited directly)
+            const eigenvectors = this.targetMatrix.getEigenvectors();
+            if (eigenvectors && this.viewMode !== 'chain') {
+                const scale = 3;
+                const eigenVecs = [
+                    { x: eigenvectors.v1.x * scale, y: eigenvectors.v1.y * scale, idx: 0 },
+                    { x: -eigenvectors.v1.x * scale, y: -eigenvectors.v1.y * scale, idx: 0 },
+                    { x: eigenvectors.v2.x * scale, y: eigenvectors.v2.y * scale, idx: 1 },
+                    { x: -eigenvectors.v2.x * scale, y: -eigenvectors.v2.y * scale, idx: 1 }
+                ];
+
+                for (const vec of eigenVecs) {
+                    const transformed = this.currentMatrix.transform(vec.x, vec.y);
+                    const end = this.toScreenCoords(transformed.x, transformed.y);
+
+                    const dx = screenX - end.x;
+                    const dy = screenY - end.y;
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+
+                    if (distance <= this.hoverRadius * 1.5) {
+                        this.isDraggingEigenvector = true;
+                        this.dragEditLabel = 'Drag eigenvector';
+                        this.draggedEigenvectorIndex = vec.idx;
+                        return; // Start dragging eigenvector
+                    }
+                }
+            }
+
+            // Phase portrait: clicking releases a trajectory from that point
+            if (this.viewMode === 'phase') {
+                this.addTrajectory(mathCoords);
+                return;
             }
 
-            // Left Arrow - Step Backward
-            if (e.code === 'ArrowLeft') {
-                e.preventDefault();
-                this.stepBackward();
-            }
+            // Check if clicking on delete button
+            let clickedDelete = false;
+            this.customVectors.forEach((vec, idx) => {
+                const transformed = this.currentMatrix.transform(vec.x, vec.y);
+                const end = this.toScreenCoords(transformed.x, transformed.y);
+                const btnX = end.x + 20;
+                const btnY = end.y - 20;
+                const btnRadius = 8;
+
+                const dx = screenX - btnX;
+                const dy = screenY - btnY;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+
+                if (distance <= btnRadius) {
+                    this.customVectors.splice(idx, 1);
+                    clickedDelete = true;
+                    this.dragEditLabel = 'Delete vector';
+                    this.updateURL();
+                    if (this.viewMode === 'power') {
+                        this.restartPowerIteration();
+                    }
+                    if (!this.isAnimating) {
+                        this.draw();
+                    }
+                }
+            });
+
+            if (clickedDelete) return;
+
+            // Check if clicking on existing custom vector endpoint
+            let clickedExisting = false;
+            this.customVectors.forEach((vec, idx) => {
+                const transformed = this.currentMatrix.transform(vec.x, vec.y);
+                const end = this.toScreenCoords(transformed.x, transformed.y);
+
+                const dx = screenX - end.x;
+                const dy = screenY - end.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+
+                if (distance <= this.hoverRadius) {
+                    this.isDraggingExistingVector = true;
+                    this.dragEditLabel = 'Move vector';
+                    this.draggedVectorIndex = idx;
+                    clickedExisting = true;
+                }
+            });
+
+            if (clickedExisting) return;
+
+            // Empty canvas: Shift+drag draws a new vector, a plain drag pans
+            if (e.shiftKey) {
+                this.isDraggingNewVector = true;
+                this.dragStartPos = mathCoords;
+                this.dragEditLabel = 'Add vector';
+            } else {
+                this.dragEditBefore = null;
+                this.startPanning();
+            }
+        });
+
+        // Mouse up - finalize vector
+        this.canvas.addEventListener('mouseup', (e) => {
+            if (this.isPanning) {
+                this.isPanning = false;
+                this.canvas.style.cursor = 'grab';
+                this.updateURL();
+                return;
+            }
+
+            if (this.quizGuessIndex >= 0) {
+                this.quizGuessIndex = -1;
+                return;
+            }
+
+            if (this.isDraggingNewVector && this.mousePos) {
+                const mathCoords = this.toMathCoords(this.mousePos.x, this.mousePos.y);
+                const dx = mathCoords.x - this.dragStartPos.x;
+                const dy = mathCoords.y - this.dragStartPos.y;
+
+                // Only add if vector has some magnitude (at least 0.2 units)
+                const magnitude = Math.sqrt(dx * dx + dy * dy);
+                if (magnitude > 0.2) {
+                    if (this.viewMode === 'power') {
+                        // A new vector replaces the power iteration seed
+                        this.customVectors = [{ x: dx, y: dy }];
+                        this.restartPowerIteration();
+                    } else {
+                        this.customVectors.push({ x: dx, y: dy });
+                    }
+                }
+            }
+
+            this.isDraggingNewVector = false;
+            this.isDraggingExistingVector = false;
+            this.isDraggingEigenvector = false;
+            this.dragStartPos = null;
+            this.updateURL();
+
+            if (this.dragEditBefore) {
+                this.pushHistory(this.dragEditLabel || 'Edit', this.dragEditBefore, this.captureEditState());
+                this.dragEditBefore = null;
+                this.dragEditLabel = null;
+            }
+            this.draggedVectorIndex = -1;
+            this.draggedEigenvectorIndex = -1;
+            this.scheduleSceneDescription();
+
+            if (!this.isAnimating) {
+                this.draw();
+            }
+        });
+
+        // Mouse wheel - manual zoom control
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+
+            // Zoom factor: negative deltaY = zoom in, positive = zoom out
+            const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
+            const rect = this.canvas.getBoundingClientRect();
+            this.stopCameraAnimation();
+            this.zoomAt(e.clientX - rect.left, e.clientY - rect.top, zoomFactor);
+            this.updateURL();
+
+            if (!this.isAnimating) {
+                this.draw();
+            }
+        });
+
+        // Touch event support for mobile
+        this.setupTouchEvents();
+    }
+
+    setupTouchEvents() {
+        let lastTouchDistance = 0;
+        let lastTouchMidpoint = null;
+        const getMidpoint = (touch1, touch2) => {
+            const rect = this.canvas.getBoundingClientRect();
+            return {
+                x: (touch1.clientX + touch2.clientX) / 2 - rect.left,
+                y: (touch1.clientY + touch2.clientY) / 2 - rect.top
+            };
+        };
+
+        // Touch start
+        this.canvas.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+
+            if (e.touches.length === 1) {
+                const touch = e.touches[0];
+                const rect = this.canvas.getBoundingClientRect();
+                const screenX = touch.clientX - rect.left;
+                const screenY = touch.clientY - rect.top;
+
+                // Simulate mouse position
+                this.mousePos = { x: screenX, y: screenY };
+
+                // Trigger mousedown logic. Touch pans with two fingers, so one finger draws like Shift+drag
+                const mouseDownEvent = new MouseEvent('mousedown', {
+                    clientX: touch.clientX,
+                    clientY: touch.clientY,
+                    shiftKey: true
+                });
+                this.canvas.dispatchEvent(mouseDownEvent);
+            } else if (e.touches.length === 2) {
+                // Pinch to zoom - store initial distance
+                const touch1 = e.touches[0];
+                const touch2 = e.touches[1];
+                lastTouchDistance = Math.hypot(
+                    touch2.clientX - touch1.clientX,
+                    touch2.clientY - touch1.clientY
+                );
+                lastTouchMidpoint = getMidpoint(touch1, touch2);
+                this.stopCameraAnimation();
+
+                // A second finger turns the gesture into pinch/pan, not a vector drag
+                this.isDraggingNewVector = false;
+                this.isDraggingExistingVector = false;
+            }
+        });
+
+        // Touch move
+        this.canvas.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+
+            if (e.touches.length === 1) {
+                const touch = e.touches[0];
+                const rect = this.canvas.getBoundingClientRect();
+                const screenX = touch.clientX - rect.left;
+                const screenY = touch.clientY - rect.top;
+
+                this.mousePos = { x: screenX, y: screenY };
+
+                // Trigger mousemove logic
+                const mouseMoveEvent = new MouseEvent('mousemove', {
+                    clientX: touch.clientX,
+                    clientY: touch.clientY
+                });
+                this.canvas.dispatchEvent(mouseMoveEvent);
+            } else if (e.touches.length === 2) {
+                // Pinch to zoom
+                const touch1 = e.touches[0];
+                const touch2 = e.touches[1];
+                const currentDistance = Math.hypot(
+                    touch2.clientX - touch1.clientX,
+                    touch2.clientY - touch1.clientY
+                );
+
+                const midpoint = getMidpoint(touch1, touch2);
+
+                if (lastTouchDistance > 0) {
+                    // Pinch zooms about the midpoint; moving both fingers pans
+                    const zoomFactor = currentDistance / lastTouchDistance;
+                    if (lastTouchMidpoint) {
+                        this.panBy(midpoint.x - lastTouchMidpoint.x, midpoint.y - lastTouchMidpoint.y);
+                    }
+                    this.zoomAt(midpoint.x, midpoint.y, zoomFactor);
+                    this.updateURL();
+
+                    if (!this.isAnimating) {
+                        this.draw();
+                    }
+                }
+
+                lastTouchDistance = currentDistance;
+                lastTouchMidpoint = midpoint;
+            }
+        });
+
+        // Touch end
+        this.canvas.addEventListener('touchend', (e) => {
+            e.preventDefault();
+
+            if (e.touches.length === 0) {
+                // Trigger mouseup logic
+                const mouseUpEvent = new MouseEvent('mouseup');
+                this.canvas.dispatchEvent(mouseUpEvent);
+
+                this.mousePos = null;
+                lastTouchDistance = 0;
+                lastTouchMidpoint = null;
+            }
+        });
+
+        // Touch cancel
+        this.canvas.addEventListener('touchcancel', (e) => {
+            e.preventDefault();
+            this.mousePos = null;
+            lastTouchDistance = 0;
+            lastTouchMidpoint = null;
+            this.isDraggingNewVector = false;
+            this.isDraggingExistingVector = false;
+            this.isDraggingEigenvector = false;
+        });
+    }
+
+    setupKeyboardShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            // Ignore if user is typing in an input field
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+                return;
+            }
+
+            // Ctrl/Cmd+Z - Undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) - Redo
+            if ((e.ctrlKey || e.metaKey) && (e.code === 'KeyZ' || e.code === 'KeyY')) {
+                e.preventDefault();
+                if (e.code === 'KeyY' || e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+                return;
+            }
+
+            // Space - Play/Pause
+            if (e.code === 'Space') {
+                e.preventDefault();
+                this.togglePlay();
+            }
+
+            // R - Randomize
+            if (e.code === 'KeyR' && !e.ctrlKey && !e.metaKey) {
+                e.preventDefault();
+                this.randomizeMatrix();
+            }
+
+            // Right Arrow - Step Forward
+            if (e.code === 'ArrowRight') {
+                e.preventDefault();
+                this.stepForward();
+            }
+
+            // Left Arrow - Step Backward
+            if (e.code === 'ArrowLeft') {
+                e.preventDefault();
+                this.stepBackward();
+            }
+
+            // H - Toggle Help
+            if (e.code === 'KeyH' && !e.ctrlKey && !e.metaKey) {
+                e.preventDefault();
+                this.toggleHelp();
+            }
+
+            // F - Fit view
+            if (e.code === 'KeyF' && !e.ctrlKey && !e.metaKey) {
+                e.preventDefault();
+                this.fitView();
+            }
+
+            // C - Clear Custom Vectors
+            if (e.code === 'KeyC' && !e.ctrlKey && !e.metaKey) {
+                e.preventDefault();
+                this.clearCustomVectors();
+            }
+
+            // Number keys 1-7 - Load presets
+            const presetName = getPresetShortcut(e, ['rotation', 'scaling', 'shearX', 'shearY', 'reflection', 'projection', 'squeeze']);
+            if (presetName) {
+                e.preventDefault();
+                this.loadPreset(presetName);
+            }
+
+            // Shift + 1-9 - Load saved matrices
+            const savedIndex = /^Digit[1-9]$/.test(e.code) ? Number(e.code.slice(5)) - 1 : -1;
+            if (savedIndex >= 0 && e.shiftKey && !e.ctrlKey && !e.metaKey) {
+                const item = this.library.items[savedIndex];
+                if (item) {
+                    e.preventDefault();
+                    this.loadPreset(LIBRARY_PREFIX + item.id);
+                }
+            }
+        });
+    }
+
+    // Keyboard route to the canvas drags: each eigenvector handle and custom vector gets a
+    // focusable button over its tip (positioned in draw())
+    setupVectorHandles() {
+        const container = document.getElementById('vectorHandles');
+
+        container.addEventListener('keydown', (e) => this.handleVectorHandleKey(e));
+        container.addEventListener('focusin', (e) => {
+            const [kind, index] = e.target.dataset.handle.split('-');
+            this.hoveredEigenvectorIndex = kind === 'eigen' ? Number(index) : -1;
+            if (!this.isAnimating) {
+                this.draw();
+            }
+        });
+        container.addEventListener('focusout', () => {
+            this.hoveredEigenvectorIndex = -1;
+            if (!this.isAnimating) {
+                this.draw();
+            }
+        });
+
+        document.getElementById('addVectorBtn').addEventListener('click', () => this.addCustomVector());
+    }
+
+    getVectorHandles() {
+        const format = x => Number(x.toFixed(2));
+        const handles = [];
+
+        // Same rules as the mouse: no eigenvector drags in the chain, quiz or PCA, no vector edits in the phase portrait, quiz or PCA
+        const eigenvectors = this.targetMatrix.getEigenvectors();
+        if (eigenvectors && !this.modeOwnsMatrix()) {
+            [[eigenvectors.v1, eigenvectors.lambda1], [eigenvectors.v2, eigenvectors.lambda2]].forEach(([v, lambda], i) => {
+                const angle = Math.round(((Math.atan2(v.y, v.x) * 180 / Math.PI) % 180 + 180) % 180);
+                handles.push({
+                    key: `eigen-${i}`,
+                    point: { x: v.x * 3, y: v.y * 3 },
+                    label: `Eigenvector ${i + 1}: direction ${angle}°, eigenvalue ${format(lambda)}. Left and Right arrows rotate it, Up and Down change the eigenvalue.`
+                });
+            });
+        }
+        if (this.viewMode !== 'phase' && this.viewMode !== 'quiz' && this.viewMode !== 'pca') {
+            this.customVectors.forEach((vec, i) => {
+                handles.push({
+                    key: `custom-${i}`,
+                    point: vec,
+                    label: `Custom vector ${i + 1} at (${format(vec.x)}, ${format(vec.y)}). Arrow keys move it, Delete removes it.`
+                });
+            });
+        }
+        return handles;
+    }
+
+    updateVectorHandles() {
+        const container = document.getElementById('vectorHandles');
+        if (!container) return;
+
+        // Rebuild only when the set of handles changes, so keyboard focus survives redraws
+        const handles = this.getVectorHandles();
+        const keys = handles.map(handle => handle.key).join(' ');
+        if (container.dataset.keys !== keys) {
+            const focused = container.contains(document.activeElement) ? document.activeElement.dataset.handle : null;
+            container.innerHTML = handles.map(handle => `<button class="vector-handle" data-handle="${handle.key}"></button>`).join('');
+            container.dataset.keys = keys;
+
+            const refocus = focused && container.querySelector(`[data-handle="${focused}"]`);
+            if (refocus) {
+                refocus.focus();
+            }
+        }
+
+        handles.forEach((handle, i) => {
+            const button = container.children[i];
+            const transformed = this.currentMatrix.transform(handle.point.x, handle.point.y);
+            const end = this.toScreenCoords(transformed.x, transformed.y);
+            button.style.left = `${end.x}px`;
+            button.style.top = `${end.y}px`;
+            button.setAttribute('aria-label', handle.label);
+        });
+    }
+
+    handleVectorHandleKey(e) {
+        const [kind, indexText] = e.target.dataset.handle.split('-');
+        const index = Number(indexText);
+        const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] };
+        const arrow = arrows[e.key];
+        const isDelete = kind === 'custom' && (e.key === 'Delete' || e.key === 'Backspace');
+        if (!arrow && !isDelete) return;
+
+        // Keep arrow keys from also scrubbing the timeline
+        e.preventDefault();
+        e.stopPropagation();
+
+        const before = this.beginEdit();
+        let label;
+        if (kind === 'eigen') {
+            const eigenvectors = this.targetMatrix.getEigenvectors();
+            const v = index === 0 ? eigenvectors.v1 : eigenvectors.v2;
+            let lambda = index === 0 ? eigenvectors.lambda1 : eigenvectors.lambda2;
+            let angle = Math.atan2(v.y, v.x);
+
+            if (arrow[0] !== 0) {
+                angle -= arrow[0] * (e.shiftKey ? 15 : 5) * Math.PI / 180; // Right turns clockwise
+            } else {
+                lambda += arrow[1] * (e.shiftKey ? 0.5 : 0.1);
+            }
+            this.setEigenpair(index, { x: Math.cos(angle), y: Math.sin(angle) }, lambda);
+            label = 'Drag eigenvector';
+        } else if (isDelete) {
+            this.customVectors.splice(index, 1);
+            label = 'Delete vector';
+        } else {
+            const step = e.shiftKey ? 0.5 : 0.1;
+            const vec = this.customVectors[index];
+            this.customVectors[index] = { x: vec.x + arrow[0] * step, y: vec.y + arrow[1] * step };
+            label = 'Move vector';
+        }
+        this.endEdit(label, before, isDelete ? null : `keyboard-${e.target.dataset.handle}`);
+
+        if (kind === 'custom' && this.viewMode === 'power') {
+            this.restartPowerIteration();
+        }
+        this.scheduleSceneDescription();
+        this.updateURL();
+        this.draw();
+
+        // After a delete, land on the next vector or back on the Add button
+        if (isDelete && !document.getElementById('vectorHandles').contains(document.activeElement)) {
+            const next = document.querySelector(`[data-handle="custom-${Math.min(index, this.customVectors.length - 1)}"]`);
+            (next || document.getElementById('addVectorBtn')).focus();
+        }
+    }
+
+    // Keyboard alternative to drawing a vector with the mouse
+    addCustomVector() {
+        if (this.viewMode === 'phase' || this.viewMode === 'quiz') return;
+
+        const before = this.beginEdit();
+        const vector = { x: 1, y: 1 };
+        if (this.viewMode === 'power') {
+            // A new vector replaces the power iteration seed
+            this.customVectors = [vector];
+            this.restartPowerIteration();
+        } else {
+            this.customVectors.push(vector);
+        }
+        this.endEdit('Add vector', before);
+        this.scheduleSceneDescription();
+        this.updateURL();
+        this.draw();
+
+        const handle = document.querySelector(`[data-handle="custom-${this.customVectors.length - 1}"]`);
+        if (handle) {
+            handle.focus();
+        }
+    }
+
+    // The canvas is opaque to assistive technology, so a live region describes it in words
+    scheduleSceneDescription() {
+        if (this.sceneDescriptionTimer) return;
+        this.sceneDescriptionTimer = setTimeout(() => {
+            this.sceneDescriptionTimer = null;
+            this.updateSceneDescription();
+        }, 300);
+    }
+
+    updateSceneDescription() {
+        // Only touch the regions when the wording changes, so screen readers aren't re-triggered
+        const setText = (id, text) => {
+            const el = document.getElementById(id);
+            if (el && el.textContent !== text) {
+                el.textContent = text;
+            }
+        };
+        setText('sceneSummary', this.describeScene());
+        setText('sceneProgress', this.describeProgress());
+    }
+
+    describeScene() {
+        const format = x => Number(x.toFixed(2));
+        const point = v => `(${format(v.x)}, ${format(v.y)})`;
+        const A = this.targetMatrix;
+        const parts = [];
+
+        // "Which preset?" questions hide the entries too
+        if (this.isMatrixHidden()) {
+            parts.push('Matrix A is hidden until you answer.');
+        } else {
+            parts.push(`Matrix A has rows (${format(A.a)}, ${format(A.b)}) and (${format(A.c)}, ${format(A.d)}).`);
+        }
+
+        // Eigenvalues and eigen-directions
+        const hidden = this.areEigenvectorsHidden();
+        const eigenvalues = A.eigenvalues();
+        const eigenvectors = A.getEigenvectors();
+        const angle = v => `${Math.round(((Math.atan2(v.y, v.x) * 180 / Math.PI) % 180 + 180) % 180)}°`;
+        if (hidden) {
+            parts.push('Eigenvalues are hidden until you answer.');
+        } else if (!eigenvectors) {
+            parts.push(`Complex eigenvalues ${format(eigenvalues.lambda1.real)} plus or minus ${format(Math.abs(eigenvalues.lambda1.imag))} i: there are no real eigen-directions, so every vector turns off its span.`);
+        } else if (Math.abs(eigenvectors.lambda1 - eigenvectors.lambda2) < 1e-9) {
+            parts.push(A.isDefective()
+                ? `Repeated eigenvalue ${format(eigenvectors.lambda1)} with a single eigen-direction at ${angle(eigenvectors.v1)}.`
+                : `Repeated eigenvalue ${format(eigenvectors.lambda1)}: every direction is an eigen-direction.`);
+        } else {
+            parts.push(`Eigenvalues ${format(eigenvectors.lambda1)} and ${format(eigenvectors.lambda2)}. ` +
+                `Eigen-direction 1 lies at ${angle(eigenvectors.v1)} and is scaled by ${format(eigenvectors.lambda1)}; ` +
+                `eigen-direction 2 lies at ${angle(eigenvectors.v2)} and is scaled by ${format(eigenvectors.lambda2)}.`);
+        }
+
+        // Determinant sign
+        const det = A.determinant();
+        if (Math.abs(det) < 1e-9) {
+            parts.push('Determinant 0: A flattens the plane onto a line or a point.');
+        } else {
+            parts.push(`Determinant ${format(det)}, ${det > 0 ? 'positive: orientation is preserved' : 'negative: orientation is flipped'}.`);
+        }
+
+        // Which vectors stay on their span (this would give the quiz away)
+        const describeVector = v => {
+            const image = A.transform(v.x, v.y);
+            const cross = v.x * image.y - v.y * image.x;
+            const length = Math.hypot(v.x, v.y);
+            if (Math.abs(cross) > 1e-6 * length * (Math.hypot(image.x, image.y) + 1)) {
+                return { image, onSpan: false };
+            }
+            return { image, onSpan: true, factor: (image.x * v.x + image.y * v.y) / (length * length) };
+        };
+        if (!hidden && this.isTransformView()) {
+            const results = this.testVectors.map(v => ({ v, ...describeVector(v) }));
+            const staying = results.filter(r => r.onSpan).map(r => `${point(r.v)} scaled by ${format(r.factor)}`);
+            const leaving = results.filter(r => !r.onSpan).map(r => point(r.v));
+            if (staying.length > 0) {
+                parts.push(`Test vectors that stay on their span: ${staying.join(', ')}.`);
+            }
+            if (leaving.length > 0) {
+                parts.push(`Test vectors knocked off their span: ${leaving.join(', ')}.`);
+            }
+        }
+        if (this.viewMode === 'markov') {
+            parts.push(this.describeMarkov());
+        } else if (this.viewMode === 'pca') {
+            parts.push(this.pca
+                ? `${this.pcaPoints.length} data points with mean ${point(this.pca.mean)}. A is their covariance matrix. ` +
+                    `The first principal component lies at ${angle(this.pca.v1)} and explains ${format(this.pca.explained[0] * 100)}% of the variance; ` +
+                    `the second explains ${format(this.pca.explained[1] * 100)}%.`
+                : `${this.pcaPoints.length} data point${this.pcaPoints.length === 1 ? '' : 's'}: click the canvas to add more.`);
+        } else if (!hidden && this.viewMode !== 'phase') {
+            this.customVectors.forEach((v, i) => {
+                const result = describeVector(v);
+                parts.push(`Custom vector ${i + 1}, ${point(v)}, maps to ${point(result.image)} and ` +
+                    `${result.onSpan ? `stays on its span, scaled by ${format(result.factor)}` : 'leaves its span'}.`);
+            });
+        }
+
+        return parts.join(' ');
+    }
+
+    describeProgress() {
+        if (this.viewMode === 'power') {
+            return `Power iteration step ${this.powerSteps}.`;
+        }
+        if (this.viewMode === 'markov') {
+            return `Markov chain step ${this.markovSteps}.`;
+        }
+        if (this.viewMode === 'pca') {
+            const percent = Math.round(this.animationProgress * (this.isAnimating ? 4 : 100)) * (this.isAnimating ? 25 : 1);
+            return `Points ${percent}% of the way onto the first principal component.`;
+        }
+        if (!this.isTransformView()) {
+            return '';
+        }
+
+        // While playing, only announce quarters so the region isn't read every frame
+        const percent = this.isAnimating
+            ? Math.round(this.animationProgress * 4) * 25
+            : Math.round(this.animationProgress * 100);
+        if (percent >= 100) {
+            return 'Animation at 100%: the plane shows A applied.';
+        }
+        return `Animation ${this.isAnimating ? 'playing' : 'paused'} at ${percent}% of the way from I to A.`;
+    }
+
+    setupNavigationButton() {
+        // Update the diagonalization and SVD links with current matrix whenever the matrix changes
+        const updateDiagonalizationLink = () => {
+            // Keep the previous links while a quiz answer is hidden
+            if (this.isMatrixHidden()) return;
+
+            const matrix = this.targetMatrix;
+            const matrixParam = `${matrix.a},${matrix.b},${matrix.c},${matrix.d}`;
+            document.querySelectorAll('.nav-action-btn[data-page]').forEach(navBtn => {
+                navBtn.href = `${navBtn.dataset.page}?matrix=${matrixParam}`;
+            });
+        };
+
+        // Update link initially
+        updateDiagonalizationLink();
+
+        // Store reference to update function so other methods can call it
+        this.updateDiagonalizationLink = updateDiagonalizationLink;
+    }
+
+    setProgress(progress) {
+        this.animationProgress = Math.max(0, Math.min(1, progress));
+        this.syncChainSegment();
+        this.currentMatrix = this.getMatrixAtProgress(this.animationProgress);
+        this.updateProgressUI();
+        this.draw();
+    }
+
+    updateMatrixFromInputs() {
+        const a = parseFloat(document.getElementById('a11').value) || 0;
+        const b = parseFloat(document.getElementById('a12').value) || 0;
+        const c = parseFloat(document.getElementById('a21').value) || 0;
+        const d = parseFloat(document.getElementById('a22').value) || 0;
+
+        this.targetMatrix = new Matrix2D(a, b, c, d);
+
+        // Skip these operations when dragging eigenvectors (to prevent circular updates)
+        if (!this.eigenvectorDragMode) {
+            // Clear custom vectors when matrix values change
+            this.customVectors = [];
+
+            // Clear active preset selection when entering custom values
+            document.querySelectorAll('.preset-chip').forEach(chip => {
+                chip.classList.remove('active');
+            });
+        }
+
+        this.updateInfo();
+
+        if (!this.isAnimating) {
+            this.currentMatrix = this.getMatrixAtProgress(this.animationProgress);
+            this.draw();
+        }
+
+        // Update navigation link with new matrix
+        if (this.updateDiagonalizationLink) {
+            this.updateDiagonalizationLink();
+        }
+    }
+
+    updateInfo() {
+        const eigenvalues = this.targetMatrix.eigenvalues();
+        const eigenCards = document.getElementById('eigenCards');
+        const charEquation = document.getElementById('charEquation');
+
+        // Closed forms when the entries are rational (see shared/exact.js), decimals otherwise
+        const exact = this.exactValues ? exactEigenAnalysis(this.targetMatrix) : null;
+
+        // Display characteristic equation
+        const trace = this.targetMatrix.trace();
+        const det = this.targetMatrix.determinant();
+        charEquation.innerHTML = `
+            <div class="char-equation-label">Characteristic Equation</div>
+            <div class="char-equation">
+                ${exact ? exact.charPoly : `λ² − ${trace.toFixed(3)}λ + ${det.toFixed(3)} = 0`}
+            </div>
+        `;
+
+        if (eigenvalues.isComplex) {
+            eigenCards.innerHTML = `
+                <div class="complex-warning">
+                    Complex eigenvalues detected: No real eigenvectors exist.
+                    This transformation involves rotation.
+                </div>
+                <div class="eigen-card">
+                    <div class="eigen-value" style="color: #06B6D4;">
+                        λ₁ = ${exact ? formatExactComplex(exact.lambda1.re, exact.lambda1.im) : `${eigenvalues.lambda1.real.toFixed(3)} + ${eigenvalues.lambda1.imag.toFixed(3)}i`}
+                    </div>
+                </div>
+                <div class="eigen-card">
+                    <div class="eigen-value" style="color: #EC4899;">
+                        λ₂ = ${exact ? formatExactComplex(exact.lambda2.re, exact.lambda2.im) : `${eigenvalues.lambda2.real.toFixed(3)} - ${Math.abs(eigenvalues.lambda2.imag).toFixed(3)}i`}
+                    </div>
+                </div>
+            `;
+        } else {
+            const eigenvectors = this.targetMatrix.getEigenvectors();
+            const lambdaText = i => exact ? `${exact[`lambda${i}`]}` : eigenvectors[`lambda${i}`].toFixed(3);
+            const vectorText = i => {
+                const v = exact ? exact[`v${i}`] : eigenvectors[`v${i}`];
+                return exact ? `${v[0]}, ${v[1]}` : `${v.x.toFixed(3)}, ${v.y.toFixed(3)}`;
+            };
+
+            // In PCA the eigenvectors are the principal components, ranked by the variance they explain
+            const pca = this.viewMode === 'pca' ? this.pca : null;
+            const cardLabel = i => pca ? `PRINCIPAL COMPONENT ${i}` : `EIGENVECTOR ${i}`;
+            const explainedText = i => pca
+                ? ` <span class="explained-variance">${(pca.explained[i - 1] * 100).toFixed(1)}% of variance</span>`
+                : '';
+            eigenCards.innerHTML = `
+                <div class="eigen-card">
+                    <div class="eigen-card-header">
+                        <span class="eigen-label">${cardLabel(1)}</span>
+                        <div class="eigen-color-indicator" style="background: #06B6D4; color: #06B6D4;"></div>
+                    </div>
+                    <div class="eigen-value" style="color: #06B6D4;">
+                        λ₁ = ${lambdaText(1)}${explainedText(1)}
+                    </div>
+                    <div class="eigen-vector">
+                        v₁ = [${vectorText(1)}]
+                    </div>
+                </div>
+                <div class="eigen-card">
+                    <div class="eigen-card-header">
+                        <span class="eigen-label">${cardLabel(2)}</span>
+                        <div class="eigen-color-indicator" style="background: #EC4899; color: #EC4899;"></div>
+                    </div>
+                    <div class="eigen-value" style="color: #EC4899;">
+                        λ₂ = ${lambdaText(2)}${explainedText(2)}
+                    </div>
+                    <div class="eigen-vector">
+                        v₂ = [${vectorText(2)}]
+                    </div>
+                </div>
+            `;
+        }
+
+        // Quiz answers stay hidden until they're checked
+        if (this.areEigenvectorsHidden()) {
+            charEquation.innerHTML = '';
+            eigenCards.innerHTML = '<div class="chain-empty">Eigen analysis is hidden until you answer.</div>';
+        }
+
+        this.updatePowerReadout();
+        this.updatePhaseReadout();
+        this.updatePcaReadout();
+        this.updateMarkovReadout();
+        this.updateInterpolationNotice();
+        this.updateDerivation();
+        this.scheduleSceneDescription();
+        this.updateURL();
+
+        // Trajectories belong to the old matrix: replay them from their starting points
+        if (this.viewMode === 'phase' && this.trajectories.length > 0) {
+            this.trajectories = this.trajectories.map(traj => ({ points: [traj.points[0]], done: false }));
+            this.startPhaseFlow();
+        }
+    }
+
+    // Worked solution under the characteristic equation, rendered while the panel is expanded
+    updateDerivation() {
+        const panel = document.getElementById('derivation');
+        if (!panel) return;
+
+        panel.hidden = this.areEigenvectorsHidden();
+        if (!panel.open || panel.hidden) return;
+
+        document.getElementById('derivationSteps').innerHTML = this.getDerivationSteps().map(step => `
+            <div class="derivation-step">
+                <div class="derivation-title">${step.title}</div>
+                ${step.lines.map(line => `<div class="derivation-line">${line}</div>`).join('')}
+            </div>
+        `).join('');
+    }
+
+    // det(A − λI) → quadratic → discriminant → eigenvalues → row reduction → A·v = λ·v.
+    // Exact when the entries are rational and exact values are on, decimals otherwise.
+    getDerivationSteps() {
+        const analysis = this.exactValues ? exactEigenAnalysis(this.targetMatrix) : null;
+        const m = this.targetMatrix;
+        const value = analysis ? x => Surd.of(x) : x => DecimalValue.of(x);
+        const [a, b, c, d] = analysis ? analysis.entries.map(value) : [m.a, m.b, m.c, m.d].map(value);
+        const sqrt = x => analysis ? Surd.sqrt(x.p) : DecimalValue.of(Math.sqrt(x.toNumber()));
+        const zero = value(0);
+        const two = value(2);
+
+        // Formatting
+        const wrap = v => isSimpleValueText(`${v}`) ? `${v}` : `(${v})`;
+        const minusLambda = v => v.isZero() ? '−λ' : `${v} − λ`;
+        const matrix = entries => `<span class="derivation-matrix">${entries.map(e => `<span>${e}</span>`).join('')}</span>`;
+        const vector = ([x, y]) => `(${x}, ${y})`;
+        const linear = (coefficients, symbols) => coefficients
+            .map((coefficient, i) => [coefficient, symbols[i]])
+            .filter(([coefficient]) => !coefficient.isZero())
+            .map(([coefficient, symbol], i) => {
+                const real = !(coefficient instanceof ComplexValue) ? coefficient : coefficient.im.isZero() ? coefficient.re : null;
+                const negative = real !== null && real.toNumber() < 0;
+                const text = `${negative ? real.neg() : coefficient}`;
+                const shown = text === '1' ? '' : real !== null && isSimpleValueText(text) ? text : `(${text})`;
+                return i === 0 ? `${negative ? '−' : ''}${shown}${symbol}` : ` ${negative ? '−' : '+'} ${shown}${symbol}`;
+            })
+            .join('');
+
+        const trace = a.add(d);
+        const det = a.mul(d).sub(b.mul(c));
+        const discriminant = trace.mul(trace).sub(value(4).mul(det));
+
+        // Same three branches as Matrix2D.eigenvalues()
+        const isComplex = analysis ? analysis.isComplex : m.eigenvalues().isComplex;
+        const isRepeated = !isComplex && discriminant.isZero();
+
+        const steps = [
+            {
+                title: '1. Set up det(A − λI)',
+                lines: [
+                    `det(A − λI) = det ${matrix([minusLambda(a), b, c, minusLambda(d)])}`,
+                    `= (${minusLambda(a)})(${minusLambda(d)}) − ${wrap(b)}·${wrap(c)}`
+                ]
+            },
+            {
+                title: '2. Expand into a quadratic',
+                lines: [
+                    `= λ² − (${a} + ${wrap(d)})λ + (${wrap(a)}·${wrap(d)} − ${wrap(b)}·${wrap(c)})`,
+                    formatCharacteristicPolynomial(trace, det)
+                ]
+            },
+            {
+                title: '3. Discriminant',
+                lines: [
+                    `Δ = (tr A)² − 4·det A = ${wrap(trace)}² − 4·${wrap(det)} = ${discriminant}`,
+                    isComplex ? 'Δ < 0: a complex-conjugate pair, so there are no real eigenvectors.'
+                        : isRepeated ? 'Δ = 0: one repeated real eigenvalue.'
+                        : 'Δ > 0: two distinct real eigenvalues.'
+                ]
+            }
+        ];
+
+        // Eigenvalues from the quadratic formula
+        let lambdas;
+        const formulaLines = [`λ = (tr A ± √Δ)/2 = (${trace} ± √${wrap(discriminant)})/2`];
+        if (isComplex) {
+            const root = sqrt(discriminant.neg());
+            lambdas = [new ComplexValue(trace.div(two), root.div(two)), new ComplexValue(trace.div(two), root.div(two).neg())];
+            formulaLines.push(`√${wrap(discriminant)} = ${new ComplexValue(zero, root)}`);
+        } else {
+            const root = sqrt(discriminant);
+            lambdas = [trace.add(root).div(two), trace.sub(root).div(two)];
+            if (!isRepeated) {
+                formulaLines.push(`√${wrap(discriminant)} = ${root}`);
+            }
+        }
+        formulaLines.push(isRepeated ? `λ₁ = λ₂ = ${lambdas[0]}` : `λ₁ = ${lambdas[0]}, λ₂ = ${lambdas[1]}`);
+        steps.push({ title: '4. Quadratic formula', lines: formulaLines });
+
+        // Eigenvectors by row-reducing A − λI (complex entries in the complex branch)
+        const lift = v => isComplex ? new ComplexValue(v, zero) : v;
+        const targets = isRepeated ? [[lambdas[0], 'λ', '']] : [[lambdas[0], 'λ₁', '₁'], ...(isComplex ? [] : [[lambdas[1], 'λ₂', '₂']])];
+        targets.forEach(([lambda, lambdaName, sub], i) => {
+            const N = [lift(a).sub(lambda), lift(b), lift(c), lift(d).sub(lambda)];
+            const row1 = [N[0], N[1]];
+            const row2 = [N[2], N[3]];
+            const isZeroRow = row => row[0].isZero() && row[1].isZero();
+            const zeroRow = [lift(zero), lift(zero)];
+            const lines = [`A − ${lambdaName}I = ${matrix(N)}`];
+            let vectors;
+            let rescaled = false;
+
+            if (isZeroRow(row1) && isZeroRow(row2)) {
+                lines.push('A − λI = 0, so every nonzero vector is an eigenvector.');
+                vectors = [[value(1), zero], [zero, value(1)]].map(v => v.map(lift));
+            } else {
+                let row = row1;
+                if (isZeroRow(row1)) {
+                    row = row2;
+                    lines.push(`R₁ ↔ R₂ → ${matrix([...row2, ...zeroRow])}`);
+                } else if (!isZeroRow(row2)) {
+                    const col = row1[0].isZero() ? 1 : 0;
+                    lines.push(`R₂ → R₂ − ${wrap(row2[col].div(row1[col]))}·R₁ → ${matrix([...row1, ...zeroRow])}`);
+                }
+                lines.push(`${linear(row, ['x', 'y'])} = 0, so take x = ${row[1].neg()}, y = ${row[0]}`);
+
+                let v = [row[1].neg(), row[0]];
+                if (analysis && !isComplex) {
+                    const simplified = orientExactVector(simplifyExactVectors(v));
+                    rescaled = vector(simplified) !== vector(v);
+                    v = simplified;
+                }
+                vectors = [v];
+            }
+
+            vectors.forEach((v, j) => {
+                const name = vectors.length > 1 ? `v${['₁', '₂'][j]}` : `v${sub}`;
+                const Av = [lift(a).mul(v[0]).add(lift(b).mul(v[1])), lift(c).mul(v[0]).add(lift(d).mul(v[1]))];
+                const lambdaV = [lambda.mul(v[0]), lambda.mul(v[1])];
+                const matches = Av.every((x, k) => x.sub(lambdaV[k]).isZero());
+                lines.push(`${name} = ${vector(v)}${rescaled ? ' (rescaled)' : ''}`);
+                lines.push(`Check: A·${name} = ${vector(Av)} ${matches ? '=' : '≈'} ${lambdaName}·${name} = ${vector(lambdaV)} ✓`);
+            });
+
+            if (isRepeated && vectors.length === 1) {
+                lines.push('Only one independent eigenvector: A is defective and can\'t be diagonalized.');
+            }
+            if (isComplex) {
+                const conjugate = vectors[0].map(x => new ComplexValue(x.re, x.im.neg()));
+                lines.push(`λ₂ = ${lambdas[1]} is the conjugate, so its eigenvector is v̄₁ = ${vector(conjugate)}.`);
+            }
+
+            steps.push({ title: `${5 + i}. Eigenvector${vectors.length > 1 ? 's' : ''} for ${lambdaName}`, lines });
+        });
+
+        return steps;
+    }
+
+    loadPreset(presetName) {
+        const preset = this.getPreset(presetName);
+        if (!preset) return;
+
+        // In the quiz, picking a preset answers "which preset is this?"
+        if (this.viewMode === 'quiz') {
+            if (this.quiz && this.quiz.type === 'preset' && !this.quiz.answered) {
+                this.answerPreset(presetName);
+            }
+            return;
+        }
+
+        // The PCA covariance comes from the data, and presets aren't stochastic
+        if (this.viewMode === 'pca' || this.viewMode === 'markov') return;
+
+        // In chain mode presets are appended as factors
+        if (this.viewMode === 'chain') {
+            setActivePresetChip(presetName);
+            this.addChainFactor(preset.matrix, preset.name);
+            return;
+        }
+
+        const before = this.beginEdit();
+        setActivePresetChip(presetName);
+
+        this.targetMatrix = preset.matrix;
+
+        document.getElementById('a11').value = preset.matrix.a;
+        document.getElementById('a12').value = preset.matrix.b;
+        document.getElementById('a21').value = preset.matrix.c;
+        document.getElementById('a22').value = preset.matrix.d;
+
+        document.getElementById('transformDesc').innerHTML = `
+            <div class="desc-title">${preset.name}</div>
+            <div>${preset.description}</div>
+        `;
+
+        // Clear custom vectors when loading a new preset
+        this.customVectors = [];
+
+        this.updateInfo();
+        this.reset();
+
+        // Update navigation link with new matrix
+        if (this.updateDiagonalizationLink) {
+            this.updateDiagonalizationLink();
+        }
+
+        this.endEdit(`Load ${preset.name}`, before);
+    }
+
+    // Hooks for the lesson runner (shared/lessons.js)
+    getLessonState() {
+        return {
+            page: 'eigenvectors',
+            matrix: this.targetMatrix,
+            progress: this.animationProgress,
+            isAnimating: this.isAnimating || this.phaseRunning || this.powerTimer !== null || this.markovTimer !== null,
+            customVectors: this.customVectors,
+            viewMode: this.viewMode
+        };
+    }
+
+    setLessonMatrix(matrix, presetName) {
+        if (presetName) {
+            this.loadPreset(presetName);
+            return;
+        }
+
+        const before = this.beginEdit();
+        setActivePresetChip(null);
+        this.targetMatrix = matrix;
+        this.updateMatrixInputFields(matrix);
+        this.customVectors = [];
+        this.updateInfo();
+        this.reset();
+        if (this.updateDiagonalizationLink) {
+            this.updateDiagonalizationLink();
+        }
+        this.endEdit('Lesson step', before);
+    }
+
+    togglePlay() {
+        if (this.viewMode === 'power') {
+            this.togglePowerRun();
+            return;
+        }
+        if (this.viewMode === 'markov') {
+            this.toggleMarkovRun();
+            return;
+        }
+        if (this.viewMode === 'phase') {
+            this.togglePhaseFlow();
+            return;
+        }
+
+        this.timeline.togglePlay();
+    }
+
+    // Called by the timeline on each animation frame
+    renderAnimationFrame() {
+        this.syncChainSegment();
+        this.currentMatrix = this.getMatrixAtProgress(this.animationProgress);
+
+        // Record trail positions
+        this.recordTrails();
+
+        this.updateProgressUI();
+        this.draw();
+    }
+
+    // Matrix at time t ∈ [0, 1] along the selected path from I to matrix
+    interpolateMatrix(t, matrix = this.targetMatrix) {
+        if (this.interpolationMode === 'exponential') {
+            const log = matrix.logarithm();
+            if (log) {
+                return log.scale(t).exp();
+            }
+        }
+        return Matrix2D.lerp(Matrix2D.identity(), matrix, t);
+    }
+
+    // Matrix shown at a point on the timeline. In chain mode the timeline is split
+    // into one segment per factor: segment k plays Mₖ on top of the product before it.
+    getMatrixAtProgress(progress) {
+        // PCA plays a projection of the points instead; the plane stays put
+        if (this.viewMode === 'pca') {
+            return Matrix2D.identity();
+        }
+        if (this.viewMode !== 'chain') {
+            return this.interpolateMatrix(easeInOutCubic(progress));
+        }
+
+        const segment = this.getChainSegment(progress);
+        if (!segment) {
+            return Matrix2D.identity();
+        }
+
+        const products = this.getChainProducts();
+        const before = segment.index === 0 ? Matrix2D.identity() : products[segment.index - 1];
+        const factor = this.chain[segment.index].matrix;
+        return this.interpolateMatrix(easeInOutCubic(segment.t), factor).multiply(before);
+    }
+
+    setInterpolationMode(mode) {
+        this.interpolationMode = mode;
+
+        document.querySelectorAll('[data-interpolation]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.interpolation === mode);
+        });
+
+        // Old trails followed the other path
+        this.eigenTrails = [[], []];
+        this.updateInterpolationNotice();
+
+        if (!this.isAnimating) {
+            this.currentMatrix = this.getMatrixAtProgress(this.animationProgress);
+            this.draw();
+        }
+    }
+
+    // Explain why the exponential path falls back to linear interpolation
+    updateInterpolationNotice() {
+        const notice = document.getElementById('interpolationNotice');
+        if (!notice) return;
+
+        // In chain mode every factor is animated separately
+        const matrices = this.viewMode === 'chain' ? this.chain.map(factor => factor.matrix) : [this.targetMatrix];
+        const failing = matrices.find(matrix => !matrix.logarithm());
+
+        if (this.interpolationMode !== 'exponential' || !failing) {
+            notice.style.display = 'none';
+            return;
+        }
+
+        const det = failing.determinant();
+        let reason = 'A has negative eigenvalues';
+        if (Math.abs(det) < 1e-9) {
+            reason = 'A is singular (λ = 0)';
+        } else if (det < 0) {
+            reason = 'A has eigenvalues of opposite sign';
+        }
+
+        notice.textContent = `No real logarithm: ${reason}, so exp(t·log A) is undefined. Using linear interpolation instead.`;
+        notice.style.display = 'flex';
+    }
+
+    // Trails sample currentMatrix, so they follow whichever path interpolateMatrix() takes
+    recordTrails() {
+        const eigenvectors = this.targetMatrix.getEigenvectors();
+        if (!eigenvectors) {
+            this.eigenTrails = [[], []];
+            return;
+        }
+
+        const scale = 3;
+
+        // Record eigenvector 1 position
+        const v1 = this.currentMatrix.transform(
+            eigenvectors.v1.x * scale,
+            eigenvectors.v1.y * scale
+        );
+        this.eigenTrails[0].push({ x: v1.x, y: v1.y });
+        if (this.eigenTrails[0].length > this.maxTrailLength) {
+            this.eigenTrails[0].shift();
+        }
+
+        // Record eigenvector 2 position
+        const v2 = this.currentMatrix.transform(
+            eigenvectors.v2.x * scale,
+            eigenvectors.v2.y * scale
+        );
+        this.eigenTrails[1].push({ x: v2.x, y: v2.y });
+        if (this.eigenTrails[1].length > this.maxTrailLength) {
+            this.eigenTrails[1].shift();
+        }
+    }
+
+    stepForward() {
+        if (this.viewMode === 'power') {
+            this.stepPowerIteration(1);
+            return;
+        }
+        if (this.viewMode === 'markov') {
+            this.stepMarkov(1);
+            return;
+        }
+        if (this.viewMode === 'phase') {
+            this.stepPhase(1);
+            return;
+        }
+
+        this.timeline.step(1);
+    }
+
+    stepBackward() {
+        if (this.viewMode === 'power') {
+            this.stepPowerIteration(-1);
+            return;
+        }
+        if (this.viewMode === 'markov') {
+            this.stepMarkov(-1);
+            return;
+        }
+        if (this.viewMode === 'phase') {
+            this.stepPhase(-1);
+            return;
+        }
+
+        this.timeline.step(-1);
+    }
+
+    reset() {
+        this.timeline.stop();
+        this.animationProgress = 0;
+        this.currentMatrix = Matrix2D.identity();
+        this.eigenTrails = [[], []];
+        this.stopPowerRun();
+        this.powerSteps = 0;
+        this.updatePowerReadout();
+        this.stopMarkovRun();
+        this.markovSteps = 0;
+        this.updateMarkovReadout();
+        this.stopPhaseFlow();
+        this.trajectories = [];
+        if (this.viewMode === 'chain') {
+            this.syncChainSegment(true);
+        }
+        this.updateProgressUI();
+        this.draw();
+    }
+
+    setSpeed(speed) {
+        this.timeline.setSpeed(speed);
+        this.updateURL();
+    }
+
+    clearCustomVectors() {
+        const before = this.beginEdit();
+        this.customVectors = [];
+        this.endEdit('Clear vectors', before);
+        this.scheduleSceneDescription();
+        this.updateURL();
+        if (!this.isAnimating) {
+            this.draw();
+        }
+    }
+
+    toggleExactValues(enabled) {
+        this.exactValues = enabled;
+        saveExactPreference(enabled);
+        this.updateInfo();
+    }
+
+    toggleDeterminant(enabled) {
+        this.showDeterminant = enabled;
+        this.updateURL();
+        if (!this.isAnimating) {
+            this.draw();
+        }
+    }
+
+    // Download the current frame (see shared/export.js)
+    exportImage(format) {
+        if (format === 'svg') {
+            exportSceneSVG(this, 'eigenvectors.svg');
+        } else {
+            exportScenePNG(this, 'eigenvectors.png');
+        }
+    }
+
+    // Record I → A at a fixed frame rate as WebM (or zipped PNG frames)
+    async recordAnimation() {
+        if (this.isRecording || !this.isTransformView()) return;
+
+        const recordBtn = document.getElementById('recordBtn');
+        const recordLabel = recordBtn.querySelector('span');
+        const withOverlays = document.getElementById('recordOverlays').checked;
+
+        // Take over the timeline from any running animation
+        this.timeline.stop();
+        this.eigenTrails = [[], []];
+        this.isRecording = true;
+        recordBtn.disabled = true;
+
+        try {
+            await recordSceneAnimation(this, {
+                filename: 'eigenvectors',
+                duration: 3 * this.getSegmentCount(),
+                renderFrame: (progress) => {
+                    this.animationProgress = progress;
+                    this.syncChainSegment();
+                    this.currentMatrix = this.getMatrixAtProgress(progress);
+                    this.recordTrails();
+                    this.updateProgressUI();
+                },
+                getOverlayCards: withOverlays ? () => this.getRecordingOverlayCards() : null,
+                onProgress: (fraction) => {
+                    recordLabel.textContent = `${Math.round(fraction * 100)}%`;
+                }
+            });
+        } finally {
+            this.isRecording = false;
+            recordBtn.disabled = false;
+            recordLabel.textContent = 'Record';
+            this.draw();
+        }
+    }
+
+    getRecordingOverlayCards() {
+        const m = this.targetMatrix;
+        const format = x => x.toFixed(2).padStart(6);
+        const eigenvalues = m.eigenvalues();
+
+        const eigenLines = eigenvalues.isComplex
+            ? [
+                { text: `λ = ${eigenvalues.lambda1.real.toFixed(2)} ± ${Math.abs(eigenvalues.lambda1.imag).toFixed(2)}i`, color: '#EC4899' },
+                { text: 'No real eigenvectors', color: '#9CA3AF' }
+            ]
+            : [
+                { text: `λ₁ = ${eigenvalues.lambda1.real.toFixed(3)}`, color: '#06B6D4' },
+                { text: `λ₂ = ${eigenvalues.lambda2.real.toFixed(3)}`, color: '#EC4899' }
+            ];
+
+        return [
+            {
+                title: 'Matrix A',
+                lines: [
+                    { text: `[${format(m.a)} ${format(m.b)} ]` },
+                    { text: `[${format(m.c)} ${format(m.d)} ]` }
+                ]
+            },
+            { title: 'Eigenvalues', lines: eigenLines }
+        ];
+    }
+
+    toggleHelp() {
+        const helpPanel = document.getElementById('helpPanel');
+        helpPanel.classList.toggle('visible');
+    }
+
+    setupRandomDialog() {
+        const kinds = document.getElementById('randomKinds');
+        kinds.innerHTML = Object.entries(RANDOM_MATRIX_KINDS)
+            .map(([kind, label]) => `<button class="speed-btn" data-random-kind="${kind}">${label}</button>`)
+            .join('');
+        kinds.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-random-kind]');
+            if (btn) {
+                this.selectRandomKind(btn.dataset.randomKind);
+            }
+        });
+
+        document.getElementById('randomDialog').addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.toggleRandomDialog(false);
+            }
+        });
+
+        this.selectRandomKind(this.randomConstraints.kind);
+    }
+
+    toggleRandomDialog(show) {
+        const dialog = document.getElementById('randomDialog');
+        const visible = dialog.classList.toggle('visible', show);
+        if (visible) {
+            this.selectRandomKind(this.randomConstraints.kind);
+            document.getElementById('randomInteger').checked = this.randomConstraints.integer;
+            dialog.querySelector('[data-random-kind].active').focus();
+        }
+    }
+
+    selectRandomKind(kind) {
+        document.querySelectorAll('[data-random-kind]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.randomKind === kind);
+        });
+    }
+
+    // Generate with the dialog's choices and remember them for the R shortcut
+    generateFromDialog() {
+        const active = document.querySelector('[data-random-kind].active');
+        this.randomConstraints = {
+            kind: active ? active.dataset.randomKind : 'any',
+            integer: document.getElementById('randomInteger').checked
+        };
+        document.getElementById('randomizeBtn').title = `Randomize: ${RANDOM_MATRIX_KINDS[this.randomConstraints.kind]}` +
+            (this.randomConstraints.integer ? ', integer entries' : '') + ' (R)';
+
+        this.toggleRandomDialog(false);
+        this.randomizeMatrix();
+    }
+
+    randomizeMatrix() {
+        if (this.viewMode === 'quiz') {
+            this.nextQuizQuestion();
+            return;
+        }
+        if (this.viewMode === 'pca') {
+            const names = Object.keys(PCA_EXAMPLES);
+            this.loadPcaExample(names[Math.floor(Math.random() * names.length)]);
+            return;
+        }
+        if (this.viewMode === 'markov') {
+            const stay = () => Math.round(Math.random() * 100) / 100;
+            const a = stay();
+            const d = stay();
+            this.setMarkovMatrix(new Matrix2D(a, Number((1 - d).toFixed(2)), Number((1 - a).toFixed(2)), d));
+            return;
+        }
+
+        const { matrix, description } = generateRandomMatrix(this.randomConstraints);
+        const name = RANDOM_MATRIX_KINDS[this.randomConstraints.kind];
+
+        if (this.viewMode === 'chain') {
+            this.addChainFactor(matrix, description ? name : 'Random');
+            return;
+        }
+
+        const before = this.beginEdit();
+
+        // Clear any active preset selection
+        document.querySelectorAll('.preset-chip').forEach(chip => {
+            chip.classList.remove('active');
+        });
+
+        // Reset animation state to ensure clean redraw
+        this.animationProgress = 0;
+        this.currentMatrix = Matrix2D.identity();
+
+        // Update matrix inputs and apply transformation
+        this.targetMatrix = matrix;
+        this.updateMatrixInputFields(matrix);
+        if (description) {
+            document.getElementById('transformDesc').innerHTML = `
+                <div class="desc-title">Random: ${name}</div>
+                <div>${description}</div>
+            `;
+        }
+        this.updateInfo();
+        this.updateProgressUI();
+
+        // Force a redraw
+        this.draw();
+
+        // Update navigation link with new matrix
+        if (this.updateDiagonalizationLink) {
+            this.updateDiagonalizationLink();
+        }
+
+        this.endEdit('Randomize', before);
+    }
+
+    // Replace one eigenpair and rebuild A around it (eigenvector drags and arrow keys). Returns false if A can't be rebuilt.
+    setEigenpair(index, direction, lambda) {
+        const eigenvectors = this.targetMatrix.getEigenvectors();
+        if (!eigenvectors) return false;
+
+        // Keep the other eigenpair as it is
+        const v1 = index === 0 ? direction : eigenvectors.v1;
+        const lambda1 = index === 0 ? lambda : eigenvectors.lambda1;
+        const v2 = index === 1 ? direction : eigenvectors.v2;
+        const lambda2 = index === 1 ? lambda : eigenvectors.lambda2;
+
+        const newMatrix = this.reconstructMatrixFromEigenvectors(v1, lambda1, v2, lambda2);
+        if (!newMatrix) return false;
+
+        this.eigenvectorDragMode = true; // Prevent circular updates
+        this.targetMatrix = newMatrix;
+        if (this.viewMode === 'transform') {
+            this.currentMatrix = newMatrix; // Immediate update (no animation during drag)
+        }
+
+        // Update matrix input fields
+        this.updateMatrixInputFields(newMatrix);
+        this.updateInfo();
+
+        this.eigenvectorDragMode = false;
+        return true;
+    }
+
+    reconstructMatrixFromEigenvectors(v1, lambda1, v2, lambda2) {
+        // Build P matrix (eigenvectors as columns): P = [v1 v2]
+        // P = [[v1.x, v2.x],
+        //      [v1.y, v2.y]]
+
+        const detP = v1.x * v2.y - v1.y * v2.x;
+
+        // Check if eigenvectors are (nearly) parallel - singular matrix
+        if (Math.abs(detP) < 0.05) {
+            return null; // Invalid configuration
+        }
+
+        // Compute P^(-1) = 1/det(P) * [[v2.y, -v2.x], [-v1.y, v1.x]]
+        const invDetP = 1 / detP;
+        const P_inv = {
+            a: v2.y * invDetP,
+            b: -v2.x * invDetP,
+            c: -v1.y * invDetP,
+            d: v1.x * invDetP
+        };
+
+        // Compute A = P * D * P^(-1)
+        // Where D = [[lambda1, 0], [0, lambda2]]
+
+        // First: P * D = [[v1.x * lambda1, v2.x * lambda2],
+        //                  [v1.y * lambda1, v2.y * lambda2]]
+        const PD = {
+            a: v1.x * lambda1,
+            b: v2.x * lambda2,
+            c: v1.y * lambda1,
+            d: v2.y * lambda2
+        };
+
+        // Then: (P * D) * P^(-1)
+        const a = PD.a * P_inv.a + PD.b * P_inv.c;
+        const b = PD.a * P_inv.b + PD.b * P_inv.d;
+        const c = PD.c * P_inv.a + PD.d * P_inv.c;
+        const d = PD.c * P_inv.b + PD.d * P_inv.d;
+
+        return new Matrix2D(a, b, c, d);
+    }
+
+    updateMatrixInputFields(matrix) {
+        // Update the matrix input fields without triggering input events
+        const inputs = {
+            a11: document.getElementById('a11'),
+            a12: document.getElementById('a12'),
+            a21: document.getElementById('a21'),
+            a22: document.getElementById('a22')
+        };
+
+        // Format to 2 decimal places for readability
+        inputs.a11.value = matrix.a.toFixed(2);
+        inputs.a12.value = matrix.b.toFixed(2);
+        inputs.a21.value = matrix.c.toFixed(2);
+        inputs.a22.value = matrix.d.toFixed(2);
+    }
+
+    updateProgressUI() {
+        const progress = document.getElementById('scrubberProgress');
+        const handle = document.getElementById('scrubberHandle');
+        const percent = document.getElementById('progressPercent');
+
+        const percentage = this.animationProgress * 100;
+        progress.style.width = percentage + '%';
+        handle.style.left = percentage + '%';
+        percent.textContent = Math.round(percentage) + '%';
+
+        if (this.viewMode === 'chain' && this.chainSegment >= 0) {
+            percent.textContent = `M${this.toSubscript(this.chainSegment + 1)} · ${Math.round(percentage)}%`;
+        }
+
+        this.scheduleSceneDescription();
+        this.updateURL();
+    }
+
+    setViewMode(mode) {
+        if (mode === this.viewMode) return;
+
+        const previousMode = this.viewMode;
+        this.viewMode = mode;
+
+        if (previousMode === 'chain') {
+            this.exitChainMode();
+        }
+        if (previousMode === 'quiz') {
+            this.exitQuizMode();
+        }
+        if (previousMode === 'pca') {
+            this.exitPcaMode();
+        }
+        if (previousMode === 'markov') {
+            this.exitMarkovMode();
+        }
+        if (mode === 'chain') {
+            this.enterChainMode(); // Resets onto the first factor
+        } else if (mode === 'quiz') {
+            this.enterQuizMode(); // Resets onto a new question
+        } else if (mode === 'pca') {
+            this.enterPcaMode(); // Resets onto the covariance of the points
+        } else if (mode === 'markov') {
+            this.enterMarkovMode(); // Resets onto a stochastic matrix
+        } else {
+            this.reset();
+        }
+
+        document.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === mode);
+        });
+        document.querySelectorAll('.mode-panel').forEach(panel => {
+            panel.classList.toggle('visible', panel.dataset.mode === mode);
+        });
+
+        // Power iteration starts from a single seed vector
+        if (mode === 'power') {
+            this.customVectors = this.customVectors.slice(-1);
+        }
+
+        this.updatePowerReadout();
+        this.updatePhaseReadout();
+        this.draw();
+    }
+
+    // Modes that animate I → A on the timeline with test vectors
+    isTransformView() {
+        return this.viewMode === 'transform' || this.viewMode === 'chain' || this.viewMode === 'quiz';
+    }
+
+    // Modes where a drag on empty canvas pans (Shift+drag draws a vector); the others place things with a click
+    canvasDragPans() {
+        return ['transform', 'chain', 'power'].includes(this.viewMode);
+    }
+
+    // Modes that manage A themselves (restoring it on exit): no eigenvector drags and no undo history
+    modeOwnsMatrix() {
+        return ['chain', 'quiz', 'pca', 'markov'].includes(this.viewMode);
+    }
+
+    // Transformation chain
+    enterChainMode() {
+        this.chainSavedMatrix = this.targetMatrix;
+        if (this.chain.length === 0) {
+            this.chain.push({ matrix: this.targetMatrix, name: 'A' });
+        }
+        this.setMatrixInputsReadOnly(true);
+        this.onChainChanged();
+    }
+
+    exitChainMode() {
+        this.setMatrixInputsReadOnly(false);
+        this.chainSegment = -1;
+        this.targetMatrix = this.chainSavedMatrix;
+        this.updateMatrixInputFields(this.targetMatrix);
+        this.updateInfo();
+        this.renderTimelineMarkers(false);
+
+        if (this.updateDiagonalizationLink) {
+            this.updateDiagonalizationLink();
+        }
+    }
+
+    // The matrix inputs mirror the product in chain mode
+    setMatrixInputsReadOnly(readOnly) {
+        ['a11', 'a12', 'a21', 'a22'].forEach(id => {
+            document.getElementById(id).readOnly = readOnly;
+        });
+    }
+
+    addChainFactor(matrix, name) {
+        this.chain.push({ matrix, name });
+        this.onChainChanged();
+    }
+
+    addTypedChainFactor() {
+        const read = id => parseFloat(document.getElementById(id).value) || 0;
+        const matrix = new Matrix2D(read('chainA11'), read('chainA12'), read('chainA21'), read('chainA22'));
+        this.addChainFactor(matrix, 'Custom');
+    }
+
+    removeChainFactor(index) {
+        this.chain.splice(index, 1);
+        this.onChainChanged();
+    }
+
+    clearChain() {
+        this.chain = [];
+        this.onChainChanged();
+    }
+
+    onChainChanged() {
+        this.reset(); // Also re-syncs the segment product
+        this.renderTimelineMarkers(true);
+        this.updateInterpolationNotice();
+    }
+
+    getSegmentCount() {
+        return this.viewMode === 'chain' ? Math.max(1, this.chain.length) : 1;
+    }
+
+    // Partial products [M₁, M₂M₁, ..., Mₙ···M₁]
+    getChainProducts() {
+        const products = [];
+        let product = Matrix2D.identity();
+        this.chain.forEach(factor => {
+            product = factor.matrix.multiply(product);
+            products.push(product);
+        });
+        return products;
+    }
+
+    // Which factor is playing at this point of the timeline, and how far along it is
+    getChainSegment(progress) {
+        const n = this.chain.length;
+        if (n === 0) return null;
+
+        const index = Math.min(n - 1, Math.floor(progress * n));
+        return { index, t: progress * n - index };
+    }
+
+    // Label for the product up to factor index, e.g. "M₃M₂M₁"
+    getChainProductLabel(index) {
+        let label = '';
+        for (let i = index; i >= 0; i--) {
+            label += `M${this.toSubscript(i + 1)}`;
+        }
+        return label;
+    }
+
+    // When the timeline enters a new segment, analyse the product so far
+    syncChainSegment(force = false) {
+        if (this.viewMode !== 'chain') return;
+
+        const segment = this.getChainSegment(this.animationProgress);
+        const index = segment ? segment.index : -1;
+        if (index === this.chainSegment && !force) return;
+
+        this.chainSegment = index;
+        this.targetMatrix = index >= 0 ? this.getChainProducts()[index] : Matrix2D.identity();
+        this.eigenTrails = [[], []];
+        this.updateMatrixInputFields(this.targetMatrix);
+        this.updateInfo();
+        this.renderChainList();
+
+        if (this.updateDiagonalizationLink) {
+            this.updateDiagonalizationLink();
+        }
+    }
+
+    // Eigen-directions of a single factor, for comparison with the product
+    describeEigenDirections(matrix) {
+        const eigenvectors = matrix.getEigenvectors();
+        if (!eigenvectors) {
+            return 'complex λ';
+        }
+
+        const angle = v => {
+            const degrees = Math.atan2(v.y, v.x) * 180 / Math.PI;
+            return `${Math.round(((degrees % 180) + 180) % 180)}°`;
+        };
+        return `eigenlines ${angle(eigenvectors.v1)}, ${angle(eigenvectors.v2)}`;
+    }
+
+    renderChainList() {
+        const list = document.getElementById('chainList');
+        if (!list) return;
+
+        if (this.chain.length === 0) {
+            list.innerHTML = '<div class="chain-empty">Add presets or typed matrices to build a chain.</div>';
+            document.getElementById('chainProduct').innerHTML = '';
+            return;
+        }
+
+        const format = x => Number(x.toFixed(2));
+        list.innerHTML = this.chain.map((factor, i) => {
+            const m = factor.matrix;
+            return `
+                <div class="chain-factor ${i === this.chainSegment ? 'active' : ''}">
+                    <span class="chain-factor-name">M${this.toSubscript(i + 1)}</span>
+                    <div class="chain-factor-body">
+                        <div class="chain-factor-matrix">[${format(m.a)} ${format(m.b)}; ${format(m.c)} ${format(m.d)}]</div>
+                        <div class="chain-factor-meta">${factor.name} · ${this.describeEigenDirections(m)}</div>
+                    </div>
+                    <button class="chain-remove" onclick="app.removeChainFactor(${i})" title="Remove">×</button>
+                </div>
+            `;
+        }).join('');
+
+        const index = Math.max(0, this.chainSegment);
+        document.getElementById('chainProduct').innerHTML = `
+            <div class="readout-row"><span>Product so far</span><span>${this.getChainProductLabel(index)}</span></div>
+            <div class="readout-row"><span>Its eigen-data</span><span>${this.describeEigenDirections(this.getChainProducts()[index])}</span></div>
+        `;
+    }
+
+    // Segment boundaries and factor labels on the scrubber
+    renderTimelineMarkers(show) {
+        const markers = document.getElementById('scrubberMarkers');
+        const endLabel = document.getElementById('scrubberEndLabel');
+        if (!markers) return;
+
+        const n = this.chain.length;
+        if (!show || n === 0) {
+            markers.innerHTML = '';
+            endLabel.textContent = 'Target (A)';
+            return;
+        }
+
+        let html = '';
+        for (let i = 0; i < n; i++) {
+            if (i > 0) {
+                html += `<div class="scrubber-marker" style="left: ${i / n * 100}%"></div>`;
+            }
+            html += `<div class="scrubber-segment-label" style="left: ${(i + 0.5) / n * 100}%">M${this.toSubscript(i + 1)}</div>`;
+        }
+        markers.innerHTML = html;
+        endLabel.textContent = `Product (${this.getChainProductLabel(n - 1)})`;
+    }
+
+    // Power iteration: the newest custom vector is the seed
+    getPowerSeed() {
+        return this.customVectors[this.customVectors.length - 1] || this.defaultPowerSeed;
+    }
+
+    // Normalized iterates v₀, Av₀/|Av₀|, ... up to the current step
+    getPowerIterates() {
+        const seed = this.getPowerSeed();
+        const seedMag = Math.hypot(seed.x, seed.y);
+        let v = { x: seed.x / seedMag, y: seed.y / seedMag };
+        const iterates = [v];
+
+        for (let k = 0; k < this.powerSteps; k++) {
+            const w = this.targetMatrix.transform(v.x, v.y);
+            const mag = Math.hypot(w.x, w.y);
+            if (mag < 1e-12) {
+                return { iterates, collapsed: true };
+            }
+            v = { x: w.x / mag, y: w.y / mag };
+            iterates.push(v);
+        }
+
+        return { iterates, collapsed: false };
+    }
+
+    // Eigenpair with the largest |λ| (null when eigenvalues are complex)
+    getDominantEigenpair() {
+        const eigenvectors = this.targetMatrix.getEigenvectors();
+        if (!eigenvectors) return null;
+
+        const firstDominates = Math.abs(eigenvectors.lambda1) >= Math.abs(eigenvectors.lambda2);
+        return {
+            lambda: firstDominates ? eigenvectors.lambda1 : eigenvectors.lambda2,
+            v: firstDominates ? eigenvectors.v1 : eigenvectors.v2,
+            otherLambda: firstDominates ? eigenvectors.lambda2 : eigenvectors.lambda1,
+            otherV: firstDominates ? eigenvectors.v2 : eigenvectors.v1
+        };
+    }
+
+    // Explain whether (and how fast) power iteration converges for the current matrix and seed
+    diagnosePowerIteration(collapsed) {
+        if (collapsed) {
+            return { ok: false, message: 'The iterate collapsed to zero: the seed lies in the null space of A.' };
+        }
 
-            // H - Toggle Help
-            if (e.code === 'KeyH' && !e.ctrlKey && !e.metaKey) {
-                e.preventDefault();
-                this.toggleHelp();
-            }
+        const dominant = this.getDominantEigenpair();
+        if (!dominant) {
+            return { ok: false, message: 'Complex eigenvalues: A rotates every direction, so the iterates keep circling instead of settling on a line.' };
+        }
 
-            // C - Clear Custom Vectors
-            if (e.code === 'KeyC' && !e.ctrlKey && !e.metaKey) {
-                e.preventDefault();
-                this.clearCustomVectors();
-            }
+        const { lambda, otherLambda } = dominant;
+        const size = Math.max(Math.abs(lambda), 1e-12);
+        const m = this.targetMatrix;
 
-            // Number keys 1-7 - Load presets
-            const presetMap = {
-                'Digit1': 'rotation',
-                'Digit2': 'scaling',
-                'Digit3': 'shearX',
-                'Digit4': 'shearY',
-                'Digit5': 'reflection',
-                'Digit6': 'projection',
-                'Digit7': 'squeeze'
-            };
+        if (Math.abs(lambda - otherLambda) < 1e-9 * Math.max(1, size)) {
+            const isScalar = Math.abs(m.b) < 1e-12 && Math.abs(m.c) < 1e-12;
+            return isScalar
+                ? { ok: true, message: 'A = λI: every vector is an eigenvector, so the seed has already converged.' }
+                : { ok: true, message: 'Repeated eigenvalue with a single eigenvector: convergence is slow (about 1/k per step instead of geometric).' };
+        }
 
-            if (presetMap[e.code] && !e.ctrlKey && !e.metaKey) {
-                e.preventDefault();
-                this.loadPreset(presetMap[e.code]);
+        if (Math.abs(Math.abs(lambda) - Math.abs(otherLambda)) < 1e-9 * size) {
+            return { ok: false, message: `Equal-magnitude eigenvalues (λ = ${lambda.toFixed(2)}, ${otherLambda.toFixed(2)}): neither direction dominates, so the iterates flip back and forth.` };
+        }
 
-                // Update active preset chip
-                document.querySelectorAll('.preset-chip').forEach(chip => {
-                    chip.classList.remove('active');
-                    if (chip.dataset.preset === presetMap[e.code]) {
-                        chip.classList.add('active');
-                    }
-                });
+        // Component of the seed along the dominant eigenvector in the eigenbasis
+        const seed = this.getPowerSeed();
+        const P = new Matrix2D(dominant.v.x, dominant.otherV.x, dominant.v.y, dominant.otherV.y);
+        const Pinv = P.inverse();
+        if (Pinv) {
+            const coords = Pinv.transform(seed.x, seed.y);
+            const share = Math.abs(coords.x) / (Math.abs(coords.x) + Math.abs(coords.y));
+            if (share < 1e-3) {
+                return { ok: false, message: 'The seed has no component along the dominant eigenvector (for a symmetric A: it is orthogonal to it), so A keeps it on the other eigenline. Nudge the seed to break the tie.' };
             }
-        });
+        }
+
+        const ratio = Math.abs(otherLambda / lambda);
+        return { ok: true, message: `Converging: the error shrinks by |λ₂/λ₁| = ${ratio.toFixed(3)} each step.` };
     }
 
-    setupNavigationButton() {
-        // Update the diagonalization link with current matrix whenever the matrix changes
-        const updateDiagonalizationLink = () => {
-            const navBtn = document.querySelector('.nav-action-btn');
-            if (navBtn) {
-                const matrix = this.targetMatrix;
-                const matrixParam = `${matrix.a},${matrix.b},${matrix.c},${matrix.d}`;
-                navBtn.href = `diagonalization.html?matrix=${matrixParam}`;
-            }
-        };
+    updatePowerReadout() {
+        const readout = document.getElementById('powerReadout');
+        if (!readout || this.viewMode !== 'power') return;
+
+        const { iterates, collapsed } = this.getPowerIterates();
+        const v = iterates[iterates.length - 1];
+        const Av = this.targetMatrix.transform(v.x, v.y);
+        const rayleigh = v.x * Av.x + v.y * Av.y;
+        const dominant = this.getDominantEigenpair();
+        const diagnosis = this.diagnosePowerIteration(collapsed);
+
+        let angleText = '—';
+        if (dominant) {
+            const cos = Math.min(1, Math.abs(v.x * dominant.v.x + v.y * dominant.v.y));
+            angleText = `${(Math.acos(cos) * 180 / Math.PI).toFixed(2)}°`;
+        }
 
-        // Update link initially
-        updateDiagonalizationLink();
+        readout.innerHTML = `
+            <div class="readout-row"><span>Iteration k</span><span>${iterates.length - 1}</span></div>
+            <div class="readout-row"><span>v<sub>k</sub></span><span>[${v.x.toFixed(3)}, ${v.y.toFixed(3)}]</span></div>
+            <div class="readout-row"><span>Rayleigh quotient vᵀAv</span><span>${rayleigh.toFixed(4)}</span></div>
+            <div class="readout-row"><span>Dominant λ</span><span>${dominant ? dominant.lambda.toFixed(4) : '—'}</span></div>
+            <div class="readout-row"><span>Angle to dominant v</span><span>${angleText}</span></div>
+            <div class="${diagnosis.ok ? 'readout-note' : 'complex-warning'}">${diagnosis.message}</div>
+        `;
+    }
 
-        // Store reference to update function so other methods can call it
-        this.updateDiagonalizationLink = updateDiagonalizationLink;
+    restartPowerIteration() {
+        this.stopPowerRun();
+        this.powerSteps = 0;
+        this.updatePowerReadout();
     }
 
-    setProgress(progress) {
-        this.animationProgress = Math.max(0, Math.min(1, progress));
-        const t = this.easeInOutCubic(this.animationProgress);
-        this.currentMatrix = Matrix2D.lerp(Matrix2D.identity(), this.targetMatrix, t);
-        this.updateProgressUI();
+    stepPowerIteration(delta) {
+        this.powerSteps = Math.max(0, Math.min(this.maxPowerSteps, this.powerSteps + delta));
+        this.updatePowerReadout();
         this.draw();
     }
 
-    updateMatrixFromInputs() {
-        const a = parseFloat(document.getElementById('a11').value) || 0;
-        const b = parseFloat(document.getElementById('a12').value) || 0;
-        const c = parseFloat(document.getElementById('a21').value) || 0;
-        const d = parseFloat(document.getElementById('a22').value) || 0;
+    togglePowerRun() {
+        if (this.powerTimer) {
+            this.stopPowerRun();
+            return;
+        }
 
-        this.targetMatrix = new Matrix2D(a, b, c, d);
+        if (this.powerSteps >= this.maxPowerSteps) {
+            this.powerSteps = 0;
+        }
 
-        // Skip these operations when dragging eigenvectors (to prevent circular updates)
-        if (!this.eigenvectorDragMode) {
-            // Clear custom vectors when matrix values change
-            this.customVectors = [];
+        document.getElementById('playBtn').textContent = '⏸';
+        const tick = () => {
+            this.stepPowerIteration(1);
+            if (this.powerSteps >= this.maxPowerSteps) {
+                this.stopPowerRun();
+                return;
+            }
+            this.powerTimer = setTimeout(tick, 500 / this.animationSpeed);
+        };
+        tick();
+    }
 
-            // Clear active preset selection when entering custom values
-            document.querySelectorAll('.preset-chip').forEach(chip => {
-                chip.classList.remove('active');
-            });
+    stopPowerRun() {
+        if (this.powerTimer) {
+            clearTimeout(this.powerTimer);
+            this.powerTimer = null;
         }
+        document.getElementById('playBtn').textContent = '▶';
+    }
 
-        this.updateInfo();
+    // Canned matrices and seeds that show where power iteration breaks down
+    loadPowerExample(example) {
+        const examples = {
+            equal: { preset: 'reflection', seed: { x: 1, y: 1 } },
+            complex: { preset: 'rotation', seed: { x: 1, y: 0.5 } },
+            orthogonal: { preset: 'squeeze', seed: { x: 1.5, y: -1.5 } }
+        };
+        const config = examples[example];
+        if (!config) return;
 
-        if (!this.isAnimating) {
-            const t = this.easeInOutCubic(this.animationProgress);
-            this.currentMatrix = Matrix2D.lerp(Matrix2D.identity(), this.targetMatrix, t);
-            this.draw();
-        }
+        const before = this.beginEdit();
+        this.loadPreset(config.preset);
 
-        // Update navigation link with new matrix
-        if (this.updateDiagonalizationLink) {
-            this.updateDiagonalizationLink();
+        this.customVectors = [config.seed];
+        this.restartPowerIteration();
+        this.endEdit('Power iteration example', before);
+        this.draw();
+    }
+
+    // Phase portrait: trajectories of x' = Ax (continuous) or x_{k+1} = Ax_k (discrete)
+    setPhaseMode(mode) {
+        this.phaseMode = mode;
+
+        document.querySelectorAll('[data-phase-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.phaseMode === mode);
+        });
+
+        // Replay existing trajectories under the new rule
+        this.trajectories = this.trajectories.map(traj => ({ points: [traj.points[0]], done: false }));
+        if (this.trajectories.length > 0) {
+            this.startPhaseFlow();
         }
+
+        this.updatePhaseReadout();
+        this.draw();
     }
 
-    updateInfo() {
-        const eigenvalues = this.targetMatrix.eigenvalues();
-        const eigenCards = document.getElementById('eigenCards');
-        const charEquation = document.getElementById('charEquation');
+    updatePhaseReadout() {
+        const readout = document.getElementById('phaseReadout');
+        if (!readout || this.viewMode !== 'phase') return;
 
-        // Display characteristic equation
         const trace = this.targetMatrix.trace();
         const det = this.targetMatrix.determinant();
-        charEquation.innerHTML = `
-            <div class="char-equation-label">Characteristic Equation</div>
-            <div class="char-equation">
-                λ² − ${trace.toFixed(3)}λ + ${det.toFixed(3)} = 0
-            </div>
+        const equilibrium = this.targetMatrix.classifyEquilibrium(this.phaseMode === 'discrete');
+
+        readout.innerHTML = `
+            <div class="readout-row"><span>Trace τ</span><span>${trace.toFixed(3)}</span></div>
+            <div class="readout-row"><span>Determinant Δ</span><span>${det.toFixed(3)}</span></div>
+            <div class="readout-row"><span>τ² − 4Δ</span><span>${(trace * trace - 4 * det).toFixed(3)}</span></div>
+            <div class="readout-row"><span>Equilibrium</span><span>${equilibrium.label}</span></div>
         `;
+    }
 
-        if (eigenvalues.isComplex) {
-            eigenCards.innerHTML = `
-                <div class="complex-warning">
-                    Complex eigenvalues detected: No real eigenvectors exist.
-                    This transformation involves rotation.
-                </div>
-                <div class="eigen-card">
-                    <div class="eigen-value" style="color: #06B6D4;">
-                        λ₁ = ${eigenvalues.lambda1.real.toFixed(3)} + ${eigenvalues.lambda1.imag.toFixed(3)}i
-                    </div>
-                </div>
-                <div class="eigen-card">
-                    <div class="eigen-value" style="color: #EC4899;">
-                        λ₂ = ${eigenvalues.lambda2.real.toFixed(3)} - ${eigenvalues.lambda2.imag.toFixed(3)}i
-                    </div>
-                </div>
-            `;
-        } else {
-            const eigenvectors = this.targetMatrix.getEigenvectors();
-            eigenCards.innerHTML = `
-                <div class="eigen-card">
-                    <div class="eigen-card-header">
-                        <span class="eigen-label">EIGENVECTOR 1</span>
-                        <div class="eigen-color-indicator" style="background: #06B6D4; color: #06B6D4;"></div>
-                    </div>
-                    <div class="eigen-value" style="color: #06B6D4;">
-                        λ₁ = ${eigenvectors.lambda1.toFixed(3)}
-                    </div>
-                    <div class="eigen-vector">
-                        v₁ = [${eigenvectors.v1.x.toFixed(3)}, ${eigenvectors.v1.y.toFixed(3)}]
-                    </div>
-                </div>
-                <div class="eigen-card">
-                    <div class="eigen-card-header">
-                        <span class="eigen-label">EIGENVECTOR 2</span>
-                        <div class="eigen-color-indicator" style="background: #EC4899; color: #EC4899;"></div>
-                    </div>
-                    <div class="eigen-value" style="color: #EC4899;">
-                        λ₂ = ${eigenvectors.lambda2.toFixed(3)}
-                    </div>
-                    <div class="eigen-vector">
-                        v₂ = [${eigenvectors.v2.x.toFixed(3)}, ${eigenvectors.v2.y.toFixed(3)}]
-                    </div>
-                </div>
-            `;
+    addTrajectory(point) {
+        this.trajectories.push({ points: [{ x: point.x, y: point.y }], done: false });
+        if (this.trajectories.length > this.maxTrajectories) {
+            this.trajectories.shift();
         }
+        this.startPhaseFlow();
+        this.draw();
     }
 
-    loadPreset(presetName) {
-        const preset = PRESETS[presetName];
-        if (!preset) return;
+    clearTrajectories() {
+        this.stopPhaseFlow();
+        this.trajectories = [];
+        this.draw();
+    }
 
-        this.targetMatrix = preset.matrix;
+    // Velocity for the continuous system, x' = Ax
+    phaseVelocity(p) {
+        return this.targetMatrix.transform(p.x, p.y);
+    }
 
-        document.getElementById('a11').value = preset.matrix.a;
-        document.getElementById('a12').value = preset.matrix.b;
-        document.getElementById('a21').value = preset.matrix.c;
-        document.getElementById('a22').value = preset.matrix.d;
+    // One fourth-order Runge-Kutta step of size h
+    rungeKuttaStep(p, h) {
+        const k1 = this.phaseVelocity(p);
+        const k2 = this.phaseVelocity({ x: p.x + k1.x * h / 2, y: p.y + k1.y * h / 2 });
+        const k3 = this.phaseVelocity({ x: p.x + k2.x * h / 2, y: p.y + k2.y * h / 2 });
+        const k4 = this.phaseVelocity({ x: p.x + k3.x * h, y: p.y + k3.y * h });
+        return {
+            x: p.x + (k1.x + 2 * k2.x + 2 * k3.x + k4.x) * h / 6,
+            y: p.y + (k1.y + 2 * k2.y + 2 * k3.y + k4.y) * h / 6
+        };
+    }
 
-        document.getElementById('transformDesc').innerHTML = `
-            <div class="desc-title">${preset.name}</div>
-            <div>${preset.description}</div>
-        `;
+    // Trajectories stop once they leave the view, reach the origin or get too long
+    isTrajectoryFinished(p, length) {
+        const viewRadius = this.getViewRadius();
+        const r = Math.hypot(p.x, p.y);
+        return r > viewRadius * 1.5 || r < 1e-3 || length > 4000;
+    }
 
-        // Clear custom vectors when loading a new preset
-        this.customVectors = [];
+    // Advance every trajectory by one discrete iterate or by `time` units of continuous flow
+    advanceTrajectories(time = 0) {
+        const h = 0.01;
+        this.trajectories.forEach(traj => {
+            if (traj.done) return;
 
-        this.updateInfo();
-        this.reset();
+            let p = traj.points[traj.points.length - 1];
+            if (this.phaseMode === 'discrete') {
+                p = this.targetMatrix.transform(p.x, p.y);
+                traj.points.push(p);
+            } else {
+                for (let i = 0; i < Math.ceil(time / h); i++) {
+                    p = this.rungeKuttaStep(p, h);
+                    traj.points.push(p);
+                    if (this.isTrajectoryFinished(p, traj.points.length)) break;
+                }
+            }
+            traj.done = this.isTrajectoryFinished(p, traj.points.length);
+        });
+    }
 
-        // Update navigation link with new matrix
-        if (this.updateDiagonalizationLink) {
-            this.updateDiagonalizationLink();
+    stepPhase(direction) {
+        this.stopPhaseFlow();
+
+        if (direction > 0) {
+            this.advanceTrajectories(0.1);
+        } else {
+            // Drop the last iterate (discrete) or the last 0.1 time units (continuous)
+            const count = this.phaseMode === 'discrete' ? 1 : 10;
+            this.trajectories.forEach(traj => {
+                traj.points.splice(Math.max(1, traj.points.length - count));
+                traj.done = false;
+            });
         }
-    }
 
-    togglePlay() {
-        const playBtn = document.getElementById('playBtn');
+        this.draw();
+    }
 
-        if (this.isAnimating) {
-            this.isAnimating = false;
-            playBtn.textContent = '▶';
+    togglePhaseFlow() {
+        if (this.phaseRunning) {
+            this.stopPhaseFlow();
         } else {
-            if (this.animationProgress >= 1) {
-                this.reset();
-            }
-            this.isAnimating = true;
-            playBtn.textContent = '⏸';
-            this.animate();
+            this.startPhaseFlow();
         }
     }
 
-    animate() {
-        if (!this.isAnimating) return;
+    startPhaseFlow() {
+        if (this.phaseRunning) return;
 
-        this.animationProgress += 0.008 * this.animationSpeed;
+        this.phaseRunning = true;
+        this.phaseLastTime = null;
+        this.phaseAccumulator = 0;
+        document.getElementById('playBtn').textContent = '⏸';
+        requestAnimationFrame((timestamp) => this.animatePhase(timestamp));
+    }
 
-        if (this.animationProgress >= 1) {
-            this.animationProgress = 1;
-            this.isAnimating = false;
-            document.getElementById('playBtn').textContent = '▶';
-        }
+    stopPhaseFlow() {
+        this.phaseRunning = false;
+        document.getElementById('playBtn').textContent = '▶';
+    }
 
-        const t = this.easeInOutCubic(this.animationProgress);
-        this.currentMatrix = Matrix2D.lerp(Matrix2D.identity(), this.targetMatrix, t);
+    animatePhase(timestamp) {
+        if (!this.phaseRunning) return;
 
-        // Record trail positions
-        this.recordTrails();
+        const elapsed = this.phaseLastTime === null ? 0 : Math.min(50, timestamp - this.phaseLastTime);
+        this.phaseLastTime = timestamp;
+
+        if (this.phaseMode === 'discrete') {
+            // One iterate every 500ms at 1× speed
+            this.phaseAccumulator += elapsed * this.animationSpeed;
+            while (this.phaseAccumulator >= 500) {
+                this.phaseAccumulator -= 500;
+                this.advanceTrajectories();
+            }
+        } else {
+            this.advanceTrajectories(elapsed / 1000 * this.animationSpeed);
+        }
 
-        this.updateProgressUI();
         this.draw();
 
-        if (this.isAnimating) {
-            this.animationId = requestAnimationFrame(() => this.animate());
+        if (this.trajectories.every(traj => traj.done)) {
+            this.stopPhaseFlow();
+            return;
         }
+        requestAnimationFrame((ts) => this.animatePhase(ts));
     }
 
-    recordTrails() {
-        const eigenvectors = this.targetMatrix.getEigenvectors();
-        if (!eigenvectors) {
-            this.eigenTrails = [[], []];
-            return;
+    // PCA: A is the sample covariance of the points, so its eigenvectors are the principal axes
+    enterPcaMode() {
+        this.pcaSavedMatrix = this.targetMatrix;
+        this.setMatrixInputsReadOnly(true);
+        if (this.pcaPoints.length === 0) {
+            this.loadPcaExample('correlated');
+        } else {
+            this.onPcaPointsChanged();
         }
+        document.getElementById('scrubberEndLabel').textContent = 'Projected onto PC₁';
+    }
 
-        const scale = 3;
+    exitPcaMode() {
+        this.setMatrixInputsReadOnly(false);
+        this.pca = null;
+        this.targetMatrix = this.pcaSavedMatrix;
+        this.updateMatrixInputFields(this.targetMatrix);
+        this.updateInfo();
+        this.renderTimelineMarkers(false);
 
-        // Record eigenvector 1 position
-        const v1 = this.currentMatrix.transform(
-            eigenvectors.v1.x * scale,
-            eigenvectors.v1.y * scale
-        );
-        this.eigenTrails[0].push({ x: v1.x, y: v1.y });
-        if (this.eigenTrails[0].length > this.maxTrailLength) {
-            this.eigenTrails[0].shift();
+        if (this.updateDiagonalizationLink) {
+            this.updateDiagonalizationLink();
         }
+    }
 
-        // Record eigenvector 2 position
-        const v2 = this.currentMatrix.transform(
-            eigenvectors.v2.x * scale,
-            eigenvectors.v2.y * scale
-        );
-        this.eigenTrails[1].push({ x: v2.x, y: v2.y });
-        if (this.eigenTrails[1].length > this.maxTrailLength) {
-            this.eigenTrails[1].shift();
+    loadPcaExample(name) {
+        const example = PCA_EXAMPLES[name];
+        if (!example) return;
+
+        this.setPcaPoints(example.generate());
+        this.showPcaMessage(example.description);
+    }
+
+    // Replace the dataset and frame it
+    setPcaPoints(points) {
+        this.pcaPoints = points;
+        document.getElementById('pcaData').value = formatPointsCSV(points);
+        this.onPcaPointsChanged();
+        if (points.length > 0) {
+            this.fitView();
         }
     }
 
-    easeInOutCubic(t) {
-        return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    applyPcaData() {
+        try {
+            const points = parsePointsCSV(document.getElementById('pcaData').value);
+            if (points.length < 2) {
+                throw new Error('PCA needs at least two points.');
+            }
+            this.setPcaPoints(points);
+            this.showPcaMessage(`Loaded ${points.length} points.`);
+        } catch (error) {
+            this.showPcaMessage(error.message, true);
+        }
     }
 
-    stepForward() {
-        this.isAnimating = false;
-        document.getElementById('playBtn').textContent = '▶';
-        this.setProgress(Math.min(1, this.animationProgress + 0.1));
+    async importPcaFile(file) {
+        if (!file) return;
+
+        document.getElementById('pcaData').value = await file.text();
+        this.applyPcaData();
     }
 
-    stepBackward() {
-        this.isAnimating = false;
-        document.getElementById('playBtn').textContent = '▶';
-        this.setProgress(Math.max(0, this.animationProgress - 0.1));
+    clearPcaPoints() {
+        this.setPcaPoints([]);
+        this.showPcaMessage('Click the canvas to add points.');
     }
 
-    reset() {
-        this.isAnimating = false;
-        document.getElementById('playBtn').textContent = '▶';
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
+    // Click on a point to remove it, anywhere else to add one
+    togglePcaPoint(screenX, screenY) {
+        const shown = this.getPcaDisplayPoints();
+        const index = shown.findIndex(p => {
+            const screen = this.toScreenCoords(p.x, p.y);
+            return Math.hypot(screen.x - screenX, screen.y - screenY) <= 8;
+        });
+
+        if (index >= 0) {
+            this.pcaPoints.splice(index, 1);
+        } else if (this.pcaPoints.length < PCA_MAX_POINTS) {
+            const round = v => Math.round(v * 100) / 100;
+            const point = this.toMathCoords(screenX, screenY);
+            this.pcaPoints.push({ x: round(point.x), y: round(point.y) });
         }
-        this.animationProgress = 0;
-        this.currentMatrix = Matrix2D.identity();
-        this.eigenTrails = [[], []];
-        this.updateProgressUI();
-        this.draw();
+
+        document.getElementById('pcaData').value = formatPointsCSV(this.pcaPoints);
+        this.showPcaMessage('');
+        this.onPcaPointsChanged();
     }
 
-    setSpeed(speed) {
-        this.animationSpeed = speed;
+    onPcaPointsChanged() {
+        this.pca = pcaAnalysis(this.pcaPoints);
+        this.targetMatrix = this.pca ? this.pca.covariance : new Matrix2D(0, 0, 0, 0);
+        setActivePresetChip(null);
+        this.updateMatrixInputFields(this.targetMatrix);
+        document.getElementById('transformDesc').innerHTML = `
+            <div class="desc-title">Covariance matrix</div>
+            <div>A = 1/(n − 1) · Σ (p − p̄)(p − p̄)ᵀ over the ${this.pcaPoints.length} data points.</div>
+        `;
+        this.updateInfo();
+        this.reset();
 
-        // Update active state on speed buttons
-        document.querySelectorAll('.speed-btn').forEach(btn => {
-            if (parseFloat(btn.dataset.speed) === speed) {
-                btn.classList.add('active');
-            } else {
-                btn.classList.remove('active');
-            }
+        if (this.updateDiagonalizationLink) {
+            this.updateDiagonalizationLink();
+        }
+    }
+
+    showPcaMessage(text, isError = false) {
+        const message = document.getElementById('pcaMessage');
+        message.textContent = text;
+        message.classList.toggle('error', isError);
+    }
+
+    updatePcaReadout() {
+        const readout = document.getElementById('pcaReadout');
+        if (!readout || this.viewMode !== 'pca') return;
+
+        const count = `<div class="readout-row"><span>Points n</span><span>${this.pcaPoints.length}</span></div>`;
+        if (!this.pca) {
+            readout.innerHTML = `${count}<div class="complex-warning">Add at least two points to get a covariance matrix.</div>`;
+            return;
+        }
+
+        const { mean, v1, explained } = this.pca;
+        const percent = x => `${(x * 100).toFixed(1)}%`;
+        readout.innerHTML = `
+            ${count}
+            <div class="readout-row"><span>Mean p̄</span><span>(${mean.x.toFixed(3)}, ${mean.y.toFixed(3)})</span></div>
+            <div class="readout-row"><span>PC₁ direction</span><span>[${v1.x.toFixed(3)}, ${v1.y.toFixed(3)}]</span></div>
+            <div class="readout-row"><span>Variance explained by PC₁</span><span>${percent(explained[0])}</span></div>
+            <div class="readout-row"><span>Variance explained by PC₂</span><span>${percent(explained[1])}</span></div>
+            <div class="readout-note">Play to project every point onto PC₁: the projection keeps ${percent(explained[0])} of the variance and loses the ${percent(explained[1])} along PC₂.</div>
+        `;
+    }
+
+    // Points slide onto the first principal axis as the timeline plays
+    getPcaDisplayPoints() {
+        const t = easeInOutCubic(this.animationProgress);
+        if (!this.pca || t === 0) return this.pcaPoints;
+
+        return this.pcaPoints.map(p => {
+            const q = projectOntoAxis(p, this.pca.mean, this.pca.v1);
+            return { x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t };
         });
     }
 
-    clearCustomVectors() {
-        this.customVectors = [];
-        if (!this.isAnimating) {
-            this.draw();
+    // Markov chain: A is column-stochastic and moves probability distributions x ↦ Ax
+    enterMarkovMode() {
+        this.markovSavedMatrix = this.targetMatrix;
+        if (isStochasticMatrix(this.targetMatrix)) {
+            this.setMarkovMatrix(this.targetMatrix);
+        } else {
+            this.loadMarkovExample('weather');
         }
+
+        // Distributions live in the unit square
+        this.animateCamera({ x: 0.5, y: 0.5 }, this.clampScale(Math.min(this.width * 0.5, this.height * 0.7) / 1.6));
     }
 
-    toggleDeterminant(enabled) {
-        this.showDeterminant = enabled;
-        if (!this.isAnimating) {
-            this.draw();
+    exitMarkovMode() {
+        this.stopMarkovRun();
+        this.showMatrixErrors([]);
+        this.targetMatrix = this.markovSavedMatrix;
+        this.updateMatrixInputFields(this.targetMatrix);
+        this.updateInfo();
+
+        if (this.updateDiagonalizationLink) {
+            this.updateDiagonalizationLink();
         }
     }
 
-    toggleHelp() {
-        const helpPanel = document.getElementById('helpPanel');
-        helpPanel.classList.toggle('visible');
+    loadMarkovExample(name) {
+        const example = MARKOV_EXAMPLES[name];
+        if (!example) return;
+
+        const [a, b, c, d] = example.matrix;
+        this.setMarkovMatrix(new Matrix2D(a, b, c, d));
+        document.getElementById('transformDesc').innerHTML = `
+            <div class="desc-title">${example.name}</div>
+            <div>${example.description}</div>
+        `;
     }
 
-    randomizeMatrix() {
-        // Generate random matrix values between -3 and 3
-        const randomValue = () => (Math.random() * 6 - 3).toFixed(2);
-
-        const matrix = new Matrix2D(
-            parseFloat(randomValue()),
-            parseFloat(randomValue()),
-            parseFloat(randomValue()),
-            parseFloat(randomValue())
-        );
+    setMarkovMatrix(matrix) {
+        this.targetMatrix = matrix;
+        setActivePresetChip(null);
+        this.showMatrixErrors([]);
+        this.updateMatrixInputFields(matrix);
+        this.applyMarkovMatrix();
+    }
 
-        // Clear any active preset selection
-        document.querySelectorAll('.preset-chip').forEach(chip => {
-            chip.classList.remove('active');
-        });
+    // Typing one entry of a column fills in the other so the column still sums to 1.
+    // Invalid entries are reported and the last valid matrix stays in use.
+    onMarkovInput(id) {
+        const partner = { a11: 'a21', a21: 'a11', a12: 'a22', a22: 'a12' }[id];
+        const value = this.readMatrixEntry(id);
+        if (isFinite(value)) {
+            document.getElementById(partner).value = Number((1 - value).toFixed(6));
+        }
 
-        // Reset animation state to ensure clean redraw
-        this.animationProgress = 0;
-        this.currentMatrix = Matrix2D.identity();
+        const values = ['a11', 'a12', 'a21', 'a22'].map(entry => this.readMatrixEntry(entry));
+        const errors = validateStochasticEntries(values);
+        this.showMatrixErrors(errors);
+        if (errors.length > 0) return;
 
-        // Update matrix inputs and apply transformation
-        this.targetMatrix = matrix;
-        this.updateMatrixInputFields(matrix);
-        this.updateInfo();
-        this.updateProgressUI();
+        const [a, b, c, d] = values;
+        this.targetMatrix = new Matrix2D(a, b, c, d);
+        setActivePresetChip(null);
+        this.applyMarkovMatrix();
+    }
 
-        // Force a redraw
-        this.draw();
+    applyMarkovMatrix() {
+        this.updateInfo();
+        this.reset();
 
-        // Update navigation link with new matrix
         if (this.updateDiagonalizationLink) {
             this.updateDiagonalizationLink();
         }
     }
 
-    reconstructMatrixFromEigenvectors(v1, lambda1, v2, lambda2) {
-        // Build P matrix (eigenvectors as columns): P = [v1 v2]
-        // P = [[v1.x, v2.x],
-        //      [v1.y, v2.y]]
+    // NaN for a blank or non-numeric input (updateMatrixFromInputs reads those as 0)
+    readMatrixEntry(id) {
+        const text = document.getElementById(id).value.trim();
+        return text === '' ? NaN : Number(text);
+    }
 
-        const detP = v1.x * v2.y - v1.y * v2.x;
+    // Errors from validateStochasticEntries: listed under the inputs, offending inputs outlined
+    showMatrixErrors(errors) {
+        const invalid = new Set(errors.flatMap(error => error.entries));
+        ['a11', 'a12', 'a21', 'a22'].forEach((id, i) => {
+            document.getElementById(id).classList.toggle('invalid', invalid.has(i));
+        });
 
-        // Check if eigenvectors are (nearly) parallel - singular matrix
-        if (Math.abs(detP) < 0.05) {
-            return null; // Invalid configuration
-        }
+        const box = document.getElementById('matrixErrors');
+        box.hidden = errors.length === 0;
+        box.innerHTML = errors.map(error => `<div>${escapeXML(error.message)}</div>`).join('');
+    }
 
-        // Compute P^(-1) = 1/det(P) * [[v2.y, -v2.x], [-v1.y, v1.x]]
-        const invDetP = 1 / detP;
-        const P_inv = {
-            a: v2.y * invDetP,
-            b: -v2.x * invDetP,
-            c: -v1.y * invDetP,
-            d: v1.x * invDetP
-        };
+    // Clicks land on the nearest point of the simplex x + y = 1, x, y ≥ 0
+    setMarkovStart(point) {
+        const x = Math.round(Math.max(0, Math.min(1, (point.x - point.y + 1) / 2)) * 100) / 100;
+        this.markovStart = { x, y: Number((1 - x).toFixed(2)) };
+        this.stopMarkovRun();
+        this.markovSteps = 0;
+        this.updateMarkovReadout();
+        this.scheduleSceneDescription();
+        this.draw();
+    }
 
-        // Compute A = P * D * P^(-1)
-        // Where D = [[lambda1, 0], [0, lambda2]]
+    getMarkovIterates() {
+        return markovIterates(this.targetMatrix, this.markovStart, this.markovSteps);
+    }
 
-        // First: P * D = [[v1.x * lambda1, v2.x * lambda2],
-        //                  [v1.y * lambda1, v2.y * lambda2]]
-        const PD = {
-            a: v1.x * lambda1,
-            b: v2.x * lambda2,
-            c: v1.y * lambda1,
-            d: v2.y * lambda2
-        };
+    stepMarkov(delta) {
+        this.markovSteps = Math.max(0, Math.min(this.maxMarkovSteps, this.markovSteps + delta));
+        this.updateMarkovReadout();
+        this.scheduleSceneDescription();
+        this.draw();
+    }
 
-        // Then: (P * D) * P^(-1)
-        const a = PD.a * P_inv.a + PD.b * P_inv.c;
-        const b = PD.a * P_inv.b + PD.b * P_inv.d;
-        const c = PD.c * P_inv.a + PD.d * P_inv.c;
-        const d = PD.c * P_inv.b + PD.d * P_inv.d;
+    toggleMarkovRun() {
+        if (this.markovTimer) {
+            this.stopMarkovRun();
+            return;
+        }
 
-        return new Matrix2D(a, b, c, d);
+        if (this.markovSteps >= this.maxMarkovSteps) {
+            this.markovSteps = 0;
+        }
+
+        document.getElementById('playBtn').textContent = '⏸';
+        const tick = () => {
+            this.stepMarkov(1);
+            if (this.markovSteps >= this.maxMarkovSteps) {
+                this.stopMarkovRun();
+                return;
+            }
+            this.markovTimer = setTimeout(tick, 500 / this.animationSpeed);
+        };
+        tick();
     }
 
-    updateMatrixInputFields(matrix) {
-        // Update the matrix input fields without triggering input events
-        const inputs = {
-            a11: document.getElementById('a11'),
-            a12: document.getElementById('a12'),
-            a21: document.getElementById('a21'),
-            a22: document.getElementById('a22')
+    stopMarkovRun() {
+        if (this.markovTimer) {
+            clearTimeout(this.markovTimer);
+            this.markovTimer = null;
+        }
+        document.getElementById('playBtn').textContent = '▶';
+    }
+
+    // Whether (and how fast) the distribution settles on the stationary one
+    diagnoseMarkov(analysis) {
+        const { lambda2, rate, stationary, mixingSteps } = analysis;
+        if (!stationary) {
+            return { ok: true, message: 'A = I: nothing ever moves, so every distribution is stationary.' };
+        }
+        if (mixingSteps === null) {
+            return { ok: false, message: 'λ₂ = −1: the chain is periodic. The distribution swaps back and forth forever unless it starts at π.' };
+        }
+        if (rate < MARKOV_TOLERANCE) {
+            return { ok: true, message: 'λ₂ = 0: both columns equal π, so the chain forgets where it started after a single step.' };
+        }
+        return {
+            ok: true,
+            message: `|λ₂| = ${rate.toFixed(3)}: the distance to π shrinks by that factor each step${lambda2 < 0 ? ' (overshooting, since λ₂ < 0)' : ''}, ` +
+                `so it takes about ${mixingSteps} step${mixingSteps === 1 ? '' : 's'} to get 100× closer.`
         };
+    }
 
-        // Format to 2 decimal places for readability
-        inputs.a11.value = matrix.a.toFixed(2);
-        inputs.a12.value = matrix.b.toFixed(2);
-        inputs.a21.value = matrix.c.toFixed(2);
-        inputs.a22.value = matrix.d.toFixed(2);
+    updateMarkovReadout() {
+        const readout = document.getElementById('markovReadout');
+        if (!readout || this.viewMode !== 'markov') return;
+
+        const analysis = markovAnalysis(this.targetMatrix);
+        const iterates = this.getMarkovIterates();
+        const x = iterates[iterates.length - 1];
+        const pi = analysis.stationary;
+        const diagnosis = this.diagnoseMarkov(analysis);
+        const distance = pi ? Math.abs(x.x - pi.x) + Math.abs(x.y - pi.y) : 0;
+
+        document.getElementById('markovDiagram').innerHTML = this.renderMarkovDiagram(x);
+        readout.innerHTML = `
+            <div class="readout-row"><span>Step k</span><span>${this.markovSteps}</span></div>
+            <div class="readout-row"><span>x<sub>k</sub></span><span>[${x.x.toFixed(3)}, ${x.y.toFixed(3)}]</span></div>
+            <div class="readout-row"><span>Stationary π (λ = 1)</span><span>${pi ? `[${pi.x.toFixed(3)}, ${pi.y.toFixed(3)}]` : 'any x'}</span></div>
+            <div class="readout-row"><span>‖x<sub>k</sub> − π‖₁</span><span>${pi ? distance.toFixed(4) : '—'}</span></div>
+            <div class="readout-row"><span>Second eigenvalue λ₂</span><span>${analysis.lambda2.toFixed(3)}</span></div>
+            <div class="${diagnosis.ok ? 'readout-note' : 'complex-warning'}">${diagnosis.message}</div>
+        `;
     }
 
-    updateProgressUI() {
-        const progress = document.getElementById('scrubberProgress');
-        const handle = document.getElementById('scrubberHandle');
-        const percent = document.getElementById('progressPercent');
+    // Two-state diagram: node shading shows xₖ, arrows carry the transition probabilities
+    renderMarkovDiagram(x) {
+        const { a, b, c, d } = this.targetMatrix;
+        const label = p => Number(p.toFixed(2));
+        const edge = (path, p) => `<path d="${path}" fill="none" stroke="#9CA3AF" stroke-width="${1 + 3 * p}"
+            opacity="${p > 0 ? 1 : 0.25}" marker-end="url(#markovArrow)"/>`;
+        const node = (cx, name, share) => `
+            <circle cx="${cx}" cy="65" r="22" fill="rgba(252, 211, 77, ${share.toFixed(3)})" stroke="#FCD34D" stroke-width="2"/>
+            <text x="${cx}" y="70" class="${share > 0.5 ? 'dark' : ''}">${name}</text>`;
+
+        return `
+            <svg class="markov-diagram" viewBox="0 0 260 130" role="img"
+                aria-label="State 1 stays with probability ${label(a)} and moves to state 2 with probability ${label(c)}; state 2 stays with probability ${label(d)} and moves to state 1 with probability ${label(b)}.">
+                <defs>
+                    <marker id="markovArrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="5" markerHeight="5" orient="auto">
+                        <path d="M0,0 L10,5 L0,10 z" fill="#9CA3AF"/>
+                    </marker>
+                </defs>
+                ${edge('M 98 52 Q 130 22 162 52', c)}
+                ${edge('M 162 78 Q 130 108 98 78', b)}
+                ${edge('M 62 52 C 26 34, 26 96, 60 80', a)}
+                ${edge('M 198 52 C 234 34, 234 96, 200 80', d)}
+                <text x="130" y="30">${label(c)}</text>
+                <text x="130" y="112">${label(b)}</text>
+                <text x="20" y="69">${label(a)}</text>
+                <text x="240" y="69">${label(d)}</text>
+                ${node(80, '1', x.x)}
+                ${node(180, '2', x.y)}
+            </svg>
+        `;
+    }
 
-        const percentage = this.animationProgress * 100;
-        progress.style.width = percentage + '%';
-        handle.style.left = percentage + '%';
-        percent.textContent = Math.round(percentage) + '%';
+    describeMarkov() {
+        const analysis = markovAnalysis(this.targetMatrix);
+        const iterates = this.getMarkovIterates();
+        const x = iterates[iterates.length - 1];
+        const format = v => Number(v.toFixed(3));
+        const pi = analysis.stationary;
+
+        return `Markov chain: state 1 stays with probability ${format(this.targetMatrix.a)}, state 2 with probability ${format(this.targetMatrix.d)}. ` +
+            `After ${this.markovSteps} step${this.markovSteps === 1 ? '' : 's'} from [${format(this.markovStart.x)}, ${format(this.markovStart.y)}] ` +
+            `the distribution is [${format(x.x)}, ${format(x.y)}]. ` +
+            `${pi ? `The stationary distribution, the eigenvector for λ = 1, is [${format(pi.x)}, ${format(pi.y)}]. ` : ''}` +
+            this.diagnoseMarkov(analysis).message;
     }
 
     // Drawing functions
@@ -1015,17 +3812,41 @@ class EigenvectorApp {
         // Layer 1: Background elements
         this.drawGrid();
         this.drawAxes();
-        if (this.showDeterminant) {
+        if (this.showDeterminant && this.viewMode !== 'pca' && this.viewMode !== 'markov') {
             this.drawDeterminantVisualization(isDimmed, this.hoveredEigenvectorIndex); // Determinant square/parallelogram
         }
-        this.drawGhostTrails(isDimmed);
+        if (this.viewMode === 'phase') {
+            this.drawVectorField(isDimmed);
+            this.drawPhaseEigenlines();
+        } else if (!this.areEigenvectorsHidden() && this.viewMode !== 'pca' && this.viewMode !== 'markov') {
+            this.drawGhostTrails(isDimmed);
+        }
 
-        // Layer 2: Eigenvectors (draw first so their labels are visible)
-        this.drawEigenvectors(isDimmed);
+        // Layer 2: Eigenvectors (draw first so their labels are visible; PCA draws them through the mean)
+        if (!this.areEigenvectorsHidden() && this.viewMode !== 'pca') {
+            this.drawEigenvectors(isDimmed);
+        }
 
         // Layer 3: Test vectors and custom vectors (draw after eigenvectors)
-        this.drawTestVectors(isDimmed);
-        this.drawCustomVectors(isDimmed);
+        if (this.isTransformView()) {
+            this.drawTestVectors(isDimmed);
+        }
+        if (this.viewMode === 'phase') {
+            this.drawTrajectories(isDimmed);
+            this.drawEquilibriumLabel();
+        } else if (this.viewMode === 'pca') {
+            this.drawPcaScene();
+        } else if (this.viewMode === 'markov') {
+            this.drawMarkovChain(isDimmed);
+        } else {
+            this.drawCustomVectors(isDimmed);
+        }
+        if (this.viewMode === 'power') {
+            this.drawPowerIteration(isDimmed);
+        }
+        if (this.viewMode === 'quiz') {
+            this.drawQuizGuesses();
+        }
 
         // Layer 4: Hover effects on top
         if (this.hoveredEigenvectorIndex >= 0) {
@@ -1038,16 +3859,19 @@ class EigenvectorApp {
             const vec = this.testVectors[this.hoveredVectorIndex];
             this.drawRotationArc(vec.x, vec.y);
         }
-        if (this.showDeterminant) {
+        if (this.showDeterminant && this.viewMode !== 'pca' && this.viewMode !== 'markov') {
             this.drawDeterminantInfoCard(); // Show determinant info if enabled
         }
+
+        this.updateVectorHandles();
     }
 
     drawGrid() {
         this.ctx.strokeStyle = '#1F2937';
         this.ctx.lineWidth = 1;
 
-        const gridSize = Math.ceil(Math.max(this.width, this.height) / this.scale / 2) + 5;
+        // Capped so a far-panned or zoomed-out camera doesn't draw an unbounded grid
+        const gridSize = Math.min(Math.ceil(this.getViewRadius()) + 5, 120);
 
         for (let i = -gridSize; i <= gridSize; i++) {
             for (let j = -gridSize; j <= gridSize; j++) {
@@ -1073,7 +3897,7 @@ class EigenvectorApp {
     }
 
     drawAxes() {
-        const maxDist = Math.max(this.width, this.height) / this.scale;
+        const maxDist = this.getViewRadius() * 2;
 
         // X-axis
         const xAxis = this.currentMatrix.transform(maxDist, 0);
@@ -1146,10 +3970,55 @@ class EigenvectorApp {
         });
     }
 
-    drawVector(x, y, color, lineWidth = 3, label = '', opacity = 1) {
+    drawPowerIteration(isDimmed = false) {
+        const { iterates } = this.getPowerIterates();
+        const scale = 3; // Same length as the eigenvector arrows
+        const opacity = isDimmed ? 0.2 : 1;
+        const color = '#F97316';
+        const trail = iterates.slice(-this.maxTrailLength);
+
+        // Fading trail through earlier iterate tips, like drawGhostTrails
+        for (let i = 0; i < trail.length - 1; i++) {
+            const progress = i / Math.max(1, trail.length - 1);
+            const alpha = (0.15 + Math.pow(progress, 0.7) * 0.6) * opacity;
+            const start = this.toScreenCoords(trail[i].x * scale, trail[i].y * scale);
+            const end = this.toScreenCoords(trail[i + 1].x * scale, trail[i + 1].y * scale);
+
+            this.ctx.strokeStyle = `rgba(249, 115, 22, ${alpha})`;
+            this.ctx.lineWidth = 3;
+            this.ctx.lineCap = 'round';
+            this.ctx.beginPath();
+            this.ctx.moveTo(start.x, start.y);
+            this.ctx.lineTo(end.x, end.y);
+            this.ctx.stroke();
+
+            this.ctx.fillStyle = `rgba(249, 115, 22, ${alpha})`;
+            this.ctx.beginPath();
+            this.ctx.arc(start.x, start.y, 3, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+
+        // Current iterate
+        const k = iterates.length - 1;
+        const v = iterates[k];
+        const label = k === 0 ? 'v₀' : `A${this.toSuperscript(k)}v`;
+        this.drawVector(v.x * scale, v.y * scale, color, 4, label, opacity);
+    }
+
+    toSuperscript(n) {
+        const digits = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+        return String(n).split('').map(d => digits[d]).join('');
+    }
+
+    toSubscript(n) {
+        const digits = '₀₁₂₃₄₅₆₇₈₉';
+        return String(n).split('').map(d => digits[d]).join('');
+    }
+
+    drawVector(x, y, color, lineWidth = 3, label = '', opacity = 1, origin = { x: 0, y: 0 }) {
         const transformed = this.currentMatrix.transform(x, y);
-        const start = this.toScreenCoords(0, 0);
-        const end = this.toScreenCoords(transformed.x, transformed.y);
+        const start = this.toScreenCoords(origin.x, origin.y);
+        const end = this.toScreenCoords(origin.x + transformed.x, origin.y + transformed.y);
 
         // Convert hex to rgba
         const hexToRgba = (hex, alpha) => {
@@ -1202,7 +4071,8 @@ class EigenvectorApp {
         const eigenvectors = this.targetMatrix.getEigenvectors();
         if (!eigenvectors) return;
 
-        const scale = 3;
+        const scale = 3 * this.getQuizRevealGrowth();
+        if (scale === 0) return;
 
         // Determine opacity based on hover state
         let opacity1 = 1, opacity2 = 1;
@@ -1768,8 +4638,12 @@ class EigenvectorApp {
         const eigenVec = this.hoveredEigenvectorIndex === 0 ? eigenvectors.v1 : eigenvectors.v2;
         const color = this.hoveredEigenvectorIndex === 0 ? '#06B6D4' : '#EC4899';
 
+        this.strokeEigenline(eigenVec, color);
+    }
+
+    strokeEigenline(eigenVec, color) {
         // Draw infinite line through origin in both directions
-        const maxDist = Math.max(this.width, this.height) / this.scale * 2;
+        const maxDist = this.getViewRadius() * 4;
 
         const point1 = this.currentMatrix.transform(eigenVec.x * maxDist, eigenVec.y * maxDist);
         const point2 = this.currentMatrix.transform(-eigenVec.x * maxDist, -eigenVec.y * maxDist);
@@ -1790,6 +4664,265 @@ class EigenvectorApp {
         this.ctx.globalAlpha = 1;
     }
 
+    // Both eigenlines stay visible in the phase portrait (invariant lines of the flow)
+    drawPhaseEigenlines() {
+        const eigenvectors = this.targetMatrix.getEigenvectors();
+        if (!eigenvectors) return;
+
+        this.strokeEigenline(eigenvectors.v1, '#06B6D4');
+        this.strokeEigenline(eigenvectors.v2, '#EC4899');
+    }
+
+    drawVectorField(isDimmed = false) {
+        const spacing = this.scale >= 40 ? 1 : 2;
+        const topLeft = this.toMathCoords(0, 0);
+        const bottomRight = this.toMathCoords(this.width, this.height);
+        const isDiscrete = this.phaseMode === 'discrete';
+
+        // Continuous: velocity Ax. Discrete: displacement Ax − x.
+        const field = (x, y) => {
+            const v = this.targetMatrix.transform(x, y);
+            return isDiscrete ? { x: v.x - x, y: v.y - y } : v;
+        };
+
+        const samples = [];
+        let maxMag = 0;
+        for (let x = Math.floor(topLeft.x / spacing) * spacing; x <= bottomRight.x; x += spacing) {
+            for (let y = Math.floor(bottomRight.y / spacing) * spacing; y <= topLeft.y; y += spacing) {
+                const v = field(x, y);
+                const mag = Math.hypot(v.x, v.y);
+                maxMag = Math.max(maxMag, mag);
+                samples.push({ x, y, v, mag });
+            }
+        }
+        if (maxMag < 1e-9) return;
+
+        const arrowLength = spacing * 0.4;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.lineCap = 'round';
+
+        samples.forEach(({ x, y, v, mag }) => {
+            if (mag < 1e-9) return;
+
+            const alpha = (0.2 + 0.5 * mag / maxMag) * (isDimmed ? 0.3 : 1);
+            const dx = v.x / mag * arrowLength;
+            const dy = v.y / mag * arrowLength;
+            const start = this.toScreenCoords(x - dx / 2, y - dy / 2);
+            const end = this.toScreenCoords(x + dx / 2, y + dy / 2);
+            const angle = Math.atan2(end.y - start.y, end.x - start.x);
+
+            this.ctx.strokeStyle = `rgba(148, 163, 184, ${alpha})`;
+            this.ctx.beginPath();
+            this.ctx.moveTo(start.x, start.y);
+            this.ctx.lineTo(end.x, end.y);
+            this.ctx.moveTo(end.x, end.y);
+            this.ctx.lineTo(end.x - 5 * Math.cos(angle - Math.PI / 6), end.y - 5 * Math.sin(angle - Math.PI / 6));
+            this.ctx.moveTo(end.x, end.y);
+            this.ctx.lineTo(end.x - 5 * Math.cos(angle + Math.PI / 6), end.y - 5 * Math.sin(angle + Math.PI / 6));
+            this.ctx.stroke();
+        });
+    }
+
+    drawTrajectories(isDimmed = false) {
+        const opacity = isDimmed ? 0.3 : 1;
+        const isDiscrete = this.phaseMode === 'discrete';
+
+        this.trajectories.forEach(traj => {
+            const screenPoints = traj.points.map(p => this.toScreenCoords(p.x, p.y));
+
+            // Path (faint between discrete iterates)
+            this.ctx.strokeStyle = `rgba(252, 211, 77, ${(isDiscrete ? 0.35 : 0.9) * opacity})`;
+            this.ctx.lineWidth = isDiscrete ? 1.5 : 2.5;
+            this.ctx.lineJoin = 'round';
+            this.ctx.beginPath();
+            screenPoints.forEach((p, i) => {
+                if (i === 0) {
+                    this.ctx.moveTo(p.x, p.y);
+                } else {
+                    this.ctx.lineTo(p.x, p.y);
+                }
+            });
+            this.ctx.stroke();
+
+            // Iterates as dots
+            if (isDiscrete) {
+                this.ctx.fillStyle = `rgba(252, 211, 77, ${opacity})`;
+                screenPoints.forEach(p => {
+                    this.ctx.beginPath();
+                    this.ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+                    this.ctx.fill();
+                });
+            }
+
+            // Starting point and current head
+            const start = screenPoints[0];
+            const head = screenPoints[screenPoints.length - 1];
+            this.ctx.strokeStyle = `rgba(252, 211, 77, ${opacity})`;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(start.x, start.y, 5, 0, Math.PI * 2);
+            this.ctx.stroke();
+
+            this.ctx.fillStyle = `rgba(252, 211, 77, ${opacity})`;
+            this.ctx.beginPath();
+            this.ctx.arc(head.x, head.y, 5, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+    }
+
+    drawEquilibriumLabel() {
+        const equilibrium = this.targetMatrix.classifyEquilibrium(this.phaseMode === 'discrete');
+        const origin = this.toScreenCoords(0, 0);
+
+        this.ctx.fillStyle = '#F3F4F6';
+        this.ctx.beginPath();
+        this.ctx.arc(origin.x, origin.y, 5, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        this.ctx.font = 'bold 13px "Inter", sans-serif';
+        const textWidth = this.ctx.measureText(equilibrium.label).width;
+        const x = origin.x + 12;
+        const y = origin.y - 30;
+
+        this.ctx.fillStyle = 'rgba(15, 23, 42, 0.85)';
+        this.ctx.fillRect(x, y, textWidth + 16, 24);
+        this.ctx.fillStyle = '#F3F4F6';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(equilibrium.label, x + 8, y + 12);
+        this.ctx.textBaseline = 'alphabetic';
+    }
+
+    // PCA: principal axes through the mean (±2 standard deviations long) and the data points
+    drawPcaScene() {
+        const pca = this.pca;
+        const t = easeInOutCubic(this.animationProgress);
+
+        if (pca) {
+            // The first principal axis as a full line while the points are projected onto it
+            if (t > 0) {
+                const reach = this.getViewRadius() * 4;
+                const from = this.toScreenCoords(pca.mean.x - pca.v1.x * reach, pca.mean.y - pca.v1.y * reach);
+                const to = this.toScreenCoords(pca.mean.x + pca.v1.x * reach, pca.mean.y + pca.v1.y * reach);
+                this.ctx.strokeStyle = '#06B6D4';
+                this.ctx.lineWidth = 2;
+                this.ctx.globalAlpha = 0.3;
+                this.ctx.setLineDash([8, 8]);
+                this.ctx.beginPath();
+                this.ctx.moveTo(from.x, from.y);
+                this.ctx.lineTo(to.x, to.y);
+                this.ctx.stroke();
+                this.ctx.setLineDash([]);
+                this.ctx.globalAlpha = 1;
+            }
+
+            [[pca.v1, pca.lambda1, '#06B6D4', 'PC₁'], [pca.v2, pca.lambda2, '#EC4899', 'PC₂']].forEach(([v, lambda, color, name], i) => {
+                const length = 2 * Math.sqrt(lambda);
+                if (length < 1e-6) return;
+
+                const label = `${name} ${(pca.explained[i] * 100).toFixed(1)}%`;
+                const opacity = i === 1 ? 1 - 0.7 * t : 1; // PC₂ is what the projection throws away
+                this.drawVector(v.x * length, v.y * length, color, 5, label, opacity, pca.mean);
+                this.drawVector(-v.x * length, -v.y * length, color, 5, '', opacity, pca.mean);
+            });
+        }
+
+        // Residuals from each point to where it's heading, then the points themselves
+        const shown = this.getPcaDisplayPoints();
+        if (t > 0) {
+            this.ctx.strokeStyle = 'rgba(156, 163, 175, 0.4)';
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([3, 3]);
+            this.ctx.beginPath();
+            this.pcaPoints.forEach((p, i) => {
+                const from = this.toScreenCoords(p.x, p.y);
+                const to = this.toScreenCoords(shown[i].x, shown[i].y);
+                this.ctx.moveTo(from.x, from.y);
+                this.ctx.lineTo(to.x, to.y);
+            });
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+
+        this.ctx.fillStyle = '#FCD34D';
+        shown.forEach(p => {
+            const screen = this.toScreenCoords(p.x, p.y);
+            this.ctx.beginPath();
+            this.ctx.arc(screen.x, screen.y, 4, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+
+        // Mean marker
+        if (pca) {
+            const mean = this.toScreenCoords(pca.mean.x, pca.mean.y);
+            this.ctx.strokeStyle = '#F3F4F6';
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(mean.x, mean.y, 6, 0, Math.PI * 2);
+            this.ctx.stroke();
+        }
+    }
+
+    // Markov: the simplex of distributions, the iterates Aᵏx₀ walking along it and the stationary point π
+    drawMarkovChain(isDimmed = false) {
+        const opacity = isDimmed ? 0.2 : 1;
+        const corner1 = this.toScreenCoords(1, 0);
+        const corner2 = this.toScreenCoords(0, 1);
+
+        this.ctx.strokeStyle = `rgba(156, 163, 175, ${0.6 * opacity})`;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(corner1.x, corner1.y);
+        this.ctx.lineTo(corner2.x, corner2.y);
+        this.ctx.stroke();
+
+        this.ctx.fillStyle = `rgba(156, 163, 175, ${opacity})`;
+        this.ctx.font = '12px "JetBrains Mono", monospace';
+        this.ctx.fillText('[1, 0]', corner1.x + 8, corner1.y + 16);
+        this.ctx.fillText('[0, 1]', corner2.x + 8, corner2.y - 8);
+
+        // Stationary distribution on the λ = 1 eigenline
+        const pi = markovAnalysis(this.targetMatrix).stationary;
+        if (pi) {
+            const p = this.toScreenCoords(pi.x, pi.y);
+            this.ctx.strokeStyle = `rgba(6, 182, 212, ${opacity})`;
+            this.ctx.lineWidth = 3;
+            this.ctx.beginPath();
+            this.ctx.arc(p.x, p.y, 9, 0, Math.PI * 2);
+            this.ctx.stroke();
+            this.ctx.fillStyle = `rgba(6, 182, 212, ${opacity})`;
+            this.ctx.font = 'bold 13px "JetBrains Mono", monospace';
+            this.ctx.fillText('π', p.x - 20, p.y - 12);
+        }
+
+        // Fading trail through earlier distributions, like drawPowerIteration
+        const iterates = this.getMarkovIterates();
+        const trail = iterates.slice(-this.maxTrailLength);
+        for (let i = 0; i < trail.length - 1; i++) {
+            const progress = i / Math.max(1, trail.length - 1);
+            const alpha = (0.15 + Math.pow(progress, 0.7) * 0.6) * opacity;
+            const start = this.toScreenCoords(trail[i].x, trail[i].y);
+            const end = this.toScreenCoords(trail[i + 1].x, trail[i + 1].y);
+
+            this.ctx.strokeStyle = `rgba(252, 211, 77, ${alpha})`;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.moveTo(start.x, start.y);
+            this.ctx.lineTo(end.x, end.y);
+            this.ctx.stroke();
+
+            this.ctx.fillStyle = `rgba(252, 211, 77, ${alpha})`;
+            this.ctx.beginPath();
+            this.ctx.arc(start.x, start.y, 3, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+
+        // Current distribution
+        const k = iterates.length - 1;
+        const x = iterates[k];
+        this.drawVector(x.x, x.y, '#FCD34D', 4, k === 0 ? 'x₀' : `A${this.toSuperscript(k)}x₀`, opacity);
+    }
+
     drawEigenInfoCard() {
         const eigenvectors = this.targetMatrix.getEigenvectors();
         if (!eigenvectors) return;
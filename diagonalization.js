@@ -1,16 +1,69 @@
+// Labels for each kind of decomposition A = P·M·P⁻¹
+const DECOMPOSITION_LABELS = {
+    diagonal: {
+        middle: 'D',
+        P: 'P = Eigenvectors',
+        M: 'D = Eigenvalues (Diagonal)',
+        v1: 'Eigenvector 1',
+        v2: 'Eigenvector 2',
+        coordinates: 'Eigen-coordinates',
+        scaled: 'Scaled eigen-coordinates',
+        highlights: ['highlight', '', '', 'highlight']
+    },
+    jordan: {
+        middle: 'J',
+        P: 'P = [Eigenvector | Generalized]',
+        M: 'J = Jordan Block',
+        v1: 'Eigenvector 1',
+        v2: 'Generalized Eigenvector',
+        coordinates: 'Coordinates in {v, w}',
+        scaled: 'Scaled and sheared',
+        highlights: ['highlight', 'highlight-jordan', '', 'highlight']
+    },
+    rotationScaling: {
+        middle: 'C',
+        P: 'P = [Re v | Im v]',
+        M: 'C = Rotation-Scaling',
+        v1: 'Re(v)',
+        v2: 'Im(v)',
+        coordinates: 'Coordinates in {Re v, Im v}',
+        scaled: 'Rotated and scaled',
+        highlights: ['highlight', 'highlight-rotation', 'highlight-rotation', 'highlight']
+    }
+};
+
+const SUPERSCRIPT_DIGITS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+const SUBSCRIPT_DIGITS = '₀₁₂₃₄₅₆₇₈₉';
+
+// base raised to n: superscripts for whole n (A³), a caret otherwise (A^2.5); n = 1 leaves base alone
+function formatPower(base, n) {
+    if (n === 1) return base;
+    if (!Number.isInteger(n)) return `${base}^${Number(n.toFixed(2))}`;
+    return base + String(n).replace(/\d/g, digit => SUPERSCRIPT_DIGITS[digit]);
+}
+
+function round4(x) {
+    return Number(x.toFixed(4));
+}
+
+function formatSubscript(n) {
+    return String(n).replace(/\d/g, digit => SUBSCRIPT_DIGITS[digit]);
+}
+
 class DiagonalizationApp {
     constructor() {
         this.canvas = document.getElementById('canvas');
         this.ctx = this.canvas.getContext('2d');
 
         // Set canvas to window size
-        this.resizeCanvas();
-        window.addEventListener('resize', () => this.resizeCanvas());
+        resizeCanvasToWindow(this);
+        window.addEventListener('resize', () => resizeCanvasToWindow(this));
 
-        this.scale = 80;
+        this.baseScale = 80;
+        this.scale = this.baseScale; // Zooms out in draw() when Aⁿ outgrows the screen
         this.origin = { x: this.width / 2, y: this.height / 2 };
 
-        // Animation state (0 to 1, maps to I → P⁻¹ → P⁻¹D → P⁻¹DP)
+        // Animation state (0 to 1, maps to I → P⁻¹ → DP⁻¹ → PDP⁻¹)
         this.progress = 0;
         this.isAnimating = false;
         this.animationSpeed = 1; // Speed multiplier
@@ -20,201 +73,477 @@ class DiagonalizationApp {
         this.D = Matrix2D.identity();
         this.Pinv = Matrix2D.identity();
         this.isDiagonalizable = false;
+        this.decompositionType = null; // 'diagonal' | 'jordan' | 'rotationScaling'
+
+        // Closed forms for rational matrices (shared preference, see shared/exact.js)
+        this.exactValues = loadExactPreference();
+        this.exact = null;
+
+        // Vectors drawn on the canvas, stored before any transformation (?vectors=x,y;x,y)
+        this.customVectors = this.parseVectorsFromURL();
+        this.draggedVectorIndex = -1;
+        this.dragStart = null; // Start of a new vector being drawn
+        this.dragEnd = null;
+
+        // Exponent n: the page decomposes Aⁿ = P·Mⁿ·P⁻¹ (n = 1 is A itself)
+        this.power = 1;
 
         // Parse matrix from URL or use default
-        this.targetMatrix = this.parseMatrixFromURL() || new Matrix2D(2, 1, 1, 2);
+        this.targetMatrix = parseMatrixFromURL() || new Matrix2D(2, 1, 1, 2);
 
         // Decompose
         this.decompose();
 
         // Setup UI
-        this.setupProgress();
+        this.timeline = new StageTimeline(this);
         this.setupButtons();
+        this.setupPowerControls();
+        this.setupMatrixControls();
+        this.setupVectorControls();
+        this.renderLibraryLinks();
+        this.syncMatrixControls();
         this.updateUI();
         this.draw();
-    }
 
-    resizeCanvas() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
-        this.width = this.canvas.width;
-        this.height = this.canvas.height;
-        this.origin = { x: this.width / 2, y: this.height / 2 };
+        this.lessons = new LessonRunner(this);
     }
 
-    parseMatrixFromURL() {
+    parseVectorsFromURL() {
         const params = new URLSearchParams(window.location.search);
-        const matrixStr = params.get('matrix');
-        if (matrixStr) {
-            const values = matrixStr.split(',').map(Number);
-            if (values.length === 4 && values.every(v => !isNaN(v))) {
-                return new Matrix2D(values[0], values[1], values[2], values[3]);
-            }
-        }
-        return null;
+        return (params.get('vectors') || '').split(';')
+            .map(pair => pair.split(',').map(Number))
+            .filter(pair => pair.length === 2 && pair.every(v => !isNaN(v)))
+            .map(([x, y]) => ({ x, y }));
     }
 
     decompose() {
+        this.decomposeNumerically();
+
+        // With exact values on, P uses the integer-scaled eigenvector columns it displays
+        this.exact = this.exactValues ? exactDecomposition(this.targetMatrix) : null;
+        if (this.exact && this.exact.type === this.decompositionType) {
+            this.P = exactToMatrix2D(this.exact.P);
+            this.D = exactToMatrix2D(this.exact.D);
+            this.Pinv = exactToMatrix2D(this.exact.Pinv);
+        } else {
+            this.exact = null;
+        }
+    }
+
+    decomposeNumerically() {
+        this.P = Matrix2D.identity();
+        this.D = Matrix2D.identity();
+        this.Pinv = Matrix2D.identity();
+        this.isDiagonalizable = false;
+        this.decompositionType = null;
+
         const eigenvalues = this.targetMatrix.eigenvalues();
-        const eigenvectors = this.targetMatrix.getEigenvectors();
+        this.eigenvalues = eigenvalues;
+
+        // Complex pair α ± βi: use the real rotation-scaling form instead
+        if (eigenvalues.isComplex) {
+            const canonical = this.targetMatrix.realCanonicalForm();
+            if (!canonical.Pinv) {
+                console.warn('Failed to compute inverse');
+                return;
+            }
 
-        if (!eigenvectors || eigenvalues.isComplex) {
-            console.warn('Matrix is not diagonalizable');
+            this.P = canonical.P;
+            this.D = canonical.C;
+            this.Pinv = canonical.Pinv;
+            this.rotation = { angle: canonical.angle, scale: canonical.scale };
+            this.decompositionType = 'rotationScaling';
             return;
         }
 
-        this.isDiagonalizable = true;
+        // Repeated eigenvalue with a single eigenvector: fall back to Jordan form
+        const jordan = this.targetMatrix.jordanDecomposition();
+        if (jordan) {
+            this.P = jordan.P;
+            this.D = jordan.J;
+            this.Pinv = jordan.Pinv;
+            this.decompositionType = 'jordan';
+            return;
+        }
 
+        const eigenvectors = this.targetMatrix.getEigenvectors();
         const v1 = eigenvectors.v1;
         const v2 = eigenvectors.v2;
         this.P = new Matrix2D(v1.x, v2.x, v1.y, v2.y);
+
+        // A = λI: every vector is an eigenvector, so the standard basis works
+        if (Math.abs(this.P.determinant()) < 1e-10) {
+            this.P = Matrix2D.identity();
+        }
+
         this.D = new Matrix2D(eigenvalues.lambda1.real, 0, 0, eigenvalues.lambda2.real);
         this.Pinv = this.P.inverse();
 
         if (!this.Pinv) {
             console.warn('Failed to compute inverse');
-            this.isDiagonalizable = false;
+            this.Pinv = Matrix2D.identity();
             return;
         }
 
+        this.isDiagonalizable = true;
+        this.decompositionType = 'diagonal';
         this.eigenvectors = eigenvectors;
-        this.eigenvalues = eigenvalues;
+    }
+
+    // Fractional powers stay real for eigenvalues ≥ 0 (λ > 0 for a Jordan block) and for rotations
+    canUseFractionalPower() {
+        if (this.decompositionType === 'rotationScaling') return true;
+        if (this.decompositionType === 'jordan') return this.D.a > 0;
+        return this.D.a >= 0 && this.D.d >= 0;
+    }
+
+    // The exponent actually shown: fractional n is rounded when Mⁿ would be complex
+    getExponent() {
+        return Number.isInteger(this.power) || this.canUseFractionalPower() ? this.power : Math.round(this.power);
+    }
+
+    // Mⁿ for the middle factor: diag(λ₁ⁿ, λ₂ⁿ), [λⁿ nλⁿ⁻¹; 0 λⁿ], or a turn by nθ with scale rⁿ
+    getMiddlePower(n) {
+        const M = this.D;
+        if (this.decompositionType === 'rotationScaling') {
+            return Matrix2D.rotationScaling(this.rotation.angle * n, Math.pow(this.rotation.scale, n));
+        }
+        if (this.decompositionType === 'jordan') {
+            const lambdaN = Math.pow(M.a, n);
+            return new Matrix2D(lambdaN, n === 0 ? 0 : n * Math.pow(M.a, n - 1), 0, lambdaN);
+        }
+        return new Matrix2D(Math.pow(M.a, n), 0, 0, Math.pow(M.d, n));
+    }
+
+    // Cumulative matrices at each phase point: I, P⁻¹, DⁿP⁻¹, PDⁿP⁻¹ = Aⁿ
+    getStageMatrices() {
+        const DPinv = this.getMiddlePower(this.getExponent()).multiply(this.Pinv);
+        return [
+            Matrix2D.identity(),
+            this.Pinv,
+            DPinv,
+            this.P.multiply(DPinv)
+        ];
     }
 
     getCurrentMatrix() {
-        if (!this.isDiagonalizable) {
+        if (!this.decompositionType) {
             return Matrix2D.identity();
         }
 
-        // Map progress 0→1 to stages: I → P⁻¹ → P⁻¹D → P⁻¹DP
+        // Map progress 0→1 to stages: I → P⁻¹ → DP⁻¹ → PDP⁻¹
+        const stages = this.getStageMatrices();
         if (this.progress < 0.33) {
             // Stage 1: I → P⁻¹
             const t = this.progress / 0.33;
-            return Matrix2D.lerp(Matrix2D.identity(), this.Pinv, t);
+            return Matrix2D.lerp(stages[0], stages[1], t);
         } else if (this.progress < 0.67) {
-            // Stage 2: P⁻¹ → P⁻¹D
+            // Stage 2: P⁻¹ → DⁿP⁻¹ (Dⁿ acts after P⁻¹)
             const t = (this.progress - 0.33) / 0.34;
-            const PinvD = this.Pinv.multiply(this.D);
-            return Matrix2D.lerp(this.Pinv, PinvD, t);
+            const n = this.getExponent();
+            if (this.decompositionType === 'rotationScaling') {
+                // Turn and grow gradually instead of lerping, which would collapse a rotation
+                const { angle, scale } = this.rotation;
+                return Matrix2D.rotationScaling(angle * n * t, Math.pow(scale, n * t)).multiply(this.Pinv);
+            }
+            if (this.D.a > 0 && this.D.d > 0) {
+                // Positive eigenvalues: pass through M^(nt) so each power reads as one more scaling
+                return this.getMiddlePower(n * t).multiply(this.Pinv);
+            }
+            return Matrix2D.lerp(stages[1], stages[2], t);
         } else {
-            // Stage 3: P⁻¹D → P⁻¹DP = A
+            // Stage 3: DⁿP⁻¹ → PDⁿP⁻¹ = Aⁿ (P acts last)
             const t = (this.progress - 0.67) / 0.33;
-            const PinvD = this.Pinv.multiply(this.D);
-            const A = PinvD.multiply(this.P);
-            return Matrix2D.lerp(PinvD, A, t);
+            return Matrix2D.lerp(stages[2], stages[3], t);
         }
     }
 
-    setupProgress() {
-        const track = document.getElementById('scrubberTrack');
-        const handle = document.getElementById('scrubberHandle');
-        let isDragging = false;
-
-        const updateProgress = (clientX) => {
-            const rect = track.getBoundingClientRect();
-            const x = Math.max(0, Math.min(clientX - rect.left, rect.width));
-            this.progress = x / rect.width;
-            this.updateUI();
-            this.draw();
-        };
-
-        handle.addEventListener('mousedown', () => {
-            isDragging = true;
+    setupMatrixControls() {
+        ['a11', 'a12', 'a21', 'a22'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateMatrixFromInputs());
         });
 
-        document.addEventListener('mousemove', (e) => {
-            if (isDragging) {
-                updateProgress(e.clientX);
+        const presets = document.getElementById('presetChips');
+        presets.innerHTML = Object.entries(PRESETS).map(([key, preset]) =>
+            `<button class="preset-chip" data-preset="${key}" title="${preset.description}">${preset.name}</button>`
+        ).join('');
+        presets.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-preset]');
+            if (chip) {
+                this.setMatrix(PRESETS[chip.dataset.preset].matrix);
             }
         });
 
-        document.addEventListener('mouseup', () => {
-            isDragging = false;
+        const kinds = document.getElementById('randomKind');
+        kinds.innerHTML = Object.entries(RANDOM_MATRIX_KINDS)
+            .map(([kind, label]) => `<option value="${kind}">${label}</option>`)
+            .join('');
+        document.getElementById('randomizeBtn').addEventListener('click', () => this.randomizeMatrix());
+    }
+
+    // Half-typed entries ("", "-") are skipped until they parse
+    updateMatrixFromInputs() {
+        const values = ['a11', 'a12', 'a21', 'a22'].map(id => parseFloat(document.getElementById(id).value));
+        if (values.some(isNaN)) return;
+
+        this.setMatrix(new Matrix2D(values[0], values[1], values[2], values[3]));
+    }
+
+    // Integer entries keep the exact forms short
+    randomizeMatrix() {
+        const kind = document.getElementById('randomKind').value;
+        this.setMatrix(generateRandomMatrix({ kind, integer: true }).matrix);
+    }
+
+    // Every way of picking a matrix ends here: decompose it and restart the timeline
+    setMatrix(matrix) {
+        this.targetMatrix = matrix;
+        this.decompose();
+        this.renderLibraryLinks();
+        this.syncMatrixControls();
+        this.reset();
+    }
+
+    getMatchingPreset() {
+        const m = this.targetMatrix;
+        return Object.keys(PRESETS).find(key =>
+            ['a', 'b', 'c', 'd'].every(entry => Math.abs(PRESETS[key].matrix[entry] - m[entry]) < 1e-9)) || null;
+    }
+
+    // Inputs, preset chips, the address bar and the link back to the eigenvector page follow the matrix
+    syncMatrixControls() {
+        const m = this.targetMatrix;
+        ['a11', 'a12', 'a21', 'a22'].forEach((id, i) => {
+            const input = document.getElementById(id);
+            const value = [m.a, m.b, m.c, m.d][i];
+            // Leave "1." alone while it is being typed
+            if (parseFloat(input.value) !== value) {
+                input.value = value;
+            }
         });
 
-        track.addEventListener('click', (e) => {
-            updateProgress(e.clientX);
+        const preset = this.getMatchingPreset();
+        document.querySelectorAll('#presetChips .preset-chip').forEach(chip => {
+            chip.classList.toggle('active', chip.dataset.preset === preset);
         });
+
+        const matrixParam = [m.a, m.b, m.c, m.d].map(round4).join(',');
+        document.getElementById('eigenvectorLink').href =
+            `eigenvectors.html?matrix=${matrixParam}${preset ? `&preset=${preset}` : ''}`;
+        this.updateURL();
     }
 
-    setupButtons() {
-        document.getElementById('stepBtn').addEventListener('click', () => this.stepToNextPhase());
-        document.getElementById('resetBtn').addEventListener('click', () => this.reset());
-
-        // Speed control buttons
-        document.querySelectorAll('.speed-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const speed = parseFloat(e.target.dataset.speed);
-                this.setSpeed(speed);
+    // Debounced so typing and dragging don't flood the history API
+    updateURL() {
+        clearTimeout(this.urlUpdateTimer);
+        this.urlUpdateTimer = setTimeout(() => {
+            const m = this.targetMatrix;
+            const params = new URLSearchParams(window.location.search);
+            params.set('matrix', [m.a, m.b, m.c, m.d].map(round4).join(','));
+            if (this.customVectors.length > 0) {
+                params.set('vectors', this.customVectors.map(v => `${round4(v.x)},${round4(v.y)}`).join(';'));
+            } else {
+                params.delete('vectors');
+            }
+            const url = `${window.location.pathname}?${params.toString().replace(/%2C/g, ',').replace(/%3B/g, ';')}`;
+            if (url !== window.location.pathname + window.location.search) {
+                history.replaceState(null, '', url);
+            }
+        }, 200);
+    }
+
+    // Drag on empty canvas to draw a vector, drag a tip to move it. Both act on the frame
+    // currently shown, so the stored vector is the point pulled back through the current matrix.
+    setupVectorControls() {
+        const toMathCoords = (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            return {
+                x: (e.clientX - rect.left - this.origin.x) / this.scale,
+                y: (this.origin.y - (e.clientY - rect.top)) / this.scale
+            };
+        };
+
+        this.canvas.addEventListener('mousedown', (e) => {
+            const point = toMathCoords(e);
+            const current = this.getCurrentMatrix();
+            const hitRadius = 12 / this.scale;
+
+            this.draggedVectorIndex = this.customVectors.findIndex(v => {
+                const tip = this.transform(v.x, v.y, current);
+                return Math.hypot(tip.x - point.x, tip.y - point.y) <= hitRadius;
             });
+            if (this.draggedVectorIndex < 0) {
+                this.dragStart = point;
+                this.dragEnd = point;
+            }
         });
 
-        // Space bar to step
-        document.addEventListener('keydown', (e) => {
-            if (e.code === 'Space') {
-                e.preventDefault();
-                this.stepToNextPhase();
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (this.draggedVectorIndex >= 0) {
+                const vector = this.pullBack(toMathCoords(e));
+                if (vector) {
+                    this.customVectors[this.draggedVectorIndex] = vector;
+                    this.updateVectorReadout();
+                    this.draw();
+                }
+            } else if (this.dragStart) {
+                this.dragEnd = toMathCoords(e);
+                this.draw();
             }
         });
-    }
 
-    setSpeed(speed) {
-        this.animationSpeed = speed;
+        window.addEventListener('mouseup', () => {
+            if (this.dragStart) {
+                const dx = this.dragEnd.x - this.dragStart.x;
+                const dy = this.dragEnd.y - this.dragStart.y;
+                const vector = Math.hypot(dx, dy) * this.scale > 15 ? this.pullBack({ x: dx, y: dy }) : null;
+                if (vector) {
+                    this.customVectors.push(vector);
+                }
+            }
+            if (this.dragStart || this.draggedVectorIndex >= 0) {
+                this.dragStart = null;
+                this.draggedVectorIndex = -1;
+                this.updateURL();
+                this.updateVectorReadout();
+                this.draw();
+            }
+        });
 
-        // Update active state on speed buttons
-        document.querySelectorAll('.speed-btn').forEach(btn => {
-            btn.classList.remove('active');
-            if (parseFloat(btn.dataset.speed) === speed) {
-                btn.classList.add('active');
+        document.getElementById('clearVectorsBtn').addEventListener('click', () => this.setCustomVectors([]));
+        document.getElementById('vectorReadout').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-remove-vector]');
+            if (btn) {
+                this.setCustomVectors(this.customVectors.filter((_, i) => i !== Number(btn.dataset.removeVector)));
             }
         });
     }
 
-    stepToNextPhase() {
-        // Discrete phases: 0, 0.33, 0.67, 1.0
-        const phases = [0, 0.33, 0.67, 1.0];
+    // The vector that the current frame's matrix sends to point, or null while that matrix is singular
+    pullBack(point) {
+        const inverse = this.getCurrentMatrix().inverse();
+        return inverse ? this.transform(point.x, point.y, inverse) : null;
+    }
 
-        // Find next phase
-        let nextPhaseIndex = phases.findIndex(p => p > this.progress + 0.01);
-        if (nextPhaseIndex === -1) {
-            // We're at the end, reset to start
-            this.animateToProgress(0);
-        } else {
-            this.animateToProgress(phases[nextPhaseIndex]);
-        }
+    setCustomVectors(vectors) {
+        this.customVectors = vectors;
+        this.updateURL();
+        this.updateVectorReadout();
+        this.draw();
+    }
+
+    // Matrices saved on the eigenvector page open here as links
+    renderLibraryLinks() {
+        const section = document.getElementById('librarySection');
+        const items = new MatrixLibrary().items;
+        if (items.length === 0) return;
+
+        const m = this.targetMatrix;
+        const current = [m.a, m.b, m.c, m.d].join(',');
+        document.getElementById('libraryLinks').innerHTML = items.map(item => {
+            const matrixParam = item.matrix.join(',');
+            return `
+                <a class="library-link ${matrixParam === current ? 'active' : ''}" href="diagonalization.html?matrix=${matrixParam}"
+                    title="${escapeXML(item.description || item.name)}">${escapeXML(item.name)}</a>
+            `;
+        }).join('');
+        section.hidden = false;
     }
 
-    animateToProgress(targetProgress) {
-        if (this.isAnimating) return; // Prevent overlapping animations
+    setupButtons() {
+        document.getElementById('exportPngBtn').addEventListener('click', () => exportScenePNG(this, 'diagonalization.png'));
+        document.getElementById('exportSvgBtn').addEventListener('click', () => exportSceneSVG(this, 'diagonalization.svg'));
+        document.getElementById('recordBtn').addEventListener('click', () => this.recordAnimation());
+
+        const exactCheckbox = document.getElementById('exactValues');
+        exactCheckbox.checked = this.exactValues;
+        exactCheckbox.addEventListener('change', () => {
+            this.exactValues = exactCheckbox.checked;
+            saveExactPreference(this.exactValues);
+            this.decompose();
+            this.updateUI();
+            this.draw();
+        });
+    }
 
-        this.isAnimating = true;
-        const startProgress = this.progress;
-        const baseDuration = 800; // ms
-        const duration = baseDuration / this.animationSpeed; // Adjust by speed
-        const startTime = performance.now();
+    setupPowerControls() {
+        const slider = document.getElementById('powerExponent');
+        const fractional = document.getElementById('fractionalPower');
 
-        const animate = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const t = Math.min(elapsed / duration, 1);
+        slider.addEventListener('input', () => this.setPower(parseFloat(slider.value)));
+        fractional.addEventListener('change', () => {
+            slider.step = fractional.checked ? 0.05 : 1;
+            this.setPower(fractional.checked ? this.power : Math.round(this.power));
+        });
+        document.getElementById('fibonacciBtn').addEventListener('click', () => this.loadFibonacci());
+    }
 
-            // Ease in-out
-            const eased = t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+    setPower(n) {
+        this.power = n;
+        document.getElementById('powerExponent').value = n;
+        this.updateUI();
+        this.draw();
+    }
 
-            this.progress = startProgress + (targetProgress - startProgress) * eased;
-            this.updateUI();
+    // [1 1; 1 0]ⁿ holds the Fibonacci numbers; n = 10 gives F₁₀ = 55
+    loadFibonacci() {
+        this.setMatrix(new Matrix2D(1, 1, 1, 0));
+        this.setPower(10);
+        this.timeline.animateToProgress(1);
+    }
+
+    isFibonacciMatrix() {
+        const m = this.targetMatrix;
+        return m.a === 1 && m.b === 1 && m.c === 1 && m.d === 0;
+    }
+
+    // Record all three stages at a fixed frame rate as WebM (or zipped PNG frames)
+    async recordAnimation() {
+        if (this.isAnimating) return;
+
+        const recordBtn = document.getElementById('recordBtn');
+        const recordLabel = recordBtn.querySelector('span');
+        const withOverlays = document.getElementById('recordOverlays').checked;
+
+        this.isAnimating = true; // Keeps Step from fighting over the timeline
+        recordBtn.disabled = true;
+
+        try {
+            await recordSceneAnimation(this, {
+                filename: 'diagonalization',
+                duration: 6,
+                renderFrame: (progress) => {
+                    this.progress = progress;
+                    this.updateUI();
+                },
+                getOverlayCards: withOverlays ? () => this.getRecordingOverlayCards() : null,
+                onProgress: (fraction) => {
+                    recordLabel.textContent = `${Math.round(fraction * 100)}%`;
+                }
+            });
+        } finally {
+            this.isAnimating = false;
+            recordBtn.disabled = false;
+            recordLabel.textContent = 'Record';
             this.draw();
+        }
+    }
 
-            if (t < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                this.progress = targetProgress;
-                this.isAnimating = false;
-                this.updateUI();
-                this.draw();
-            }
-        };
+    getRecordingOverlayCards() {
+        const labels = this.getLabels();
+        const n = this.getExponent();
+        const format = x => x.toFixed(2).padStart(6);
+        const rows = m => [
+            { text: `[${format(m.a)} ${format(m.b)} ]` },
+            { text: `[${format(m.c)} ${format(m.d)} ]` }
+        ];
 
-        requestAnimationFrame(animate);
+        return [
+            { title: formatPower('A', n), lines: rows(this.getStageMatrices()[3]) },
+            { title: 'P', lines: rows(this.P) },
+            { title: formatPower(labels.middle, n), lines: rows(this.getMiddlePower(n)) },
+            { title: 'Stage', lines: [{ text: document.getElementById('stageDescription').textContent.trim().split(':')[0], color: '#F59E0B' }] }
+        ];
     }
 
     reset() {
@@ -224,62 +553,281 @@ class DiagonalizationApp {
         this.draw();
     }
 
-    updateUI() {
-        // Update progress bar
-        const percent = this.progress * 100;
-        document.getElementById('scrubberProgress').style.width = `${percent}%`;
-        document.getElementById('scrubberHandle').style.left = `${percent}%`;
+    // Hooks for the lesson runner (shared/lessons.js)
+    getLessonState() {
+        return {
+            page: 'diagonalization',
+            matrix: this.targetMatrix,
+            progress: this.progress,
+            isAnimating: this.isAnimating,
+            customVectors: this.customVectors,
+            viewMode: null
+        };
+    }
 
-        // Update matrices
-        this.updateMatrixDisplay('matrixA', this.targetMatrix);
-        this.updateMatrixDisplay('matrixP', this.P);
-        this.updateMatrixDisplay('matrixD', this.D, true); // Highlight diagonal
-        this.updateMatrixDisplay('matrixPinv', this.Pinv);
+    setLessonMatrix(matrix) {
+        this.setMatrix(matrix);
+    }
+
+    updateUI() {
+        this.timeline.updateScrubber();
+
+        // Update matrices (closed forms for powers only with a whole exponent)
+        const exact = this.exact;
+        const n = this.getExponent();
+        const exactPower = Boolean(exact) && Number.isInteger(n);
+        this.updateMatrixDisplay('matrixPower', this.getStageMatrices()[3], [], exactPower && exactMatrixPower(exact.analysis.entries, n));
+        this.updateMatrixDisplay('matrixP', this.P, [], exact && exact.P);
+        this.updateMatrixDisplay('matrixD', this.getMiddlePower(n), this.getLabels().highlights,
+            exactPower && exactMatrixPower(exact.D, n), this.getMiddlePowerNotes(n));
+        this.updateMatrixDisplay('matrixPinv', this.Pinv, [], exact && exact.Pinv);
+        this.updateDecompositionLabels();
+        this.updatePowerReadout();
 
         // Update stage description
         this.updateStageDescription();
+        this.updateVectorReadout();
+    }
+
+    // Each vector at the four phase points: standard, P-basis, scaled P-basis and standard coordinates again
+    updateVectorReadout() {
+        const readout = document.getElementById('vectorReadout');
+        document.getElementById('clearVectorsBtn').hidden = this.customVectors.length === 0;
+        if (this.customVectors.length === 0) {
+            readout.innerHTML = '<p class="vector-hint">Drag on the canvas to draw a vector, then drag its tip to move it.</p>';
+            return;
+        }
+
+        const labels = this.getLabels();
+        const n = this.getExponent();
+        const stages = this.getStageMatrices();
+        const stage = getStageIndex(this.progress);
+        const rowNames = [
+            ['I', 'Standard'],
+            ['P⁻¹', labels.coordinates],
+            [`${formatPower(labels.middle, n)}P⁻¹`, labels.scaled],
+            [formatPower('A', n), 'Standard']
+        ];
+        const format = p => `(${p.x.toFixed(2)}, ${p.y.toFixed(2)})`;
+
+        readout.innerHTML = this.customVectors.map((v, i) => `
+            <div class="vector-card">
+                <div class="vector-card-header">
+                    <span>v${formatSubscript(i + 1)}</span>
+                    <button class="vector-remove" data-remove-vector="${i}" title="Remove this vector">×</button>
+                </div>
+                ${rowNames.map(([matrix, basis], k) => `
+                    <div class="vector-row ${k === stage ? 'active' : ''}">
+                        <span class="vector-stage">${matrix}</span>
+                        <span class="vector-basis">${basis}</span>
+                        <span class="vector-coords">${format(this.transform(v.x, v.y, stages[k]))}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
     }
 
-    updateMatrixDisplay(id, matrix, highlightDiagonal = false) {
+    getLabels() {
+        return DECOMPOSITION_LABELS[this.decompositionType] || DECOMPOSITION_LABELS.diagonal;
+    }
+
+    updateDecompositionLabels() {
+        const labels = this.getLabels();
+        const n = this.getExponent();
+        const middle = formatPower(labels.middle, n);
+
+        document.getElementById('equationText').textContent = `${formatPower('A', n)} = P${middle}P⁻¹`;
+        document.getElementById('matrixPowerDisplay').hidden = n === 1;
+        document.getElementById('matrixPowerLabel').textContent = `${formatPower('A', n)} = Matrix Power`;
+        document.getElementById('matrixPLabel').textContent = labels.P;
+        document.getElementById('matrixDLabel').textContent = middle + labels.M.slice(labels.middle.length);
+        document.getElementById('stage2Label').textContent = `${middle}P⁻¹`;
+        document.getElementById('stage3Label').textContent = `P${middle}P⁻¹`;
+        document.getElementById('legendV1Label').textContent = labels.v1;
+        document.getElementById('legendV2Label').textContent = labels.v2;
+
+        // Rotation angle and scale factor of C
+        const caption = document.getElementById('matrixDCaption');
+        if (this.decompositionType === 'rotationScaling') {
+            const degrees = this.rotation.angle * 180 / Math.PI;
+            caption.innerHTML = n === 1
+                ? `θ = ${degrees.toFixed(1)}° &nbsp;·&nbsp; r = |λ| = ${this.rotation.scale.toFixed(3)}`
+                : `${Number(n.toFixed(2))}θ = ${(degrees * n).toFixed(1)}° &nbsp;·&nbsp; ${formatPower('r', n)} = ${Math.pow(this.rotation.scale, n).toFixed(3)}`;
+            caption.style.display = 'block';
+        } else {
+            caption.style.display = 'none';
+        }
+    }
+
+    // Symbolic entries of Mⁿ (λ₁ⁿ, nλⁿ⁻¹, ...) shown above the values while n ≠ 1
+    getMiddlePowerNotes(n) {
+        if (n === 1) return [];
+        if (this.decompositionType === 'jordan') {
+            const shear = n === 0 ? '0' : `${Number(n.toFixed(2))}${formatPower('λ', Number((n - 1).toFixed(2)))}`;
+            return [formatPower('λ', n), shear, '', formatPower('λ', n)];
+        }
+        if (this.decompositionType === 'diagonal') {
+            return [formatPower('λ₁', n), '', '', formatPower('λ₂', n)];
+        }
+        return [];
+    }
+
+    // exactValues: optional closed-form entries (Rational/Surd) shown instead of decimals
+    // notes: optional short labels shown above each value
+    updateMatrixDisplay(id, matrix, cellClasses = [], exactValues = null, notes = []) {
         const container = document.getElementById(id);
         if (!container || !matrix) return;
 
-        const cells = [
-            { value: matrix.a, diagonal: true },
-            { value: matrix.b, diagonal: false },
-            { value: matrix.c, diagonal: false },
-            { value: matrix.d, diagonal: true }
-        ];
+        const values = [matrix.a, matrix.b, matrix.c, matrix.d];
 
-        container.innerHTML = cells.map((cell, i) => {
-            const highlight = highlightDiagonal && cell.diagonal ? 'highlight' : '';
-            return `<div class="matrix-cell ${highlight}">${cell.value.toFixed(2)}</div>`;
+        container.classList.toggle('exact', Boolean(exactValues));
+        container.innerHTML = values.map((value, i) => {
+            const highlight = cellClasses[i] || '';
+            const note = notes[i] ? `<span class="cell-note">${notes[i]}</span>` : '';
+            return `<div class="matrix-cell ${highlight}">${note}${exactValues ? exactValues[i] : value.toFixed(2)}</div>`;
         }).join('');
     }
 
+    updatePowerReadout() {
+        const n = this.getExponent();
+        document.getElementById('powerValue').textContent = `n = ${Number(this.power.toFixed(2))}`;
+
+        const warning = document.getElementById('powerWarning');
+        warning.hidden = n === this.power;
+        warning.textContent = `Fractional powers need ${this.decompositionType === 'jordan' ? 'λ > 0' : 'eigenvalues ≥ 0'} to stay real, so n is rounded to ${n}.`;
+
+        document.getElementById('powerReadout').innerHTML = this.describePowerGrowth(n);
+        this.updateFibonacciCard(n);
+    }
+
+    // Which direction Aⁿ favours as n grows
+    describePowerGrowth(n) {
+        const An = formatPower('A', n);
+
+        if (this.decompositionType === 'rotationScaling') {
+            const { scale } = this.rotation;
+            const motion = Math.abs(scale - 1) < 1e-10 ? 'around a closed ellipse' : scale > 1 ? 'outward' : 'inward';
+            return `<p>No direction takes over: each power turns by θ once more and scales by r = ${scale.toFixed(3)}, so ${An} spirals ${motion}.</p>`;
+        }
+
+        if (this.decompositionType === 'jordan') {
+            const lambda = this.D.a;
+            return `<p>λⁿ scales both directions while the shear nλⁿ⁻¹ grows like n/λ relative to it (λ = ${lambda.toFixed(2)}).` +
+                ' The square folds onto the eigenvector line, but only linearly in n, not geometrically.</p>';
+        }
+
+        // Diagonal: the eigenvalue of larger size wins, at rate |λ_small / λ_big| per power
+        const first = Math.abs(this.D.a) >= Math.abs(this.D.d);
+        const [big, small] = first ? [this.D.a, this.D.d] : [this.D.d, this.D.a];
+        if (Math.abs(Math.abs(big) - Math.abs(small)) < 1e-10) {
+            return '<p>|λ₁| = |λ₂|, so neither eigenvector takes over: every power scales both directions by the same amount.</p>';
+        }
+
+        const dominant = first ? { x: this.P.a, y: this.P.c } : { x: this.P.b, y: this.P.d };
+        const [bigName, smallName] = first ? ['λ₁', 'λ₂'] : ['λ₂', 'λ₁'];
+        const ratio = Math.pow(Math.abs(small / big), n);
+
+        // Widest angle between an edge of the final square and the dominant eigenline
+        const result = this.getStageMatrices()[3];
+        const angles = [{ x: result.a, y: result.c }, { x: result.b, y: result.d }]
+            .filter(v => Math.hypot(v.x, v.y) > 1e-12)
+            .map(v => {
+                const cos = Math.abs(v.x * dominant.x + v.y * dominant.y) / (Math.hypot(v.x, v.y) * Math.hypot(dominant.x, dominant.y));
+                return Math.acos(Math.min(1, cos)) * 180 / Math.PI;
+            });
+
+        return `
+            <div class="readout-row"><span>${formatPower(`|${smallName}/${bigName}|`, n)}</span><span>${ratio < 1e-4 ? ratio.toExponential(2) : ratio.toFixed(4)}</span></div>
+            ${angles.length > 0 ? `<div class="readout-row"><span>Edges vs ${first ? 'v₁' : 'v₂'}</span><span>≤ ${Math.max(...angles).toFixed(1)}°</span></div>` : ''}
+            <p>Every power multiplies the ${first ? 'cyan' : 'magenta'} eigenvector's share by ${bigName} = ${big.toFixed(2)} and the other by ${smallName} = ${small.toFixed(2)}.
+            The weaker direction fades by this ratio, so the square is pulled onto the dominant eigenline.</p>
+        `;
+    }
+
+    // Binet's formula read off P·Dⁿ·P⁻¹ for A = [1 1; 1 0]
+    updateFibonacciCard(n) {
+        const card = document.getElementById('fibonacciCard');
+        card.hidden = !this.isFibonacciMatrix();
+        if (card.hidden) return;
+
+        const phi = (1 + Math.sqrt(5)) / 2;
+        const psi = (1 - Math.sqrt(5)) / 2;
+        const k = Math.round(n);
+        const sub = formatSubscript(k);
+        const phiN = Math.pow(phi, k);
+        const psiN = Math.pow(psi, k);
+        const fib = Math.round((phiN - psiN) / Math.sqrt(5));
+
+        document.getElementById('fibonacciDerivation').innerHTML = `
+            <p>A·[F<sub>k+1</sub>, F<sub>k</sub>] = [F<sub>k+2</sub>, F<sub>k+1</sub>], so starting from A⁰ = I:</p>
+            <p class="formula">Aⁿ = [Fₙ₊₁ Fₙ; Fₙ Fₙ₋₁]</p>
+            <p>The eigenvalues are φ = (1 + √5)/2 and ψ = (1 − √5)/2 with eigenvectors (φ, 1) and (ψ, 1). With P = [φ ψ; 1 1] and P⁻¹ = [1 −ψ; −1 φ]/√5,
+            the bottom-left entry of P·Dⁿ·P⁻¹ is 1·φⁿ·(1/√5) + 1·ψⁿ·(−1/√5):</p>
+            <p class="formula">Fₙ = (φⁿ − ψⁿ)/√5</p>
+            <p>n = ${k}: F${sub} = (${phiN.toFixed(3)} ${psiN < 0 ? '+' : '−'} ${Math.abs(psiN).toFixed(3)})/√5 = ${fib}</p>
+            <p>|ψ| ≈ 0.618 < 1, so ψⁿ dies out and Fₙ is φⁿ/√5 rounded to the nearest whole number: φ dominates just as its eigenvector takes over the square.</p>
+        `;
+    }
+
     updateStageDescription() {
         const desc = document.getElementById('stageDescription');
-        const descriptions = [
-            'Stage 0: Starting with identity I. The unit square is in standard position.',
+        const n = this.getExponent();
+        const descriptions = this.decompositionType === 'jordan'
+            ? this.getJordanStageDescriptions(n)
+            : this.decompositionType === 'rotationScaling'
+            ? this.getRotationStageDescriptions(n)
+            : this.getDiagonalStageDescriptions(n);
+
+        desc.innerHTML = `<p>${descriptions[getStageIndex(this.progress)]}</p>`;
+    }
+
+    getDiagonalStageDescriptions(n) {
+        if (n === 1) {
+            return [
+                'Stage 0: Starting with identity I. The unit square is in standard position.',
+                'Stage 1: Applying P⁻¹ rotates to eigenvector basis. Watch the grid align with eigenvector directions (cyan & magenta dashed lines).',
+                'Stage 2: Applying D scales along eigenvectors. In this basis, transformation is just diagonal scaling - no rotation!',
+                'Stage 3: Applying P rotates back to standard basis. Final result: A = PDP⁻¹ ✓'
+            ];
+        }
+
+        const Dn = this.getMiddlePower(n);
+        return [
+            `Stage 0: Starting with identity I. Multiplying by A ${Number(n.toFixed(2))} times would mix the coordinates at every step; the eigenvector basis avoids that.`,
             'Stage 1: Applying P⁻¹ rotates to eigenvector basis. Watch the grid align with eigenvector directions (cyan & magenta dashed lines).',
-            'Stage 2: Applying D scales along eigenvectors. In this basis, transformation is just diagonal scaling - no rotation!',
-            'Stage 3: Applying P rotates back to standard basis. Final result: A = PDP⁻¹ ✓'
+            `Stage 2: Applying ${formatPower('D', n)} scales along eigenvectors by ${formatPower('λ₁', n)} = ${Dn.a.toFixed(2)} and ${formatPower('λ₂', n)} = ${Dn.d.toFixed(2)}. Raising A to a power only raises the eigenvalues.`,
+            `Stage 3: Applying P rotates back to standard basis. Final result: ${formatPower('A', n)} = P${formatPower('D', n)}P⁻¹ ✓`
         ];
+    }
 
-        // Match discrete phase points exactly: 0, 0.33, 0.67, 1.0
-        // Use a small tolerance to snap to the nearest phase
-        const phases = [0, 0.33, 0.67, 1.0];
-        let stage = 0;
-
-        // Find the closest phase we've reached or passed
-        for (let i = phases.length - 1; i >= 0; i--) {
-            if (this.progress >= phases[i] - 0.01) {
-                stage = i;
-                break;
-            }
-        }
+    getJordanStageDescriptions(n) {
+        const lambda = this.D.a.toFixed(2);
+        const Jn = this.getMiddlePower(n);
+        const stage2 = n === 1
+            ? `Stage 2: Applying J scales both directions by λ = ${lambda}, and the highlighted off-diagonal 1 adds a shear: w also picks up a copy of v. This leftover shear is what the missing eigenvector costs.`
+            : `Stage 2: Applying ${formatPower('J', n)} scales both directions by ${formatPower('λ', n)} = ${Jn.a.toFixed(2)}, and the highlighted off-diagonal nλⁿ⁻¹ = ${Jn.b.toFixed(2)} adds a shear that grows with every power.`;
+        return [
+            `Stage 0: Starting with identity I. The eigenvalue λ = ${lambda} is repeated, but A has only ONE eigenvector direction (cyan dashed line). There is no second eigenvector to build P from, so A is not diagonalizable.`,
+            'Stage 1: Applying P⁻¹ moves to the basis {v, w}. The missing eigenvector is replaced by a generalized eigenvector w (magenta dotted line) chosen so that (A − λI)w = v.',
+            stage2,
+            `Stage 3: Applying P returns to the standard basis. Final result: ${formatPower('A', n)} = P${formatPower('J', n)}P⁻¹ ✓ The Jordan form is as close to diagonal as this matrix can get.`
+        ];
+    }
 
-        desc.innerHTML = `<p>${descriptions[stage]}</p>`;
+    getRotationStageDescriptions(n) {
+        const alpha = this.D.a.toFixed(2);
+        const beta = this.D.c.toFixed(2);
+        const degrees = this.rotation.angle * 180 / Math.PI;
+        const scale = this.rotation.scale;
+        const stage2 = n === 1
+            ? `Stage 2: Applying C rotates by θ = ${degrees.toFixed(1)}° and scales by r = |λ| = ${scale.toFixed(2)}. Rotation-scaling is the real-number version of multiplying by the complex eigenvalue.`
+            : `Stage 2: Applying ${formatPower('C', n)} rotates by ${Number(n.toFixed(2))}θ = ${(degrees * n).toFixed(1)}° and scales by ${formatPower('r', n)} = ${Math.pow(scale, n).toFixed(2)}, just as ${formatPower('λ', n)} multiplies the angle and raises the modulus.`;
+        return [
+            `Stage 0: Starting with identity I. The eigenvalues λ = ${alpha} ± ${beta}i are complex, so no real direction stays on its own line and A cannot be diagonalized with real numbers.`,
+            'Stage 1: Applying P⁻¹ moves to the basis {Re v, Im v} taken from the complex eigenvector v (cyan & magenta dotted lines). In this basis A has no shear left.',
+            stage2,
+            `Stage 3: Applying P returns to the standard basis. Final result: ${formatPower('A', n)} = P${formatPower('C', n)}P⁻¹ ✓ The rotation looks elliptical here because P is generally not orthogonal.`
+        ];
     }
 
     draw() {
@@ -294,20 +842,30 @@ class DiagonalizationApp {
 
         const currentMatrix = this.getCurrentMatrix();
 
+        // Earlier powers A, A², ... stay as outlines once Aⁿ is reached
+        const ghosts = this.getPowerGhosts();
+
+        // Zoom out so the square and the outlines stay on screen
+        this.scale = this.getViewScale([currentMatrix, ...ghosts]);
+
         // Draw grid
-        this.drawGrid();
+        drawStageGrid(this.ctx, this.scale);
 
         // Draw eigenvector lines (always show them)
-        if (this.isDiagonalizable) {
+        if (this.decompositionType) {
             this.drawEigenvectorLines();
         }
 
+        ghosts.forEach((matrix, i) => this.drawGhostSquare(matrix, (i + 1) / (ghosts.length + 1)));
+
         // Draw unit square
         this.drawUnitSquare(currentMatrix);
 
         // Draw basis vectors
         this.drawBasisVectors(currentMatrix);
 
+        this.drawCustomVectors(currentMatrix);
+
         // Draw origin
         this.ctx.fillStyle = '#FFFFFF';
         this.ctx.beginPath();
@@ -317,51 +875,50 @@ class DiagonalizationApp {
         this.ctx.restore();
     }
 
-    drawGrid() {
-        const gridSize = 10;
-        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.06)';
-        this.ctx.lineWidth = 1;
-
-        for (let i = -gridSize; i <= gridSize; i++) {
-            this.ctx.beginPath();
-            this.ctx.moveTo(i * this.scale, -gridSize * this.scale);
-            this.ctx.lineTo(i * this.scale, gridSize * this.scale);
-            this.ctx.stroke();
-
-            this.ctx.beginPath();
-            this.ctx.moveTo(-gridSize * this.scale, i * this.scale);
-            this.ctx.lineTo(gridSize * this.scale, i * this.scale);
-            this.ctx.stroke();
+    // A¹ ... Aⁿ⁻¹ for a whole n ≥ 2, at the end of the timeline only
+    getPowerGhosts() {
+        const n = this.getExponent();
+        if (!this.decompositionType || !Number.isInteger(n) || n < 2 || this.progress < 0.99) {
+            return [];
         }
 
-        // Axes
-        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
-        this.ctx.lineWidth = 2;
-
-        this.ctx.beginPath();
-        this.ctx.moveTo(-gridSize * this.scale, 0);
-        this.ctx.lineTo(gridSize * this.scale, 0);
-        this.ctx.stroke();
+        const ghosts = [];
+        for (let k = 1; k < n; k++) {
+            ghosts.push(this.P.multiply(this.getMiddlePower(k)).multiply(this.Pinv));
+        }
+        return ghosts;
+    }
 
-        this.ctx.beginPath();
-        this.ctx.moveTo(0, -gridSize * this.scale);
-        this.ctx.lineTo(0, gridSize * this.scale);
-        this.ctx.stroke();
+    // Pixels per unit: the usual scale, or less when the squares would leave the screen
+    getViewScale(matrices) {
+        const extent = Math.max(1, ...matrices.flatMap(m => [[1, 0], [1, 1], [0, 1]].map(([x, y]) => {
+            const p = this.transform(x, y, m);
+            return Math.max(Math.abs(p.x), Math.abs(p.y));
+        })));
+        return Math.min(this.baseScale, 0.4 * Math.min(this.width, this.height) / extent);
     }
 
     drawEigenvectorLines() {
-        const v1 = this.eigenvectors.v1;
-        const v2 = this.eigenvectors.v2;
-        const length = 12;
+        // Columns of P: eigenvectors, eigenvector + generalized eigenvector (Jordan), or Re/Im of v (complex)
+        const v1 = { x: this.P.a, y: this.P.c };
+        const v2 = { x: this.P.b, y: this.P.d };
+        const length = 12 * this.baseScale / this.scale;
+
+        // Only true eigenvectors get dashed lines; the generalized eigenvector and Re/Im(v) are
+        // not invariant directions, so draw them dotted
+        const dashed = [10, 6];
+        const dotted = [2, 6];
 
+        this.ctx.setLineDash(this.decompositionType === 'rotationScaling' ? dotted : dashed);
         this.ctx.strokeStyle = 'rgba(6, 182, 212, 0.5)';
         this.ctx.lineWidth = 2;
-        this.ctx.setLineDash([10, 6]);
         this.ctx.beginPath();
         this.ctx.moveTo(-v1.x * length * this.scale, -v1.y * length * this.scale);
         this.ctx.lineTo(v1.x * length * this.scale, v1.y * length * this.scale);
         this.ctx.stroke();
 
+        this.ctx.setLineDash(this.decompositionType === 'diagonal' ? dashed : dotted);
+
         this.ctx.strokeStyle = 'rgba(236, 72, 153, 0.5)';
         this.ctx.beginPath();
         this.ctx.moveTo(-v2.x * length * this.scale, -v2.y * length * this.scale);
@@ -391,6 +948,70 @@ class DiagonalizationApp {
         this.ctx.stroke();
     }
 
+    // Faint outline of Aᵏ applied to the unit square; later powers are brighter
+    drawGhostSquare(matrix, strength) {
+        const corners = [[0, 0], [1, 0], [1, 1], [0, 1]].map(([x, y]) => this.transform(x, y, matrix));
+
+        this.ctx.strokeStyle = `rgba(6, 182, 212, ${(0.1 + 0.3 * strength).toFixed(2)})`;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.beginPath();
+        corners.forEach((p, i) => {
+            if (i === 0) {
+                this.ctx.moveTo(p.x * this.scale, p.y * this.scale);
+            } else {
+                this.ctx.lineTo(p.x * this.scale, p.y * this.scale);
+            }
+        });
+        this.ctx.closePath();
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+
+    // v = c₁p₁ + c₂p₂ with c = P⁻¹v, so the current image splits into c₁·Mp₁ (cyan) and c₂·Mp₂ (magenta).
+    // Through stage 2 these bars only stretch: Dⁿ scales each coordinate on its own.
+    drawCustomVectors(matrix) {
+        const p1 = this.transform(this.P.a, this.P.c, matrix);
+        const p2 = this.transform(this.P.b, this.P.d, matrix);
+
+        this.customVectors.forEach((v, i) => {
+            const tip = this.transform(v.x, v.y, matrix);
+
+            if (this.decompositionType) {
+                const c = this.transform(v.x, v.y, this.Pinv);
+                const corner = { x: c.x * p1.x, y: c.x * p1.y };
+                this.ctx.lineWidth = 6;
+                this.ctx.lineCap = 'round';
+                this.ctx.strokeStyle = 'rgba(6, 182, 212, 0.55)';
+                this.ctx.beginPath();
+                this.ctx.moveTo(0, 0);
+                this.ctx.lineTo(corner.x * this.scale, corner.y * this.scale);
+                this.ctx.stroke();
+
+                this.ctx.strokeStyle = 'rgba(236, 72, 153, 0.55)';
+                this.ctx.beginPath();
+                this.ctx.moveTo(corner.x * this.scale, corner.y * this.scale);
+                this.ctx.lineTo(tip.x * this.scale, tip.y * this.scale);
+                this.ctx.stroke();
+                this.ctx.lineCap = 'butt';
+            }
+
+            this.drawVector(0, 0, tip.x, tip.y, '#FCD34D', `v${formatSubscript(i + 1)}`);
+        });
+
+        // Preview of a vector being drawn
+        if (this.dragStart) {
+            this.ctx.strokeStyle = 'rgba(252, 211, 77, 0.5)';
+            this.ctx.lineWidth = 4;
+            this.ctx.setLineDash([5, 5]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(this.dragStart.x * this.scale, this.dragStart.y * this.scale);
+            this.ctx.lineTo(this.dragEnd.x * this.scale, this.dragEnd.y * this.scale);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+    }
+
     drawBasisVectors(matrix) {
         // Use different colors for basis vectors (not cyan/magenta which are reserved for eigenvectors)
         // i-hat - yellow/gold
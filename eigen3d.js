@@ -0,0 +1,559 @@
+// 3D Eigenvector Explorer
+class Eigenvector3DApp {
+    constructor() {
+        this.canvas = document.getElementById('canvas');
+        this.ctx = this.canvas.getContext('2d');
+
+        // Set canvas to window size
+        this.resizeCanvas();
+        window.addEventListener('resize', () => {
+            this.resizeCanvas();
+            this.draw();
+        });
+
+        this.scale = 70;
+
+        // Orthographic camera: yaw about the z-axis, then pitch toward the viewer
+        this.camera = { yaw: -0.6, pitch: 0.45 };
+        this.isRotatingView = false;
+        this.lastPointer = null;
+
+        // Animation state
+        this.currentMatrix = Matrix3D.identity();
+        this.targetMatrix = PRESETS_3D.symmetric.matrix;
+        this.animationProgress = 0;
+        this.isAnimating = false;
+        this.animationSpeed = 1;
+        this.animationId = null;
+
+        this.setupInputListeners();
+        this.timeline = new TimelineControls(this);
+        setupPresetChips(document.querySelector('.preset-grid'), presetName => this.loadPreset(presetName));
+        this.setupMouseTracking();
+        this.setupKeyboardShortcuts();
+        this.updateMatrixFromInputs();
+        this.draw();
+    }
+
+    resizeCanvas() {
+        this.canvas.width = window.innerWidth;
+        this.canvas.height = window.innerHeight;
+        this.width = this.canvas.width;
+        this.height = this.canvas.height;
+        this.origin = { x: this.width / 2, y: this.height / 2 };
+    }
+
+    getInputIds() {
+        return ['a11', 'a12', 'a13', 'a21', 'a22', 'a23', 'a31', 'a32', 'a33'];
+    }
+
+    setupInputListeners() {
+        this.getInputIds().forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                this.updateMatrixFromInputs();
+            });
+        });
+    }
+
+    setupMouseTracking() {
+        // Drag anywhere on the canvas to orbit the camera
+        const startRotate = (clientX, clientY) => {
+            this.isRotatingView = true;
+            this.lastPointer = { x: clientX, y: clientY };
+            this.canvas.style.cursor = 'grabbing';
+        };
+
+        const rotate = (clientX, clientY) => {
+            if (!this.isRotatingView) return;
+
+            const dx = clientX - this.lastPointer.x;
+            const dy = clientY - this.lastPointer.y;
+            this.lastPointer = { x: clientX, y: clientY };
+
+            this.camera.yaw -= dx * 0.01;
+            this.camera.pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.camera.pitch + dy * 0.01));
+
+            if (!this.isAnimating) {
+                this.draw();
+            }
+        };
+
+        const stopRotate = () => {
+            this.isRotatingView = false;
+            this.canvas.style.cursor = 'grab';
+        };
+
+        this.canvas.style.cursor = 'grab';
+        this.canvas.addEventListener('mousedown', (e) => startRotate(e.clientX, e.clientY));
+        document.addEventListener('mousemove', (e) => rotate(e.clientX, e.clientY));
+        document.addEventListener('mouseup', stopRotate);
+
+        this.canvas.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            if (e.touches.length === 1) {
+                startRotate(e.touches[0].clientX, e.touches[0].clientY);
+            }
+        });
+
+        this.canvas.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            if (e.touches.length === 1) {
+                rotate(e.touches[0].clientX, e.touches[0].clientY);
+            }
+        });
+
+        this.canvas.addEventListener('touchend', stopRotate);
+        this.canvas.addEventListener('touchcancel', stopRotate);
+
+        // Mouse wheel - manual zoom control
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+
+            const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
+            this.scale = Math.max(20, Math.min(200, this.scale * zoomFactor));
+
+            if (!this.isAnimating) {
+                this.draw();
+            }
+        });
+    }
+
+    setupKeyboardShortcuts() {
+        const presetKeys = ['rotationZ', 'scaling', 'stretch', 'shear', 'reflection', 'projection', 'symmetric'];
+
+        document.addEventListener('keydown', (e) => {
+            // Ignore if user is typing in an input field
+            if (e.target.tagName === 'INPUT') {
+                return;
+            }
+
+            if (e.code === 'Space') {
+                e.preventDefault();
+                this.togglePlay();
+            }
+
+            if (e.code === 'KeyR' && !e.ctrlKey && !e.metaKey) {
+                e.preventDefault();
+                this.randomizeMatrix();
+            }
+
+            if (e.code === 'ArrowRight') {
+                e.preventDefault();
+                this.stepForward();
+            }
+
+            if (e.code === 'ArrowLeft') {
+                e.preventDefault();
+                this.stepBackward();
+            }
+
+            // Number keys 1-7 - Load presets
+            const presetName = getPresetShortcut(e, presetKeys);
+            if (presetName) {
+                e.preventDefault();
+                this.loadPreset(presetName);
+            }
+        });
+    }
+
+    setProgress(progress) {
+        this.animationProgress = Math.max(0, Math.min(1, progress));
+        const t = easeInOutCubic(this.animationProgress);
+        this.currentMatrix = Matrix3D.lerp(Matrix3D.identity(), this.targetMatrix, t);
+        this.updateProgressUI();
+        this.draw();
+    }
+
+    updateMatrixFromInputs() {
+        const values = this.getInputIds().map(id => parseFloat(document.getElementById(id).value) || 0);
+        this.targetMatrix = new Matrix3D([values.slice(0, 3), values.slice(3, 6), values.slice(6, 9)]);
+
+        // Clear active preset selection when entering custom values
+        setActivePresetChip(null);
+
+        this.updateInfo();
+
+        if (!this.isAnimating) {
+            const t = easeInOutCubic(this.animationProgress);
+            this.currentMatrix = Matrix3D.lerp(Matrix3D.identity(), this.targetMatrix, t);
+            this.draw();
+        }
+    }
+
+    updateMatrixInputFields(matrix) {
+        this.getInputIds().forEach((id, i) => {
+            const value = matrix.m[Math.floor(i / 3)][i % 3];
+            document.getElementById(id).value = Number.isInteger(value) ? value : value.toFixed(2);
+        });
+    }
+
+    updateInfo() {
+        const eigenvalues = this.targetMatrix.eigenvalues();
+        const eigenvectors = this.targetMatrix.getEigenvectors();
+        const { trace, minorSum, det } = this.targetMatrix.characteristicPolynomial();
+        const colors = this.getEigenColors();
+
+        document.getElementById('charEquation').innerHTML = `
+            <div class="char-equation-label">Characteristic Equation</div>
+            <div class="char-equation">
+                λ³ − ${trace.toFixed(2)}λ² + ${minorSum.toFixed(2)}λ − ${det.toFixed(2)} = 0
+            </div>
+        `;
+
+        const formatVector = v => `[${v.x.toFixed(3)}, ${v.y.toFixed(3)}, ${v.z.toFixed(3)}]`;
+        let html = '';
+
+        if (eigenvalues.isComplex) {
+            const { real, imag } = eigenvalues.lambda2;
+            html += `
+                <div class="complex-warning">
+                    Complex pair λ = ${real.toFixed(3)} ± ${imag.toFixed(3)}i: the purple plane is rotated
+                    and scaled, so it has no real eigenvectors.
+                </div>
+            `;
+        }
+
+        const count = eigenvalues.isComplex ? 1 : 3;
+        if (eigenvectors.length < count) {
+            html += `
+                <div class="complex-warning">
+                    Defective matrix: a repeated eigenvalue has fewer independent eigenvectors than its multiplicity.
+                </div>
+            `;
+        }
+
+        html += eigenvectors.map((pair, idx) => `
+            <div class="eigen-card">
+                <div class="eigen-card-header">
+                    <span class="eigen-label">EIGENVECTOR ${idx + 1}</span>
+                    <div class="eigen-color-indicator" style="background: ${colors[idx]}; color: ${colors[idx]};"></div>
+                </div>
+                <div class="eigen-value" style="color: ${colors[idx]};">
+                    λ${'₁₂₃'[idx]} = ${pair.lambda.toFixed(3)}
+                </div>
+                <div class="eigen-vector">
+                    v${'₁₂₃'[idx]} = ${formatVector(pair.v)}
+                </div>
+            </div>
+        `).join('');
+
+        document.getElementById('eigenCards').innerHTML = html;
+    }
+
+    getEigenColors() {
+        return ['#06B6D4', '#EC4899', '#10B981'];
+    }
+
+    loadPreset(presetName) {
+        const preset = PRESETS_3D[presetName];
+        if (!preset) return;
+
+        this.targetMatrix = preset.matrix;
+        this.updateMatrixInputFields(preset.matrix);
+        setActivePresetChip(presetName);
+
+        document.getElementById('transformDesc').innerHTML = `
+            <div class="desc-title">${preset.name}</div>
+            <div>${preset.description}</div>
+        `;
+
+        this.updateInfo();
+        this.reset();
+    }
+
+    togglePlay() {
+        this.timeline.togglePlay();
+    }
+
+    // Called by the timeline on each animation frame
+    renderAnimationFrame() {
+        const t = easeInOutCubic(this.animationProgress);
+        this.currentMatrix = Matrix3D.lerp(Matrix3D.identity(), this.targetMatrix, t);
+
+        this.updateProgressUI();
+        this.draw();
+    }
+
+    stepForward() {
+        this.timeline.step(1);
+    }
+
+    stepBackward() {
+        this.timeline.step(-1);
+    }
+
+    reset() {
+        this.timeline.stop();
+        this.animationProgress = 0;
+        this.currentMatrix = Matrix3D.identity();
+        this.updateProgressUI();
+        this.draw();
+    }
+
+    setSpeed(speed) {
+        this.timeline.setSpeed(speed);
+    }
+
+    randomizeMatrix() {
+        // Generate random matrix values between -2 and 2
+        const randomValue = () => parseFloat((Math.random() * 4 - 2).toFixed(1));
+        const rows = [0, 1, 2].map(() => [randomValue(), randomValue(), randomValue()]);
+
+        setActivePresetChip(null);
+
+        this.targetMatrix = new Matrix3D(rows);
+        this.updateMatrixInputFields(this.targetMatrix);
+        this.updateInfo();
+        this.reset();
+    }
+
+    updateProgressUI() {
+        const percentage = this.animationProgress * 100;
+        document.getElementById('scrubberProgress').style.width = percentage + '%';
+        document.getElementById('scrubberHandle').style.left = percentage + '%';
+        document.getElementById('progressPercent').textContent = Math.round(percentage) + '%';
+    }
+
+    // Orthographic projection of a math-space point to screen coordinates (z is up)
+    project(x, y, z) {
+        const { yaw, pitch } = this.camera;
+        const rx = x * Math.cos(yaw) - y * Math.sin(yaw);
+        const ry = x * Math.sin(yaw) + y * Math.cos(yaw);
+        const up = z * Math.cos(pitch) - ry * Math.sin(pitch);
+
+        return {
+            x: this.origin.x + rx * this.scale,
+            y: this.origin.y - up * this.scale
+        };
+    }
+
+    projectTransformed(x, y, z) {
+        const p = this.currentMatrix.transform(x, y, z);
+        return this.project(p.x, p.y, p.z);
+    }
+
+    draw() {
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        this.ctx.restore();
+
+        const eigenvalues = this.targetMatrix.eigenvalues();
+        const eigenvectors = this.targetMatrix.getEigenvectors();
+
+        this.drawLattice();
+        this.drawAxes();
+        if (eigenvalues.isComplex) {
+            this.drawComplexPlane(eigenvalues.lambda2);
+        }
+        this.drawEigenlines(eigenvectors);
+        this.drawUnitCube();
+        this.drawEigenvectors(eigenvectors);
+    }
+
+    drawLattice() {
+        // Transformed integer grid in the three coordinate planes
+        const size = 3;
+        const planes = [
+            { color: 'rgba(255, 255, 255, 0.08)', point: (u, v) => [u, v, 0] }, // xy
+            { color: 'rgba(255, 255, 255, 0.04)', point: (u, v) => [u, 0, v] }, // xz
+            { color: 'rgba(255, 255, 255, 0.04)', point: (u, v) => [0, u, v] } // yz
+        ];
+
+        this.ctx.lineWidth = 1;
+        planes.forEach(plane => {
+            this.ctx.strokeStyle = plane.color;
+            for (let i = -size; i <= size; i++) {
+                this.drawSegment(plane.point(i, -size), plane.point(i, size));
+                this.drawSegment(plane.point(-size, i), plane.point(size, i));
+            }
+        });
+    }
+
+    drawSegment(from, to) {
+        const start = this.projectTransformed(...from);
+        const end = this.projectTransformed(...to);
+        this.ctx.beginPath();
+        this.ctx.moveTo(start.x, start.y);
+        this.ctx.lineTo(end.x, end.y);
+        this.ctx.stroke();
+    }
+
+    drawAxes() {
+        const length = 4;
+        const axes = [
+            { dir: [1, 0, 0], label: 'x' },
+            { dir: [0, 1, 0], label: 'y' },
+            { dir: [0, 0, 1], label: 'z' }
+        ];
+
+        this.ctx.strokeStyle = '#374151';
+        this.ctx.lineWidth = 2;
+        this.ctx.font = '13px "JetBrains Mono", monospace';
+
+        axes.forEach(axis => {
+            const [x, y, z] = axis.dir.map(c => c * length);
+            this.drawSegment([-x, -y, -z], [x, y, z]);
+
+            const end = this.projectTransformed(x, y, z);
+            this.ctx.fillStyle = '#6B7280';
+            this.ctx.fillText(axis.label, end.x + 6, end.y - 6);
+        });
+    }
+
+    drawUnitCube() {
+        const corners = [
+            [0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0],
+            [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]
+        ].map(c => this.projectTransformed(...c));
+
+        const faces = [
+            [0, 1, 2, 3], [4, 5, 6, 7], [0, 1, 5, 4],
+            [2, 3, 7, 6], [1, 2, 6, 5], [0, 3, 7, 4]
+        ];
+
+        // Translucent faces (no depth sorting needed at this opacity)
+        this.ctx.fillStyle = 'rgba(252, 211, 77, 0.05)';
+        faces.forEach(face => {
+            this.ctx.beginPath();
+            face.forEach((idx, i) => {
+                const p = corners[idx];
+                if (i === 0) {
+                    this.ctx.moveTo(p.x, p.y);
+                } else {
+                    this.ctx.lineTo(p.x, p.y);
+                }
+            });
+            this.ctx.closePath();
+            this.ctx.fill();
+        });
+
+        const edges = [
+            [0, 1], [1, 2], [2, 3], [3, 0],
+            [4, 5], [5, 6], [6, 7], [7, 4],
+            [0, 4], [1, 5], [2, 6], [3, 7]
+        ];
+
+        this.ctx.strokeStyle = 'rgba(252, 211, 77, 0.7)';
+        this.ctx.lineWidth = 2;
+        edges.forEach(([i, j]) => {
+            this.ctx.beginPath();
+            this.ctx.moveTo(corners[i].x, corners[i].y);
+            this.ctx.lineTo(corners[j].x, corners[j].y);
+            this.ctx.stroke();
+        });
+    }
+
+    drawEigenlines(eigenvectors) {
+        // Eigen-directions are fixed lines through the origin (not transformed)
+        const length = 5;
+        const colors = this.getEigenColors();
+
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([10, 6]);
+        eigenvectors.forEach((pair, idx) => {
+            const { x, y, z } = pair.v;
+            const start = this.project(-x * length, -y * length, -z * length);
+            const end = this.project(x * length, y * length, z * length);
+
+            this.ctx.strokeStyle = colors[idx];
+            this.ctx.globalAlpha = 0.4;
+            this.ctx.beginPath();
+            this.ctx.moveTo(start.x, start.y);
+            this.ctx.lineTo(end.x, end.y);
+            this.ctx.stroke();
+        });
+        this.ctx.globalAlpha = 1;
+        this.ctx.setLineDash([]);
+    }
+
+    drawEigenvectors(eigenvectors) {
+        const scale = 2;
+        const colors = this.getEigenColors();
+
+        eigenvectors.forEach((pair, idx) => {
+            const { x, y, z } = pair.v;
+            const label = `λ${'₁₂₃'[idx]}=${pair.lambda.toFixed(2)}`;
+            this.drawVector(x * scale, y * scale, z * scale, colors[idx], label);
+            this.drawVector(-x * scale, -y * scale, -z * scale, colors[idx], '');
+        });
+    }
+
+    drawComplexPlane(lambda) {
+        // Plane spanned by Re(v) and Im(v), where A acts as rotation plus scaling
+        const { re, im } = this.targetMatrix.complexEigenvector(lambda);
+        const radius = 2.5;
+        const steps = 48;
+
+        this.ctx.fillStyle = 'rgba(167, 139, 250, 0.1)';
+        this.ctx.strokeStyle = 'rgba(167, 139, 250, 0.6)';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.beginPath();
+        for (let i = 0; i <= steps; i++) {
+            const angle = (i / steps) * Math.PI * 2;
+            const c = Math.cos(angle) * radius;
+            const s = Math.sin(angle) * radius;
+            const p = this.projectTransformed(
+                c * re.x + s * im.x,
+                c * re.y + s * im.y,
+                c * re.z + s * im.z
+            );
+            if (i === 0) {
+                this.ctx.moveTo(p.x, p.y);
+            } else {
+                this.ctx.lineTo(p.x, p.y);
+            }
+        }
+        this.ctx.closePath();
+        this.ctx.fill();
+        this.ctx.stroke();
+    }
+
+    drawVector(x, y, z, color, label = '') {
+        const start = this.projectTransformed(0, 0, 0);
+        const end = this.projectTransformed(x, y, z);
+
+        this.ctx.shadowBlur = 15;
+        this.ctx.shadowColor = color;
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 4;
+        this.ctx.beginPath();
+        this.ctx.moveTo(start.x, start.y);
+        this.ctx.lineTo(end.x, end.y);
+        this.ctx.stroke();
+        this.ctx.shadowBlur = 0;
+
+        // Arrowhead (skip when the vector points straight at the camera)
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        if (length > 4) {
+            const angle = Math.atan2(end.y - start.y, end.x - start.x);
+            const headLength = Math.min(15, length / 2);
+
+            this.ctx.fillStyle = color;
+            this.ctx.beginPath();
+            this.ctx.moveTo(end.x, end.y);
+            this.ctx.lineTo(
+                end.x - headLength * Math.cos(angle - Math.PI / 6),
+                end.y - headLength * Math.sin(angle - Math.PI / 6)
+            );
+            this.ctx.lineTo(
+                end.x - headLength * Math.cos(angle + Math.PI / 6),
+                end.y - headLength * Math.sin(angle + Math.PI / 6)
+            );
+            this.ctx.closePath();
+            this.ctx.fill();
+        }
+
+        if (label) {
+            this.ctx.fillStyle = color;
+            this.ctx.font = 'bold 13px "JetBrains Mono", monospace';
+            this.ctx.fillText(label, end.x + 15, end.y - 10);
+        }
+    }
+}
+
+// Initialize app
+let app;
+window.addEventListener('DOMContentLoaded', () => {
+    app = new Eigenvector3DApp();
+});
@@ -0,0 +1,504 @@
+// Exact arithmetic for 2×2 matrices with rational entries: fractions and simplified square roots,
+// so [2,1;1,1] shows λ = (3 + √5)/2 rather than 2.618. Anything that can't be represented exactly
+// (irrational input, overflow) makes the analysis return null and callers fall back to decimals.
+
+// Preference shared by the 2D pages
+const EXACT_VALUES_KEY = 'eigenExplorer.exactValues';
+
+function loadExactPreference() {
+    try {
+        return localStorage.getItem(EXACT_VALUES_KEY) !== '0';
+    } catch (error) {
+        return true;
+    }
+}
+
+function saveExactPreference(enabled) {
+    try {
+        localStorage.setItem(EXACT_VALUES_KEY, enabled ? '1' : '0');
+    } catch (error) {
+        console.warn('Failed to save exact value preference', error);
+    }
+}
+
+function integerGcd(a, b) {
+    a = Math.abs(a);
+    b = Math.abs(b);
+    while (b) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+// Integers with a proper minus sign
+function formatInteger(n) {
+    return n < 0 ? `−${-n}` : `${n}`;
+}
+
+class Rational {
+    constructor(num, den = 1) {
+        if (den === 0) {
+            throw new RangeError('Zero denominator');
+        }
+        if (!Number.isSafeInteger(num) || !Number.isSafeInteger(den)) {
+            throw new RangeError('Rational overflow');
+        }
+
+        const g = integerGcd(num, den) || 1;
+        const sign = den < 0 ? -1 : 1;
+        this.num = sign * num / g + 0; // + 0 turns −0 into 0
+        this.den = sign * den / g;
+    }
+
+    // Integers, short decimals and fractions with small denominators; null for anything else
+    static fromNumber(x) {
+        if (!isFinite(x)) return null;
+
+        for (let places = 0, scale = 1; places <= 4; places++, scale *= 10) {
+            const scaled = x * scale;
+            if (Math.abs(scaled - Math.round(scaled)) < 1e-9 * Math.max(1, Math.abs(scaled))) {
+                return new Rational(Math.round(scaled), scale);
+            }
+        }
+
+        // Continued fraction expansion for values like 1/3
+        let [h0, h1, k0, k1] = [0, 1, 1, 0];
+        let rest = x;
+        for (let i = 0; i < 20; i++) {
+            const term = Math.floor(rest);
+            [h0, h1] = [h1, term * h1 + h0];
+            [k0, k1] = [k1, term * k1 + k0];
+            if (k1 > 1000) return null;
+            if (Math.abs(x - h1 / k1) < 1e-12) {
+                return new Rational(h1, k1);
+            }
+            rest = 1 / (rest - term);
+            if (!isFinite(rest)) return null;
+        }
+        return null;
+    }
+
+    add(other) {
+        return new Rational(this.num * other.den + other.num * this.den, this.den * other.den);
+    }
+
+    sub(other) {
+        return this.add(other.neg());
+    }
+
+    mul(other) {
+        return new Rational(this.num * other.num, this.den * other.den);
+    }
+
+    div(other) {
+        return new Rational(this.num * other.den, this.den * other.num);
+    }
+
+    neg() {
+        return new Rational(-this.num, this.den);
+    }
+
+    isZero() {
+        return this.num === 0;
+    }
+
+    sign() {
+        return Math.sign(this.num);
+    }
+
+    toNumber() {
+        return this.num / this.den;
+    }
+
+    toString() {
+        return this.den === 1 ? formatInteger(this.num) : `${formatInteger(this.num)}/${this.den}`;
+    }
+}
+
+Rational.ZERO = new Rational(0);
+Rational.ONE = new Rational(1);
+Rational.HALF = new Rational(1, 2);
+
+// p + q√r with p, q rational and r a square-free integer (r = 1 means the value is rational)
+class Surd {
+    constructor(p, q = Rational.ZERO, r = 1) {
+        if (r === 1 || q.isZero()) {
+            this.p = p.add(r === 1 ? q : Rational.ZERO);
+            this.q = Rational.ZERO;
+            this.r = 1;
+        } else {
+            this.p = p;
+            this.q = q;
+            this.r = r;
+        }
+    }
+
+    static of(value) {
+        return new Surd(typeof value === 'number' ? new Rational(value) : value);
+    }
+
+    // Simplified square root of a non-negative rational: √(n/d) = √(nd)/d = (s/d)√m with nd = s²m
+    static sqrt(rational) {
+        if (rational.sign() < 0) {
+            throw new RangeError('Square root of a negative number');
+        }
+
+        let rest = rational.num * rational.den;
+        if (rest === 0) {
+            return Surd.of(0);
+        }
+        if (rest > 1e12) {
+            throw new RangeError('Radicand too large');
+        }
+
+        let outside = 1;
+        for (let f = 2; f * f <= rest; f++) {
+            while (rest % (f * f) === 0) {
+                outside *= f;
+                rest /= f * f;
+            }
+        }
+        return new Surd(Rational.ZERO, new Rational(outside, rational.den), rest);
+    }
+
+    // Radical shared by two operands (both must be rational or use the same √r)
+    commonRadical(other) {
+        if (this.r !== 1 && other.r !== 1 && this.r !== other.r) {
+            throw new RangeError('Mixed radicals');
+        }
+        return Math.max(this.r, other.r);
+    }
+
+    add(other) {
+        return new Surd(this.p.add(other.p), this.q.add(other.q), this.commonRadical(other));
+    }
+
+    sub(other) {
+        return this.add(other.neg());
+    }
+
+    mul(other) {
+        const r = this.commonRadical(other);
+        return new Surd(
+            this.p.mul(other.p).add(this.q.mul(other.q).mul(new Rational(r))),
+            this.p.mul(other.q).add(this.q.mul(other.p)),
+            r
+        );
+    }
+
+    // a / (p + q√r) = a(p − q√r) / (p² − q²r)
+    div(other) {
+        const norm = other.p.mul(other.p).sub(other.q.mul(other.q).mul(new Rational(other.r)));
+        const conjugate = new Surd(other.p, other.q.neg(), other.r);
+        const product = this.mul(conjugate);
+        return new Surd(product.p.div(norm), product.q.div(norm), product.r);
+    }
+
+    neg() {
+        return new Surd(this.p.neg(), this.q.neg(), this.r);
+    }
+
+    isZero() {
+        return this.p.isZero() && this.q.isZero();
+    }
+
+    isRational() {
+        return this.r === 1;
+    }
+
+    toNumber() {
+        return this.p.toNumber() + this.q.toNumber() * Math.sqrt(this.r);
+    }
+
+    // (3 + √5)/2, −√2/2, 1/3 ...
+    toString() {
+        if (this.isRational()) {
+            return this.p.toString();
+        }
+
+        const den = this.p.den * this.q.den / integerGcd(this.p.den, this.q.den);
+        const p = this.p.num * (den / this.p.den);
+        const q = this.q.num * (den / this.q.den);
+        const radical = `${Math.abs(q) === 1 ? '' : Math.abs(q)}√${this.r}`;
+
+        if (p === 0) {
+            return `${q < 0 ? '−' : ''}${radical}${den === 1 ? '' : `/${den}`}`;
+        }
+        const body = `${formatInteger(p)} ${q < 0 ? '−' : '+'} ${radical}`;
+        return den === 1 ? body : `(${body})/${den}`;
+    }
+}
+
+// Eigenvector for λ, built like Matrix2D.eigenvector but left unnormalized
+function exactEigenvector([a, b, c, d], lambda) {
+    if (!b.isZero()) {
+        return [Surd.of(b.neg()), Surd.of(a).sub(lambda)];
+    }
+    if (!c.isZero()) {
+        return [lambda.sub(Surd.of(d)), Surd.of(c)];
+    }
+    // Diagonal matrix: pick the axis λ belongs to
+    return Surd.of(a).sub(lambda).isZero()
+        ? [Surd.of(1), Surd.of(0)]
+        : [Surd.of(0), Surd.of(1)];
+}
+
+// Rescale by one rational factor so the entries are as small and integral as possible
+function simplifyExactVectors(entries) {
+    const parts = entries.flatMap(s => [s.p, s.q]).filter(x => !x.isZero());
+    if (parts.length === 0) return entries;
+
+    const lcm = parts.reduce((l, x) => l * x.den / integerGcd(l, x.den), 1);
+    const gcd = parts.reduce((g, x) => integerGcd(g, x.num * (lcm / x.den)), 0);
+    const factor = Surd.of(new Rational(lcm, gcd));
+    return entries.map(s => s.mul(factor));
+}
+
+// Flip the sign so the first nonzero entry is positive
+function orientExactVector(vector) {
+    const first = vector.find(s => !s.isZero());
+    return first && first.toNumber() < 0 ? vector.map(s => s.neg()) : vector;
+}
+
+// Plain numbers print bare; anything with a sign, fraction or root gets parentheses as a coefficient
+function isSimpleValueText(text) {
+    return /^[\d.]+$/.test(text);
+}
+
+// Characteristic polynomial λ² − tr(A)λ + det(A) = 0 (Rational, Surd or DecimalValue coefficients)
+function formatCharacteristicPolynomial(trace, det) {
+    const term = (coefficient, symbol) => {
+        if (coefficient.isZero()) return '';
+        const negative = coefficient.toNumber() < 0;
+        const text = `${negative ? coefficient.neg() : coefficient}`;
+        const shown = !symbol ? text : text === '1' ? '' : isSimpleValueText(text) ? text : `(${text})`;
+        return ` ${negative ? '−' : '+'} ${shown}${symbol}`;
+    };
+    return `λ²${term(trace.neg(), 'λ')}${term(det, '')} = 0`;
+}
+
+// Complex number α + βi with α, β surds
+function formatExactComplex(re, im) {
+    return new ComplexValue(re, im).toString();
+}
+
+// Float stand-in with the Surd interface, so a worked solution can be written once and shown in decimals
+class DecimalValue {
+    constructor(value) {
+        this.value = Math.abs(value) < 1e-12 ? 0 : value;
+    }
+
+    static of(value) {
+        return new DecimalValue(value);
+    }
+
+    add(other) {
+        return new DecimalValue(this.value + other.value);
+    }
+
+    sub(other) {
+        return new DecimalValue(this.value - other.value);
+    }
+
+    mul(other) {
+        return new DecimalValue(this.value * other.value);
+    }
+
+    div(other) {
+        return new DecimalValue(this.value / other.value);
+    }
+
+    neg() {
+        return new DecimalValue(-this.value);
+    }
+
+    isZero() {
+        return Math.abs(this.value) < 1e-9;
+    }
+
+    toNumber() {
+        return this.value;
+    }
+
+    toString() {
+        const rounded = Number(this.value.toFixed(3));
+        return rounded < 0 ? `−${-rounded}` : `${rounded}`;
+    }
+}
+
+// re + im·i over Surd or DecimalValue parts
+class ComplexValue {
+    constructor(re, im) {
+        this.re = re;
+        this.im = im;
+    }
+
+    add(other) {
+        return new ComplexValue(this.re.add(other.re), this.im.add(other.im));
+    }
+
+    sub(other) {
+        return new ComplexValue(this.re.sub(other.re), this.im.sub(other.im));
+    }
+
+    mul(other) {
+        return new ComplexValue(
+            this.re.mul(other.re).sub(this.im.mul(other.im)),
+            this.re.mul(other.im).add(this.im.mul(other.re))
+        );
+    }
+
+    // (x + yi)/(u + wi) = ((xu + yw) + (yu − xw)i)/(u² + w²)
+    div(other) {
+        const norm = other.re.mul(other.re).add(other.im.mul(other.im));
+        return new ComplexValue(
+            this.re.mul(other.re).add(this.im.mul(other.im)).div(norm),
+            this.im.mul(other.re).sub(this.re.mul(other.im)).div(norm)
+        );
+    }
+
+    neg() {
+        return new ComplexValue(this.re.neg(), this.im.neg());
+    }
+
+    isZero() {
+        return this.re.isZero() && this.im.isZero();
+    }
+
+    toString() {
+        if (this.im.isZero()) {
+            return `${this.re}`;
+        }
+
+        const negative = this.im.toNumber() < 0;
+        const magnitude = `${negative ? this.im.neg() : this.im}`;
+        const imag = `${magnitude === '1' ? '' : isSimpleValueText(magnitude) ? magnitude : `(${magnitude})`}i`;
+        if (this.re.isZero()) {
+            return `${negative ? '−' : ''}${imag}`;
+        }
+        return `${this.re} ${negative ? '−' : '+'} ${imag}`;
+    }
+}
+
+// Trace, determinant, eigenvalues and (real) eigenvectors of a rational matrix, or null
+function exactEigenAnalysis(matrix) {
+    const entries = [matrix.a, matrix.b, matrix.c, matrix.d].map(Rational.fromNumber);
+    if (entries.includes(null)) return null;
+
+    try {
+        const [a, b, c, d] = entries;
+        const trace = a.add(d);
+        const det = a.mul(d).sub(b.mul(c));
+        const discriminant = trace.mul(trace).sub(det.mul(new Rational(4)));
+        const center = Surd.of(trace.mul(Rational.HALF));
+        const analysis = { entries, trace, det, charPoly: formatCharacteristicPolynomial(trace, det) };
+
+        if (discriminant.sign() < 0) {
+            const imag = Surd.sqrt(discriminant.neg()).mul(Surd.of(Rational.HALF));
+            return {
+                ...analysis,
+                isComplex: true,
+                lambda1: { re: center, im: imag },
+                lambda2: { re: center, im: imag.neg() }
+            };
+        }
+
+        const root = Surd.sqrt(discriminant).mul(Surd.of(Rational.HALF));
+        const lambda1 = center.add(root);
+        const lambda2 = center.sub(root);
+        return {
+            ...analysis,
+            isComplex: false,
+            lambda1,
+            lambda2,
+            v1: orientExactVector(simplifyExactVectors(exactEigenvector(entries, lambda1))),
+            v2: orientExactVector(simplifyExactVectors(exactEigenvector(entries, lambda2)))
+        };
+    } catch (error) {
+        if (error instanceof RangeError) return null;
+        throw error;
+    }
+}
+
+// Exact A = PDP⁻¹ using the same cases as the diagonalization page (diagonal, Jordan, rotation-scaling).
+// Matrices are [a, b, c, d] arrays of surds; P has integer-scaled columns rather than unit ones.
+function exactDecomposition(matrix) {
+    const analysis = exactEigenAnalysis(matrix);
+    if (!analysis) return null;
+
+    try {
+        const [a, b, c, d] = analysis.entries;
+        const zero = Surd.of(0);
+        let P;
+        let D;
+        let type;
+
+        if (analysis.isComplex) {
+            // P = [Re v, Im v] for the eigenvector v of α − βi, C = [α −β; β α] (as Matrix2D.realCanonicalForm)
+            const alpha = analysis.lambda1.re;
+            const beta = analysis.lambda1.im.toNumber() < 0 ? analysis.lambda1.im.neg() : analysis.lambda1.im;
+            const [reX, reY, imX, imY] = orientExactVector(simplifyExactVectors([Surd.of(b.neg()), Surd.of(a).sub(alpha), zero, beta]));
+            P = [reX, imX, reY, imY];
+            D = [alpha, beta.neg(), beta, alpha];
+            type = 'rotationScaling';
+        } else if (analysis.lambda1.sub(analysis.lambda2).isZero() && !(b.isZero() && c.isZero() && a.sub(d).isZero())) {
+            // Defective: P = [v w] with (A − λI)w = v, J = [λ 1; 0 λ] (as Matrix2D.jordanDecomposition)
+            const lambda = analysis.lambda1;
+            const v = exactEigenvector(analysis.entries, lambda);
+            const N = [Surd.of(a).sub(lambda), Surd.of(b), Surd.of(c), Surd.of(d).sub(lambda)];
+            const perp = [v[1].neg(), v[0]];
+            const image = [N[0].mul(perp[0]).add(N[1].mul(perp[1])), N[2].mul(perp[0]).add(N[3].mul(perp[1]))];
+            // N·perp = k·v (the float version can skip the |v|² because its v is a unit vector)
+            const k = image[0].mul(v[0]).add(image[1].mul(v[1])).div(v[0].mul(v[0]).add(v[1].mul(v[1])));
+            const [vx, vy, wx, wy] = orientExactVector(simplifyExactVectors([v[0], v[1], perp[0].div(k), perp[1].div(k)]));
+            P = [vx, wx, vy, wy];
+            D = [lambda, Surd.of(1), zero, lambda];
+            type = 'jordan';
+        } else {
+            // A = λI keeps the standard basis
+            const scalar = analysis.lambda1.sub(analysis.lambda2).isZero();
+            const [v1, v2] = scalar ? [[Surd.of(1), zero], [zero, Surd.of(1)]] : [analysis.v1, analysis.v2];
+            P = [v1[0], v2[0], v1[1], v2[1]];
+            D = [analysis.lambda1, zero, zero, analysis.lambda2];
+            type = 'diagonal';
+        }
+
+        const detP = P[0].mul(P[3]).sub(P[1].mul(P[2]));
+        if (detP.isZero()) return null;
+        const Pinv = [P[3], P[1].neg(), P[2].neg(), P[0]].map(s => s.div(detP));
+
+        return { type, analysis, P, D, Pinv };
+    } catch (error) {
+        if (error instanceof RangeError) return null;
+        throw error;
+    }
+}
+
+// Mⁿ for an [a, b, c, d] matrix of rationals or surds and a whole n ≥ 0 (square-and-multiply), or null on overflow
+function exactMatrixPower(matrix, n) {
+    const multiply = ([a, b, c, d], [e, f, g, h]) => [
+        a.mul(e).add(b.mul(g)), a.mul(f).add(b.mul(h)),
+        c.mul(e).add(d.mul(g)), c.mul(f).add(d.mul(h))
+    ];
+
+    try {
+        let result = [1, 0, 0, 1].map(x => Surd.of(x));
+        let base = matrix.map(x => x instanceof Surd ? x : Surd.of(x));
+        for (let k = n; k > 0; k = Math.floor(k / 2)) {
+            if (k % 2 === 1) {
+                result = multiply(result, base);
+            }
+            if (k > 1) {
+                base = multiply(base, base);
+            }
+        }
+        return result;
+    } catch (error) {
+        if (error instanceof RangeError) return null;
+        throw error;
+    }
+}
+
+function exactToMatrix2D([a, b, c, d]) {
+    return new Matrix2D(a.toNumber(), b.toNumber(), c.toNumber(), d.toNumber());
+}
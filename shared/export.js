@@ -0,0 +1,482 @@
+// Scene export: high-resolution PNG, vector SVG and recorded animations of an app.
+// The apps draw through this.ctx, so exporting swaps in another backend and calls draw().
+
+// Records the subset of the CanvasRenderingContext2D API used by the apps as SVG elements
+class SVGContext {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.elements = [];
+        this.filters = new Map(); // "blur|color" -> filter id
+
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.globalAlpha = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.shadowBlur = 0;
+        this.shadowColor = 'transparent';
+
+        this.transform = [1, 0, 0, 1, 0, 0]; // a, b, c, d, e, f as in setTransform
+        this.lineDash = [];
+        this.stack = [];
+        this.path = '';
+        this.hasCurrentPoint = false;
+
+        // Text widths come from a real canvas so layouts match the on-screen frame
+        this.measureCtx = document.createElement('canvas').getContext('2d');
+    }
+
+    // State
+    save() {
+        this.stack.push({
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            lineCap: this.lineCap,
+            lineJoin: this.lineJoin,
+            globalAlpha: this.globalAlpha,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline,
+            shadowBlur: this.shadowBlur,
+            shadowColor: this.shadowColor,
+            transform: this.transform.slice(),
+            lineDash: this.lineDash.slice()
+        });
+    }
+
+    restore() {
+        const state = this.stack.pop();
+        if (state) {
+            Object.assign(this, state);
+        }
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this.transform = [a, b, c, d, e, f];
+    }
+
+    translate(x, y) {
+        const [a, b, c, d, e, f] = this.transform;
+        this.transform = [a, b, c, d, a * x + c * y + e, b * x + d * y + f];
+    }
+
+    scale(sx, sy) {
+        const [a, b, c, d, e, f] = this.transform;
+        this.transform = [a * sx, b * sx, c * sy, d * sy, e, f];
+    }
+
+    setLineDash(segments) {
+        this.lineDash = segments.slice();
+    }
+
+    measureText(text) {
+        this.measureCtx.font = this.font;
+        return this.measureCtx.measureText(text);
+    }
+
+    // Map a point from user space to SVG (device) space
+    point(x, y) {
+        const [a, b, c, d, e, f] = this.transform;
+        return { x: a * x + c * y + e, y: b * x + d * y + f };
+    }
+
+    // Paths
+    beginPath() {
+        this.path = '';
+        this.hasCurrentPoint = false;
+    }
+
+    moveTo(x, y) {
+        const p = this.point(x, y);
+        this.path += `M${svgNumber(p.x)} ${svgNumber(p.y)}`;
+        this.hasCurrentPoint = true;
+    }
+
+    lineTo(x, y) {
+        const p = this.point(x, y);
+        this.path += `${this.hasCurrentPoint ? 'L' : 'M'}${svgNumber(p.x)} ${svgNumber(p.y)}`;
+        this.hasCurrentPoint = true;
+    }
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+        const cp = this.point(cpx, cpy);
+        const p = this.point(x, y);
+        this.path += `Q${svgNumber(cp.x)} ${svgNumber(cp.y)} ${svgNumber(p.x)} ${svgNumber(p.y)}`;
+        this.hasCurrentPoint = true;
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        const [a, b, c, d] = this.transform;
+        const det = a * d - b * c;
+        const r = radius * Math.sqrt(Math.abs(det)); // Transforms here are uniform scales and flips
+
+        const fullTurn = Math.PI * 2;
+        let sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+        const isFull = sweep >= fullTurn - 1e-9;
+        sweep = isFull ? fullTurn : ((sweep % fullTurn) + fullTurn) % fullTurn;
+
+        const at = angle => this.point(x + radius * Math.cos(angle), y + radius * Math.sin(angle));
+        const start = at(startAngle);
+        const direction = counterclockwise ? -1 : 1;
+        // A reflection in the transform reverses the drawing direction
+        const sweepFlag = (direction > 0) === (det > 0) ? 1 : 0;
+
+        this.path += `${this.hasCurrentPoint ? 'L' : 'M'}${svgNumber(start.x)} ${svgNumber(start.y)}`;
+        if (isFull) {
+            // SVG can't draw a closed arc in one command: split into two halves
+            const mid = at(startAngle + direction * Math.PI);
+            this.path += `A${svgNumber(r)} ${svgNumber(r)} 0 0 ${sweepFlag} ${svgNumber(mid.x)} ${svgNumber(mid.y)}`;
+            this.path += `A${svgNumber(r)} ${svgNumber(r)} 0 0 ${sweepFlag} ${svgNumber(start.x)} ${svgNumber(start.y)}`;
+        } else {
+            const end = at(startAngle + direction * sweep);
+            const largeArc = sweep > Math.PI ? 1 : 0;
+            this.path += `A${svgNumber(r)} ${svgNumber(r)} 0 ${largeArc} ${sweepFlag} ${svgNumber(end.x)} ${svgNumber(end.y)}`;
+        }
+        this.hasCurrentPoint = true;
+    }
+
+    closePath() {
+        this.path += 'Z';
+    }
+
+    fill() {
+        if (this.path) {
+            this.elements.push(`<path d="${this.path}" fill="${this.fillStyle}"${this.commonAttributes()}/>`);
+        }
+    }
+
+    stroke() {
+        if (this.path) {
+            this.elements.push(`<path d="${this.path}" fill="none"${this.strokeAttributes()}${this.commonAttributes()}/>`);
+        }
+    }
+
+    rectPath(x, y, w, h) {
+        const corners = [this.point(x, y), this.point(x + w, y), this.point(x + w, y + h), this.point(x, y + h)];
+        return corners.map((p, i) => `${i === 0 ? 'M' : 'L'}${svgNumber(p.x)} ${svgNumber(p.y)}`).join('') + 'Z';
+    }
+
+    fillRect(x, y, w, h) {
+        this.elements.push(`<path d="${this.rectPath(x, y, w, h)}" fill="${this.fillStyle}"${this.commonAttributes()}/>`);
+    }
+
+    strokeRect(x, y, w, h) {
+        this.elements.push(`<path d="${this.rectPath(x, y, w, h)}" fill="none"${this.strokeAttributes()}${this.commonAttributes()}/>`);
+    }
+
+    clearRect() {
+        // Exports start from an empty document
+    }
+
+    // Text keeps its upright orientation; only its anchor point is transformed
+    fillText(text, x, y) {
+        const p = this.point(x, y);
+        const anchors = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+        const baselines = { top: 'hanging', hanging: 'hanging', middle: 'middle', bottom: 'text-after-edge', ideographic: 'ideographic' };
+        const baseline = baselines[this.textBaseline];
+
+        this.elements.push(
+            `<text x="${svgNumber(p.x)}" y="${svgNumber(p.y)}" fill="${this.fillStyle}" style="font: ${escapeXML(this.font)}"` +
+            ` text-anchor="${anchors[this.textAlign] || 'start'}"` +
+            (baseline ? ` dominant-baseline="${baseline}"` : '') +
+            `${this.commonAttributes()}>${escapeXML(text)}</text>`
+        );
+    }
+
+    strokeAttributes() {
+        const [a, b, c, d] = this.transform;
+        const width = this.lineWidth * Math.sqrt(Math.abs(a * d - b * c));
+        let attrs = ` stroke="${this.strokeStyle}" stroke-width="${svgNumber(width)}"` +
+            ` stroke-linecap="${this.lineCap}" stroke-linejoin="${this.lineJoin}"`;
+        if (this.lineDash.length > 0) {
+            attrs += ` stroke-dasharray="${this.lineDash.join(' ')}"`;
+        }
+        return attrs;
+    }
+
+    // Opacity and glow shared by every element
+    commonAttributes() {
+        let attrs = '';
+        if (this.globalAlpha < 1) {
+            attrs += ` opacity="${svgNumber(this.globalAlpha)}"`;
+        }
+        if (this.shadowBlur > 0 && this.shadowColor !== 'transparent') {
+            attrs += ` filter="url(#${this.getGlowFilter(this.shadowBlur, this.shadowColor)})"`;
+        }
+        return attrs;
+    }
+
+    getGlowFilter(blur, color) {
+        const key = `${blur}|${color}`;
+        if (!this.filters.has(key)) {
+            this.filters.set(key, `glow${this.filters.size}`);
+        }
+        return this.filters.get(key);
+    }
+
+    toString(background) {
+        const defs = [...this.filters.entries()].map(([key, id]) => {
+            const [blur, color] = key.split('|');
+            return `<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%">` +
+                `<feDropShadow dx="0" dy="0" stdDeviation="${svgNumber(blur / 2)}" flood-color="${color}"/></filter>`;
+        }).join('\n');
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+            `<defs>${defs}</defs>`,
+            `<rect width="100%" height="100%" fill="${background}"/>`,
+            ...this.elements,
+            '</svg>'
+        ].join('\n');
+    }
+}
+
+function svgNumber(value) {
+    return Number(Number(value).toFixed(2));
+}
+
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Redraw the app's current frame into another backend
+function renderSceneWith(app, ctx) {
+    const screenCtx = app.ctx;
+    app.ctx = ctx;
+    try {
+        app.draw();
+    } finally {
+        app.ctx = screenCtx;
+    }
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const EXPORT_BACKGROUND = '#0B0F19';
+
+// PNG at pixelRatio× the on-screen resolution
+function exportScenePNG(app, filename, pixelRatio = 3) {
+    const canvas = document.createElement('canvas');
+    canvas.width = app.width * pixelRatio;
+    canvas.height = app.height * pixelRatio;
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    renderSceneWith(app, ctx);
+
+    // Paint the page background underneath the scene
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = EXPORT_BACKGROUND;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    canvas.toBlob(blob => downloadBlob(blob, filename), 'image/png');
+}
+
+function exportSceneSVG(app, filename) {
+    const svg = new SVGContext(app.width, app.height);
+    renderSceneWith(app, svg);
+    downloadBlob(new Blob([svg.toString(EXPORT_BACKGROUND)], { type: 'image/svg+xml' }), filename);
+}
+
+// Animation recording: step the app through progress 0 → 1 at a fixed frame rate
+// (independent of the display speed) and save a WebM video, or a zip of PNG frames
+// where MediaRecorder is unavailable.
+//
+// options.renderFrame(progress) puts the app into the state for that point of the animation;
+// options.getOverlayCards() optionally returns [{ title, lines: [{ text, color }] }] drawn on top.
+async function recordSceneAnimation(app, options) {
+    const { filename, renderFrame, getOverlayCards = null, onProgress = () => {} } = options;
+    const fps = options.fps || 30;
+    const frameCount = Math.max(2, Math.round(options.duration * fps) + 1);
+
+    // Even dimensions keep video encoders happy
+    const canvas = document.createElement('canvas');
+    canvas.width = app.width - (app.width % 2);
+    canvas.height = app.height - (app.height % 2);
+    const ctx = canvas.getContext('2d');
+
+    const paintFrame = (index) => {
+        renderFrame(index / (frameCount - 1));
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalCompositeOperation = 'source-over';
+        renderSceneWith(app, ctx);
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = EXPORT_BACKGROUND;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.globalCompositeOperation = 'source-over';
+
+        if (getOverlayCards) {
+            drawOverlayCards(ctx, getOverlayCards());
+        }
+        onProgress((index + 1) / frameCount);
+    };
+
+    const mimeType = getRecordingMimeType(canvas);
+    if (mimeType) {
+        const stream = canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8000000 });
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+        recorder.start();
+        for (let i = 0; i < frameCount; i++) {
+            paintFrame(i);
+            track.requestFrame();
+            await wait(1000 / fps); // The recorder timestamps frames in real time
+        }
+        recorder.stop();
+        await stopped;
+
+        downloadBlob(new Blob(chunks, { type: 'video/webm' }), `${filename}.webm`);
+        return;
+    }
+
+    // Fallback: numbered PNG frames in a zip
+    const files = [];
+    for (let i = 0; i < frameCount; i++) {
+        paintFrame(i);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        const data = new Uint8Array(await blob.arrayBuffer());
+        files.push({ name: `frame_${String(i + 1).padStart(4, '0')}.png`, data });
+    }
+    downloadBlob(createZipBlob(files), `${filename}-frames.zip`);
+}
+
+function getRecordingMimeType(canvas) {
+    if (!window.MediaRecorder || !canvas.captureStream) {
+        return null;
+    }
+    const candidates = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+    return candidates.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Cards stacked in the top-left corner of a recorded frame
+function drawOverlayCards(ctx, cards) {
+    const padding = 14;
+    let y = 20;
+
+    cards.forEach(card => {
+        ctx.font = '16px "JetBrains Mono", monospace';
+        const width = Math.max(140, ...card.lines.map(line => ctx.measureText(line.text).width)) + padding * 2;
+        const height = padding * 2 + 18 + card.lines.length * 22;
+
+        ctx.fillStyle = 'rgba(15, 23, 42, 0.85)';
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.lineWidth = 1;
+        ctx.fillRect(20, y, width, height);
+        ctx.strokeRect(20, y, width, height);
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        ctx.font = 'bold 13px "Inter", sans-serif';
+        ctx.fillStyle = '#9CA3AF';
+        ctx.fillText(card.title, 20 + padding, y + padding + 12);
+
+        ctx.font = '16px "JetBrains Mono", monospace';
+        card.lines.forEach((line, i) => {
+            ctx.fillStyle = line.color || '#F3F4F6';
+            ctx.fillText(line.text, 20 + padding, y + padding + 40 + i * 22);
+        });
+
+        y += height + 12;
+    });
+}
+
+// Minimal zip archive (stored, no compression)
+function createZipBlob(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true); // Local file header signature
+        local.setUint16(4, 20, true); // Version needed
+        local.setUint16(12, 0x21, true); // Date: 1980-01-01
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true); // Compressed size
+        local.setUint32(22, file.data.length, true); // Uncompressed size
+        local.setUint16(26, name.length, true);
+        localParts.push(local, name, file.data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // Central directory signature
+        central.setUint16(4, 20, true); // Version made by
+        central.setUint16(6, 20, true); // Version needed
+        central.setUint16(14, 0x21, true); // Date: 1980-01-01
+        central.setUint32(16, crc, true);
+        central.setUint32(20, file.data.length, true);
+        central.setUint32(24, file.data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true); // Offset of the local header
+        centralParts.push(central, name);
+
+        offset += 30 + name.length + file.data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}
+
+let CRC32_TABLE = null;
+
+function crc32(data) {
+    if (!CRC32_TABLE) {
+        CRC32_TABLE = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            CRC32_TABLE[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC32_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
@@ -0,0 +1,262 @@
+// Guided lessons: JSON files in lessons/ made of steps that set the scene, narrate,
+// highlight parts of the UI and wait for the student to do something.
+//
+// The host app provides:
+//   getLessonState()            → { page, matrix, progress, isAnimating, customVectors, viewMode }
+//   setLessonMatrix(matrix, presetName)
+//   reset()
+//   setViewMode(mode)           (optional, eigenvector page only)
+const LESSONS_PATH = 'lessons/';
+
+// Conditions a step can wait for. Each gets the host state, the step's `waitFor` and the state when the step began.
+const LESSON_CONDITIONS = {
+    next: () => false, // Only the Next button advances
+    progress: (state, wait) => state.progress >= wait.min,
+    playing: state => state.isAnimating,
+    finished: state => state.progress >= 1,
+    customVectors: (state, wait) => state.customVectors.length >= (wait.count || 1),
+    vectorOnEigenline: (state, wait) => {
+        const eigenvectors = state.matrix.getEigenvectors();
+        if (!eigenvectors) return false;
+
+        const tolerance = (wait.tolerance || 5) * Math.PI / 180;
+        return state.customVectors.some(v => [eigenvectors.v1, eigenvectors.v2].some(e => {
+            const cos = Math.abs(v.x * e.x + v.y * e.y) / Math.hypot(v.x, v.y);
+            return Math.acos(Math.min(1, cos)) <= tolerance;
+        }));
+    },
+    mode: (state, wait) => state.viewMode === wait.mode,
+    matrixChanged: (state, wait, start) => ['a', 'b', 'c', 'd'].some(key => state.matrix[key] !== start.matrix[key])
+};
+
+// What the status line says while waiting
+const LESSON_WAIT_HINTS = {
+    next: 'Press Next when you are ready.',
+    progress: wait => `Move the timeline past ${Math.round(wait.min * 100)}%.`,
+    playing: 'Press play.',
+    finished: 'Let the animation run to the end.',
+    customVectors: wait => `Draw ${wait.count > 1 ? `${wait.count} vectors` : 'a vector'} on the canvas.`,
+    vectorOnEigenline: 'Drag a vector onto one of the eigenlines.',
+    mode: wait => `Switch to ${wait.mode} mode.`,
+    matrixChanged: 'Change the matrix.'
+};
+
+class LessonRunner {
+    constructor(host) {
+        this.host = host;
+        this.page = host.getLessonState().page;
+        this.catalog = null; // Entries of lessons/index.json
+        this.lesson = null;
+        this.stepIndex = 0;
+        this.stepStart = null;
+        this.satisfied = false;
+        this.pollTimer = null;
+        this.advanceTimer = null;
+        this.highlighted = [];
+
+        this.panel = document.getElementById('lessonPanel');
+        document.getElementById('lessonBtn').addEventListener('click', () => this.showCatalog());
+        document.getElementById('lessonCloseBtn').addEventListener('click', () => this.close());
+        document.getElementById('lessonBackBtn').addEventListener('click', () => this.goToStep(this.stepIndex - 1));
+        document.getElementById('lessonNextBtn').addEventListener('click', () => this.next());
+
+        // ?lesson=<id> starts a lesson straight away
+        const lessonId = new URLSearchParams(window.location.search).get('lesson');
+        if (lessonId) {
+            this.start(lessonId);
+        }
+    }
+
+    async loadCatalog() {
+        if (!this.catalog) {
+            const response = await fetch(`${LESSONS_PATH}index.json`);
+            if (!response.ok) {
+                throw new Error(`Could not load the lesson list (${response.status}).`);
+            }
+            this.catalog = (await response.json()).lessons;
+        }
+        return this.catalog;
+    }
+
+    async showCatalog() {
+        this.stop();
+        this.open('Lessons');
+
+        let catalog;
+        try {
+            catalog = await this.loadCatalog();
+        } catch (error) {
+            this.setBody(`<p>${escapeXML(error.message)}</p>`);
+            return;
+        }
+
+        // Lessons for the other page open there
+        this.setBody(`<div class="lesson-list">${catalog.map(entry => entry.page === this.page
+            ? `<button class="lesson-list-item" data-lesson="${entry.id}">${entry.title}</button>`
+            : `<a class="lesson-list-item" href="${entry.page}.html?lesson=${entry.id}">${entry.title} ↗</a>`
+        ).join('')}</div>`);
+        this.panel.querySelectorAll('[data-lesson]').forEach(btn => {
+            btn.addEventListener('click', () => this.start(btn.dataset.lesson));
+        });
+        this.setStatus('');
+        this.setButtons({ back: false, next: false });
+    }
+
+    async start(lessonId) {
+        this.open('Loading…');
+        try {
+            const entry = (await this.loadCatalog()).find(item => item.id === lessonId);
+            if (!entry) {
+                throw new Error(`Unknown lesson "${lessonId}".`);
+            }
+            const response = await fetch(`${LESSONS_PATH}${entry.file}`);
+            if (!response.ok) {
+                throw new Error(`Could not load "${entry.title}" (${response.status}).`);
+            }
+            this.lesson = validateLesson(await response.json());
+        } catch (error) {
+            this.setBody(`<p>${escapeXML(error.message)}</p>`);
+            this.setStatus('');
+            this.setButtons({ back: false, next: false });
+            return;
+        }
+
+        this.goToStep(0);
+    }
+
+    goToStep(index) {
+        if (!this.lesson || index < 0 || index >= this.lesson.steps.length) return;
+
+        this.stop();
+        this.stepIndex = index;
+        const step = this.lesson.steps[index];
+
+        // Set the scene
+        if (step.mode && this.host.setViewMode) {
+            this.host.setViewMode(step.mode);
+        }
+        if (step.preset) {
+            this.host.setLessonMatrix(PRESETS[step.preset].matrix, step.preset);
+        } else if (step.matrix) {
+            const [a, b, c, d] = step.matrix;
+            this.host.setLessonMatrix(new Matrix2D(a, b, c, d), null);
+        } else if (step.reset) {
+            this.host.reset();
+        }
+
+        this.highlight(step.highlight || []);
+        this.open(`${this.lesson.title} · ${index + 1}/${this.lesson.steps.length}`);
+        this.setBody(`<p>${step.narration}</p>`);
+
+        // Wait for the step's condition
+        this.stepStart = this.host.getLessonState();
+        this.satisfied = false;
+        const wait = step.waitFor || { type: 'next' };
+        const hint = LESSON_WAIT_HINTS[wait.type];
+        this.setStatus(typeof hint === 'function' ? hint(wait) : hint);
+        this.setButtons({ back: index > 0, next: true, label: wait.type === 'next' ? this.nextLabel() : 'Skip →' });
+
+        if (wait.type !== 'next') {
+            this.pollTimer = setInterval(() => this.checkCondition(wait), 250);
+        }
+    }
+
+    checkCondition(wait) {
+        if (this.satisfied || !LESSON_CONDITIONS[wait.type](this.host.getLessonState(), wait, this.stepStart)) return;
+
+        this.satisfied = true;
+        clearInterval(this.pollTimer);
+        this.setStatus('✓ Nice!', true);
+        this.setButtons({ back: this.stepIndex > 0, next: true, label: this.nextLabel() });
+        this.advanceTimer = setTimeout(() => this.next(), 1200);
+    }
+
+    nextLabel() {
+        return this.stepIndex === this.lesson.steps.length - 1 ? 'Finish' : 'Next →';
+    }
+
+    next() {
+        if (!this.lesson) return;
+        if (this.stepIndex === this.lesson.steps.length - 1) {
+            this.finish();
+        } else {
+            this.goToStep(this.stepIndex + 1);
+        }
+    }
+
+    finish() {
+        const title = this.lesson.title;
+        this.stop();
+        this.highlight([]);
+        this.lesson = null;
+        this.open('Lesson complete');
+        this.setBody(`<p>You finished <strong>${escapeXML(title)}</strong>.</p>`);
+        this.setStatus('');
+        this.setButtons({ back: false, next: false });
+    }
+
+    stop() {
+        clearInterval(this.pollTimer);
+        clearTimeout(this.advanceTimer);
+    }
+
+    close() {
+        this.stop();
+        this.highlight([]);
+        this.lesson = null;
+        this.panel.hidden = true;
+    }
+
+    highlight(selectors) {
+        this.highlighted.forEach(el => el.classList.remove('lesson-highlight'));
+        this.highlighted = selectors.flatMap(selector => Array.from(document.querySelectorAll(selector)));
+        this.highlighted.forEach(el => el.classList.add('lesson-highlight'));
+    }
+
+    open(title) {
+        this.panel.hidden = false;
+        document.getElementById('lessonTitle').textContent = title;
+    }
+
+    setBody(html) {
+        document.getElementById('lessonBody').innerHTML = html;
+    }
+
+    setStatus(text, done = false) {
+        const status = document.getElementById('lessonStatus');
+        status.textContent = text;
+        status.classList.toggle('done', done);
+    }
+
+    setButtons({ back, next, label = 'Next →' }) {
+        const backBtn = document.getElementById('lessonBackBtn');
+        const nextBtn = document.getElementById('lessonNextBtn');
+        backBtn.hidden = !back;
+        nextBtn.hidden = !next;
+        nextBtn.textContent = label;
+    }
+}
+
+// Check the parts of a lesson file the runner relies on
+function validateLesson(lesson) {
+    if (!lesson || !Array.isArray(lesson.steps) || lesson.steps.length === 0) {
+        throw new Error('A lesson needs a non-empty "steps" list.');
+    }
+
+    lesson.steps.forEach((step, i) => {
+        const where = `Step ${i + 1}`;
+        if (typeof step.narration !== 'string') {
+            throw new Error(`${where} needs narration.`);
+        }
+        if (step.preset && !PRESETS[step.preset]) {
+            throw new Error(`${where} uses an unknown preset "${step.preset}".`);
+        }
+        if (step.matrix && !(Array.isArray(step.matrix) && step.matrix.length === 4 && step.matrix.every(isFinite))) {
+            throw new Error(`${where} has an invalid matrix.`);
+        }
+        if (step.waitFor && !LESSON_CONDITIONS[step.waitFor.type]) {
+            throw new Error(`${where} waits for an unknown condition "${step.waitFor.type}".`);
+        }
+    });
+    return lesson;
+}
@@ -0,0 +1,130 @@
+// User matrix library, persisted in localStorage and shared by the 2D pages
+const LIBRARY_STORAGE_KEY = 'eigenExplorer.matrixLibrary';
+
+// Saved matrices are addressed like presets, as "library:<id>"
+const LIBRARY_PREFIX = 'library:';
+
+class MatrixLibrary {
+    constructor(storageKey = LIBRARY_STORAGE_KEY) {
+        this.storageKey = storageKey;
+        this.items = this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(data) ? data.map(normalizeLibraryItem).filter(Boolean) : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable matrix library', error);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.items));
+        } catch (error) {
+            console.warn('Failed to save matrix library', error);
+        }
+    }
+
+    get(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    add({ name, description = '', tags = [], matrix }) {
+        const item = normalizeLibraryItem({
+            id: `m${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name,
+            description,
+            tags,
+            matrix: [matrix.a, matrix.b, matrix.c, matrix.d]
+        });
+        if (!item) {
+            throw new Error('A saved matrix needs a name and four numeric entries.');
+        }
+
+        this.items.push(item);
+        this.save();
+        return item;
+    }
+
+    update(id, changes) {
+        const item = this.get(id);
+        if (!item) return null;
+
+        const updated = normalizeLibraryItem({ ...item, ...changes });
+        if (!updated) {
+            throw new Error('A saved matrix needs a name.');
+        }
+
+        Object.assign(item, updated);
+        this.save();
+        return item;
+    }
+
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.save();
+    }
+
+    toJSON() {
+        return {
+            format: 'eigen-explorer-library',
+            version: 1,
+            matrices: this.items.map(({ name, description, tags, matrix }) => ({ name, description, tags, matrix }))
+        };
+    }
+
+    // Append matrices from an exported file. Returns how many were added.
+    importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+
+        const entries = Array.isArray(data) ? data : data && data.matrices;
+        if (!Array.isArray(entries)) {
+            throw new Error('Expected a list of matrices.');
+        }
+
+        const imported = entries.map(entry => normalizeLibraryItem({ ...entry, id: null })).filter(Boolean);
+        if (imported.length === 0) {
+            throw new Error('No valid matrices found in the file.');
+        }
+
+        imported.forEach(item => {
+            this.add({ ...item, matrix: toLibraryMatrix(item) });
+        });
+        return imported.length;
+    }
+}
+
+// Validate and clean an item; returns null when it can't be used
+function normalizeLibraryItem(item) {
+    if (!item || typeof item.name !== 'string' || !item.name.trim()) return null;
+    if (!Array.isArray(item.matrix) || item.matrix.length !== 4) return null;
+
+    const matrix = item.matrix.map(Number);
+    if (!matrix.every(isFinite)) return null;
+
+    const tags = Array.isArray(item.tags) ? item.tags : parseLibraryTags(String(item.tags || ''));
+    return {
+        id: item.id || null,
+        name: item.name.trim().slice(0, 40),
+        description: typeof item.description === 'string' ? item.description.trim() : '',
+        tags: tags.map(tag => String(tag).trim()).filter(Boolean),
+        matrix
+    };
+}
+
+function parseLibraryTags(text) {
+    return text.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+function toLibraryMatrix(item) {
+    const [a, b, c, d] = item.matrix;
+    return new Matrix2D(a, b, c, d);
+}
@@ -0,0 +1,91 @@
+// Two-state Markov chains. P is column-stochastic: column j holds the probabilities of
+// moving from state j, so a distribution x (entries ≥ 0 summing to 1) becomes Px.
+// λ = 1 is always an eigenvalue and its eigenvector, scaled to sum 1, is the stationary distribution.
+const MARKOV_TOLERANCE = 1e-6;
+const MARKOV_ENTRY_NAMES = ['a₁₁', 'a₁₂', 'a₂₁', 'a₂₂'];
+
+// Example chains as [a, b, c, d] (columns (a, c) and (b, d))
+const MARKOV_EXAMPLES = {
+    weather: {
+        name: 'Sunny / rainy',
+        description: 'State 1 is sunny, state 2 rainy. A sunny day stays sunny 90% of the time; a rainy day clears up half the time.',
+        matrix: [0.9, 0.5, 0.1, 0.5]
+    },
+    slow: {
+        name: 'Slow mixing',
+        description: 'Both states are sticky, so |λ₂| is close to 1 and the chain takes a long time to forget where it started.',
+        matrix: [0.95, 0.03, 0.05, 0.97]
+    },
+    periodic: {
+        name: 'Periodic',
+        description: 'The chain always switches state: λ₂ = −1, so the distribution flips back and forth and never settles.',
+        matrix: [0, 1, 1, 0]
+    },
+    absorbing: {
+        name: 'Absorbing',
+        description: 'State 1 is never left. Everything ends up there, so the stationary distribution is [1, 0].',
+        matrix: [1, 0.3, 0, 0.7]
+    }
+};
+
+// Problems with [a, b, c, d] as a column-stochastic matrix: [{ entries, message }], empty when valid
+function validateStochasticEntries(values) {
+    const errors = [];
+
+    values.forEach((value, i) => {
+        const name = MARKOV_ENTRY_NAMES[i];
+        if (!isFinite(value)) {
+            errors.push({ entries: [i], message: `${name} is not a number.` });
+        } else if (value < -MARKOV_TOLERANCE) {
+            errors.push({ entries: [i], message: `${name} = −${-value} is negative, but it is a probability.` });
+        } else if (value > 1 + MARKOV_TOLERANCE) {
+            errors.push({ entries: [i], message: `${name} = ${value} is more than 1, but it is a probability.` });
+        }
+    });
+    if (errors.length > 0) return errors;
+
+    [[0, 2], [1, 3]].forEach(([top, bottom], column) => {
+        const sum = values[top] + values[bottom];
+        if (Math.abs(sum - 1) > MARKOV_TOLERANCE) {
+            errors.push({
+                entries: [top, bottom],
+                message: `Column ${column + 1} sums to ${Number(sum.toFixed(6))}, not 1: the chances of leaving state ${column + 1} must add up to 1.`
+            });
+        }
+    });
+    return errors;
+}
+
+function isStochasticMatrix(matrix) {
+    return validateStochasticEntries([matrix.a, matrix.b, matrix.c, matrix.d]).length === 0;
+}
+
+// Stationary distribution and mixing speed. λ₂ = tr P − 1; the distance to the
+// stationary distribution shrinks by |λ₂| every step.
+function markovAnalysis(matrix) {
+    const { a, b, c, d } = matrix;
+    const lambda2 = a + d - 1;
+    const rate = Math.abs(lambda2);
+
+    // b + c = 0 only for P = I, where every distribution is stationary
+    const stationary = b + c > MARKOV_TOLERANCE ? { x: b / (b + c), y: c / (b + c) } : null;
+
+    // Steps until the distance has shrunk 100-fold
+    let mixingSteps = null;
+    if (rate < MARKOV_TOLERANCE) {
+        mixingSteps = 1;
+    } else if (rate < 1 - MARKOV_TOLERANCE) {
+        mixingSteps = Math.ceil(Math.log(0.01) / Math.log(rate));
+    }
+
+    return { lambda2, rate, stationary, mixingSteps };
+}
+
+// Distributions x₀, Px₀, ..., Pⁿx₀
+function markovIterates(matrix, start, steps) {
+    const iterates = [start];
+    for (let k = 0; k < steps; k++) {
+        iterates.push(matrix.transform(iterates[k].x, iterates[k].y));
+    }
+    return iterates;
+}
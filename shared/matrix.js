@@ -20,6 +20,13 @@ class Matrix2D {
         );
     }
 
+    // r·R(θ): rotate by angle (radians) and scale uniformly
+    static rotationScaling(angle, scale) {
+        const cos = Math.cos(angle) * scale;
+        const sin = Math.sin(angle) * scale;
+        return new Matrix2D(cos, -sin, sin, cos);
+    }
+
     transform(x, y) {
         return {
             x: this.a * x + this.b * y,
@@ -72,9 +79,14 @@ class Matrix2D {
         } else if (Math.abs(c) > 1e-10) {
             vx = -d;
             vy = c;
-        } else {
+        } else if (Math.abs(a) < 1e-10) {
+            // Diagonal matrix: λ sits on the x-axis entry...
             vx = 1;
             vy = 0;
+        } else {
+            // ...or on the y-axis entry
+            vx = 0;
+            vy = 1;
         }
 
         const mag = Math.sqrt(vx * vx + vy * vy);
@@ -99,6 +111,274 @@ class Matrix2D {
         };
     }
 
+    // Type of the equilibrium at the origin, read off the trace and determinant.
+    // Continuous: x' = Ax (stability from the sign of the trace).
+    // Discrete: x_{k+1} = Ax_k (stability from |λ| compared with 1).
+    classifyEquilibrium(discrete = false, tolerance = 1e-9) {
+        const trace = this.trace();
+        const det = this.determinant();
+        const discriminant = trace * trace - 4 * det;
+        const stability = s => (s < 0 ? 'Stable' : 'Unstable');
+
+        if (!discrete) {
+            if (Math.abs(det) < tolerance) {
+                return { type: 'degenerate', label: 'Degenerate (line of equilibria)' };
+            }
+            if (det < 0) {
+                return { type: 'saddle', label: 'Saddle' };
+            }
+            if (discriminant < -tolerance) {
+                if (Math.abs(trace) < tolerance) {
+                    return { type: 'center', label: 'Center' };
+                }
+                return { type: 'spiral', label: `${stability(trace)} spiral` };
+            }
+            if (Math.abs(discriminant) <= tolerance) {
+                return { type: 'degenerate', label: `${stability(trace)} degenerate node` };
+            }
+            return { type: 'node', label: `${stability(trace)} node` };
+        }
+
+        if (Math.abs(det) < tolerance) {
+            return { type: 'degenerate', label: 'Degenerate (collapses onto a line)' };
+        }
+        if (discriminant < -tolerance) {
+            const modulus = Math.sqrt(det);
+            if (Math.abs(modulus - 1) < tolerance) {
+                return { type: 'center', label: 'Center' };
+            }
+            return { type: 'spiral', label: `${stability(modulus - 1)} spiral` };
+        }
+
+        const sqrtDisc = Math.sqrt(Math.max(0, discriminant));
+        const m1 = Math.abs(trace + sqrtDisc) / 2;
+        const m2 = Math.abs(trace - sqrtDisc) / 2;
+        if (Math.abs(m1 - 1) < tolerance || Math.abs(m2 - 1) < tolerance) {
+            return { type: 'degenerate', label: 'Degenerate (|λ| = 1 direction)' };
+        }
+        if ((m1 - 1) * (m2 - 1) < 0) {
+            return { type: 'saddle', label: 'Saddle' };
+        }
+        if (Math.abs(discriminant) <= tolerance) {
+            return { type: 'degenerate', label: `${stability(m1 - 1)} degenerate node` };
+        }
+        return { type: 'node', label: `${stability(Math.max(m1, m2) - 1)} node` };
+    }
+
+    // Repeated real eigenvalue with only one independent eigenvector (A ≠ λI)
+    isDefective(tolerance = 1e-9) {
+        const trace = this.trace();
+        const discriminant = trace * trace - 4 * this.determinant();
+        if (Math.abs(discriminant) > tolerance) {
+            return false;
+        }
+
+        const lambda = trace / 2;
+        return Math.max(
+            Math.abs(this.a - lambda),
+            Math.abs(this.b),
+            Math.abs(this.c),
+            Math.abs(this.d - lambda)
+        ) > tolerance;
+    }
+
+    // Solve (A − λI)w = v for a generalized eigenvector w.
+    // (A − λI) maps every vector onto the eigenline, so start perpendicular to v and rescale.
+    generalizedEigenvector(lambda, v) {
+        const N = new Matrix2D(this.a - lambda, this.b, this.c, this.d - lambda);
+        const perp = { x: -v.y, y: v.x };
+        const image = N.transform(perp.x, perp.y);
+        const k = image.x * v.x + image.y * v.y;
+
+        return { x: perp.x / k, y: perp.y / k };
+    }
+
+    // Jordan decomposition A = PJP⁻¹ for defective matrices, P = [v w], J = [[λ, 1], [0, λ]]
+    jordanDecomposition() {
+        if (!this.isDefective()) {
+            return null;
+        }
+
+        const lambda = this.trace() / 2;
+        const v = this.eigenvector(lambda);
+        const w = this.generalizedEigenvector(lambda, v);
+        const P = new Matrix2D(v.x, w.x, v.y, w.y);
+
+        return {
+            P,
+            J: new Matrix2D(lambda, 1, 0, lambda),
+            Pinv: P.inverse(),
+            lambda,
+            v,
+            w
+        };
+    }
+
+    // Eigenvector for a complex eigenvalue λ = { real, imag }, split into real and imaginary parts.
+    // Complex eigenvalues need bc < 0, so the first row of (A − λI)v = 0 always gives v = (−b, a − λ).
+    complexEigenvector(lambda) {
+        const re = { x: -this.b, y: this.a - lambda.real };
+        const im = { x: 0, y: -lambda.imag };
+
+        const mag = Math.sqrt(re.x * re.x + re.y * re.y + im.y * im.y);
+        return {
+            re: { x: re.x / mag, y: re.y / mag },
+            im: { x: im.x / mag, y: im.y / mag }
+        };
+    }
+
+    // Real canonical form A = PCP⁻¹ for complex eigenvalues λ = α ± βi,
+    // C = [[α, −β], [β, α]] and P = [Re v, Im v] with v the eigenvector for α − βi
+    realCanonicalForm() {
+        const eigenvalues = this.eigenvalues();
+        if (!eigenvalues.isComplex) {
+            return null;
+        }
+
+        const alpha = eigenvalues.lambda1.real;
+        const beta = Math.abs(eigenvalues.lambda1.imag);
+        const v = this.complexEigenvector({ real: alpha, imag: -beta });
+        const P = new Matrix2D(v.re.x, v.im.x, v.re.y, v.im.y);
+
+        return {
+            P,
+            C: new Matrix2D(alpha, -beta, beta, alpha),
+            Pinv: P.inverse(),
+            angle: Math.atan2(beta, alpha),
+            scale: Math.sqrt(alpha * alpha + beta * beta),
+            re: v.re,
+            im: v.im
+        };
+    }
+
+    transpose() {
+        return new Matrix2D(this.a, this.c, this.b, this.d);
+    }
+
+    // Singular value decomposition A = UΣVᵀ with σ₁ ≥ σ₂ ≥ 0.
+    // V is always a rotation; U picks up the reflection when det(A) < 0.
+    svd() {
+        // AᵀA = [[p, q], [q, r]] is symmetric, so its eigenvectors come straight from an angle
+        const AtA = this.transpose().multiply(this);
+        const p = AtA.a;
+        const q = AtA.b;
+        const r = AtA.d;
+
+        const mean = (p + r) / 2;
+        const radius = Math.sqrt(((p - r) / 2) * ((p - r) / 2) + q * q);
+        const sigma1 = Math.sqrt(Math.max(0, mean + radius));
+        const sigma2 = Math.sqrt(Math.max(0, mean - radius));
+
+        const theta = 0.5 * Math.atan2(2 * q, p - r);
+        const v1 = { x: Math.cos(theta), y: Math.sin(theta) };
+        const v2 = { x: -v1.y, y: v1.x };
+
+        // u = Av / σ; fall back to a perpendicular completion when a direction collapses
+        let u1 = { x: 1, y: 0 };
+        if (sigma1 > 1e-10) {
+            const Av1 = this.transform(v1.x, v1.y);
+            u1 = { x: Av1.x / sigma1, y: Av1.y / sigma1 };
+        }
+
+        let u2 = { x: -u1.y, y: u1.x };
+        if (sigma2 > 1e-10) {
+            const Av2 = this.transform(v2.x, v2.y);
+            u2 = { x: Av2.x / sigma2, y: Av2.y / sigma2 };
+        }
+
+        const V = new Matrix2D(v1.x, v2.x, v1.y, v2.y);
+        return {
+            U: new Matrix2D(u1.x, u2.x, u1.y, u2.y),
+            S: new Matrix2D(sigma1, 0, 0, sigma2),
+            V,
+            Vt: V.transpose(),
+            sigma1,
+            sigma2,
+            u1,
+            u2,
+            v1,
+            v2
+        };
+    }
+
+    scale(k) {
+        return new Matrix2D(this.a * k, this.b * k, this.c * k, this.d * k);
+    }
+
+    add(other) {
+        return new Matrix2D(this.a + other.a, this.b + other.b, this.c + other.c, this.d + other.d);
+    }
+
+    // Matrix exponential e^M. Writing M = sI + N with s = trace/2, N² = (s² − det)I,
+    // so the series collapses to cosh/sinh (or cos/sin) of √(s² − det).
+    exp() {
+        const s = this.trace() / 2;
+        const N = this.add(Matrix2D.identity().scale(-s));
+        const q = s * s - this.determinant();
+
+        let c, k;
+        if (q > 1e-12) {
+            const r = Math.sqrt(q);
+            c = Math.cosh(r);
+            k = Math.sinh(r) / r;
+        } else if (q < -1e-12) {
+            const r = Math.sqrt(-q);
+            c = Math.cos(r);
+            k = Math.sin(r) / r;
+        } else {
+            c = 1;
+            k = 1;
+        }
+
+        return Matrix2D.identity().scale(c).add(N.scale(k)).scale(Math.exp(s));
+    }
+
+    // Real matrix logarithm L with e^L = A, or null when none exists
+    // (singular A, or negative eigenvalues other than A = λI).
+    logarithm(tolerance = 1e-9) {
+        const det = this.determinant();
+        if (det < tolerance) {
+            return null; // Singular, or eigenvalues of opposite sign
+        }
+
+        const I = Matrix2D.identity();
+        const eigenvalues = this.eigenvalues();
+
+        if (eigenvalues.isComplex) {
+            // λ = α ± iβ = r·e^{±iθ}: log A = ln(r)·I + (θ/β)(A − αI)
+            const alpha = eigenvalues.lambda1.real;
+            const beta = Math.abs(eigenvalues.lambda1.imag);
+            const theta = Math.atan2(beta, alpha);
+            return I.scale(Math.log(Math.sqrt(det))).add(this.add(I.scale(-alpha)).scale(theta / beta));
+        }
+
+        const lambda1 = eigenvalues.lambda1.real;
+        const lambda2 = eigenvalues.lambda2.real;
+
+        if (Math.abs(lambda1 - lambda2) > tolerance) {
+            if (lambda2 <= 0) {
+                return null; // Two distinct negative eigenvalues
+            }
+            // Sylvester's formula over the two eigenprojections
+            const P1 = this.add(I.scale(-lambda2)).scale(1 / (lambda1 - lambda2));
+            const P2 = this.add(I.scale(-lambda1)).scale(1 / (lambda2 - lambda1));
+            return P1.scale(Math.log(lambda1)).add(P2.scale(Math.log(lambda2)));
+        }
+
+        // Repeated eigenvalue λ: A = λI + N with N² = 0
+        const lambda = (lambda1 + lambda2) / 2;
+        const N = this.add(I.scale(-lambda));
+        if (lambda > 0) {
+            return I.scale(Math.log(lambda)).add(N.scale(1 / lambda));
+        }
+        const isScalar = Math.abs(N.a) + Math.abs(N.b) + Math.abs(N.c) + Math.abs(N.d) < tolerance;
+        if (isScalar) {
+            // −|λ|I is a half turn scaled by |λ|
+            return new Matrix2D(Math.log(-lambda), -Math.PI, Math.PI, Math.log(-lambda));
+        }
+        return null; // Negative Jordan block
+    }
+
     // Compute inverse matrix
     inverse() {
         const det = this.determinant();
@@ -162,3 +442,140 @@ const PRESETS = {
         description: "Stretches along diagonal directions. Clear eigenvector directions."
     }
 };
+
+// Classes of matrices the random generator can produce
+const RANDOM_MATRIX_KINDS = {
+    any: "Any (uniform entries)",
+    integerEigenvalues: "Integer eigenvalues",
+    symmetric: "Symmetric",
+    orthogonal: "Orthogonal",
+    complex: "Complex pair",
+    defective: "Repeated / defective",
+    singular: "Singular (det = 0)",
+    det1: "det = 1",
+    negative: "Negative eigenvalue"
+};
+
+// Random matrix of the requested kind, built as A = P·M·P⁻¹ from a constrained middle
+// factor M. P is an integer matrix with det ±1, so P⁻¹ is integer too and A stays as
+// "nice" as M. With `integer`, M (and therefore A) has integer entries.
+// Returns { matrix, description }.
+function generateRandomMatrix({ kind = 'any', integer = false } = {}) {
+    const randomInt = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+    const pick = list => list[Math.floor(Math.random() * list.length)];
+    const clean = x => Number(x.toFixed(6)) + 0; // Drop float noise and -0
+
+    // Eigenvalue-sized numbers: integers, or one decimal place
+    const randomValue = (min, max) => integer
+        ? randomInt(min, max)
+        : randomInt(min * 10, max * 10) / 10;
+    const nonZero = (min, max) => {
+        let x;
+        do { x = randomValue(min, max); } while (x === 0);
+        return x;
+    };
+    const distinctPair = (first, min, max) => {
+        let second;
+        do { second = nonZero(min, max); } while (second === first);
+        return [first, second];
+    };
+
+    // One or two unit shears, possibly with a column swap: det(P) = ±1
+    const randomBasis = () => {
+        const shears = [new Matrix2D(1, 1, 0, 1), new Matrix2D(1, -1, 0, 1), new Matrix2D(1, 0, 1, 1), new Matrix2D(1, 0, -1, 1)];
+        let P = pick(shears);
+        if (Math.random() < 0.5) P = P.multiply(pick(shears));
+        if (Math.random() < 0.3) P = P.multiply(new Matrix2D(0, 1, 1, 0));
+        return P;
+    };
+    const conjugate = M => {
+        const P = randomBasis();
+        return P.multiply(M).multiply(P.inverse());
+    };
+    const finish = (matrix, description) => ({
+        matrix: new Matrix2D(clean(matrix.a), clean(matrix.b), clean(matrix.c), clean(matrix.d)),
+        description
+    });
+
+    // Retry until the entries stay readable
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const result = buildRandomMatrix();
+        const m = result.matrix;
+        if (Math.max(Math.abs(m.a), Math.abs(m.b), Math.abs(m.c), Math.abs(m.d)) <= 6) {
+            return result;
+        }
+    }
+    return buildRandomMatrix();
+
+    function buildRandomMatrix() {
+        switch (kind) {
+            case 'integerEigenvalues': {
+                const l1 = randomInt(-3, 3);
+                let l2;
+                do { l2 = randomInt(-3, 3); } while (l2 === l1);
+                return finish(conjugate(new Matrix2D(l1, 0, 0, l2)),
+                    `Eigenvalues ${l1} and ${l2}, hidden by a change of basis.`);
+            }
+            case 'symmetric': {
+                if (integer) {
+                    const b = nonZero(-3, 3);
+                    return finish(new Matrix2D(randomInt(-3, 3), b, b, randomInt(-3, 3)),
+                        'Symmetric: real eigenvalues with perpendicular eigenvectors.');
+                }
+                // Q·D·Qᵀ with a rotation Q, rounded symmetrically
+                const theta = Math.random() * Math.PI;
+                const Q = new Matrix2D(Math.cos(theta), -Math.sin(theta), Math.sin(theta), Math.cos(theta));
+                const [l1, l2] = distinctPair(nonZero(-3, 3), -3, 3);
+                const S = Q.multiply(new Matrix2D(l1, 0, 0, l2)).multiply(Q.transpose());
+                const off = Number(((S.b + S.c) / 2).toFixed(2));
+                return finish(new Matrix2D(Number(S.a.toFixed(2)), off, off, Number(S.d.toFixed(2))),
+                    'Symmetric: real eigenvalues with perpendicular eigenvectors.');
+            }
+            case 'orthogonal': {
+                // cos/sin from Pythagorean triples keep the entries exact
+                const [c, s] = integer ? pick([[0, 1], [1, 0]]) : pick([[0.6, 0.8], [0.8, 0.6], [0.28, 0.96], [0.96, 0.28]]);
+                const sc = pick([1, -1]) * c;
+                const ss = pick([1, -1]) * s;
+                return Math.random() < 0.5
+                    ? finish(new Matrix2D(sc, -ss, ss, sc), 'Rotation: orthogonal with det = 1 and complex eigenvalues on the unit circle.')
+                    : finish(new Matrix2D(sc, ss, ss, -sc), 'Reflection: orthogonal with det = −1 and eigenvalues ±1.');
+            }
+            case 'complex': {
+                const alpha = randomValue(-2, 2);
+                const beta = nonZero(1, 2) * pick([1, -1]);
+                return finish(conjugate(new Matrix2D(alpha, -beta, beta, alpha)),
+                    `Complex pair λ = ${alpha} ± ${Math.abs(beta)}i: rotation-scaling in a skewed basis.`);
+            }
+            case 'defective': {
+                const lambda = nonZero(-3, 3);
+                return finish(conjugate(new Matrix2D(lambda, 1, 0, lambda)),
+                    `Repeated eigenvalue ${lambda} with only one eigenvector direction (a Jordan block).`);
+            }
+            case 'singular': {
+                const lambda = nonZero(-3, 3);
+                return finish(conjugate(new Matrix2D(0, 0, 0, lambda)),
+                    `Singular: one eigenvalue is 0, the other is ${lambda}. The plane collapses onto a line.`);
+            }
+            case 'det1': {
+                if (integer) {
+                    // Products of unit shears have det = 1 (a random element of SL(2, ℤ))
+                    const shear = () => pick([new Matrix2D(1, 1, 0, 1), new Matrix2D(1, -1, 0, 1), new Matrix2D(1, 0, 1, 1), new Matrix2D(1, 0, -1, 1)]);
+                    return finish(shear().multiply(shear()).multiply(shear()),
+                        'det = 1: areas are preserved.');
+                }
+                const lambda = pick([2, 4, 5, 1.25, 2.5]) * pick([1, -1]);
+                return finish(conjugate(new Matrix2D(lambda, 0, 0, 1 / lambda)),
+                    `det = 1: eigenvalues ${lambda} and ${clean(1 / lambda)}, so areas are preserved.`);
+            }
+            case 'negative': {
+                const [l1, l2] = distinctPair(-nonZero(1, 3), -3, 3);
+                return finish(conjugate(new Matrix2D(l1, 0, 0, l2)),
+                    `Eigenvalues ${l1} and ${l2}: a negative eigenvalue flips its eigenvector's direction.`);
+            }
+            default: {
+                const entry = () => integer ? randomInt(-3, 3) : Number((Math.random() * 6 - 3).toFixed(2));
+                return finish(new Matrix2D(entry(), entry(), entry(), entry()), null);
+            }
+        }
+    }
+}
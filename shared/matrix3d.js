@@ -0,0 +1,288 @@
+// 3×3 Matrix and Vector Math Utilities (counterpart to Matrix2D)
+class Matrix3D {
+    // rows: [[a11, a12, a13], [a21, a22, a23], [a31, a32, a33]]
+    constructor(rows) {
+        this.m = rows.map(row => row.slice());
+    }
+
+    static identity() {
+        return new Matrix3D([
+            [1, 0, 0],
+            [0, 1, 0],
+            [0, 0, 1]
+        ]);
+    }
+
+    static lerp(m1, m2, t) {
+        return new Matrix3D(m1.m.map((row, i) =>
+            row.map((value, j) => value + (m2.m[i][j] - value) * t)
+        ));
+    }
+
+    transform(x, y, z) {
+        const m = this.m;
+        return {
+            x: m[0][0] * x + m[0][1] * y + m[0][2] * z,
+            y: m[1][0] * x + m[1][1] * y + m[1][2] * z,
+            z: m[2][0] * x + m[2][1] * y + m[2][2] * z
+        };
+    }
+
+    determinant() {
+        const m = this.m;
+        return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+             - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+             + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+    }
+
+    trace() {
+        return this.m[0][0] + this.m[1][1] + this.m[2][2];
+    }
+
+    // Sum of the principal 2×2 minors (coefficient of λ in the characteristic polynomial)
+    minorSum() {
+        const m = this.m;
+        return (m[0][0] * m[1][1] - m[0][1] * m[1][0])
+             + (m[0][0] * m[2][2] - m[0][2] * m[2][0])
+             + (m[1][1] * m[2][2] - m[1][2] * m[2][1]);
+    }
+
+    // Characteristic polynomial λ³ − tλ² + mλ − d = 0
+    characteristicPolynomial() {
+        return {
+            trace: this.trace(),
+            minorSum: this.minorSum(),
+            det: this.determinant()
+        };
+    }
+
+    // Roots of the characteristic cubic, real roots sorted in descending order.
+    // With a complex pair, lambda1 is the real root and lambda2/lambda3 are conjugates.
+    eigenvalues() {
+        const { trace, minorSum, det } = this.characteristicPolynomial();
+
+        // Depressed cubic x³ + px + q = 0 with λ = x + t/3
+        const shift = trace / 3;
+        const p = minorSum - trace * trace / 3;
+        const q = -2 * trace * trace * trace / 27 + trace * minorSum / 3 - det;
+        const discriminant = (q / 2) * (q / 2) + (p / 3) * (p / 3) * (p / 3);
+        const scale = Math.max(1, Math.abs(trace), Math.abs(minorSum), Math.abs(det));
+
+        if (discriminant > 1e-12 * scale * scale) {
+            // One real root and a complex-conjugate pair (Cardano)
+            const sqrtDisc = Math.sqrt(discriminant);
+            const u = Math.cbrt(-q / 2 + sqrtDisc);
+            const v = Math.cbrt(-q / 2 - sqrtDisc);
+            const real = -(u + v) / 2 + shift;
+            const imag = Math.abs(Math.sqrt(3) / 2 * (u - v));
+
+            return {
+                lambda1: { real: u + v + shift, imag: 0 },
+                lambda2: { real, imag },
+                lambda3: { real, imag: -imag },
+                isComplex: true
+            };
+        }
+
+        let roots;
+        if (Math.abs(p) < 1e-12 * scale) {
+            // Triple root
+            roots = [shift, shift, shift];
+        } else {
+            // Three real roots (trigonometric form)
+            const r = 2 * Math.sqrt(-p / 3);
+            const cosArg = Math.max(-1, Math.min(1, (3 * q) / (p * r)));
+            const phi = Math.acos(cosArg) / 3;
+            roots = [0, 1, 2].map(k => r * Math.cos(phi - 2 * Math.PI * k / 3) + shift);
+        }
+
+        roots.sort((x, y) => y - x);
+        return {
+            lambda1: { real: roots[0], imag: 0 },
+            lambda2: { real: roots[1], imag: 0 },
+            lambda3: { real: roots[2], imag: 0 },
+            isComplex: false
+        };
+    }
+
+    // Orthonormal basis of the null space of (A − λI)
+    eigenspace(lambda, tolerance = 1e-6) {
+        const rows = this.m.map((row, i) => row.map((value, j) => value - (i === j ? lambda : 0)));
+        const norms = rows.map(norm3);
+        const maxNorm = Math.max(...norms);
+
+        // A − λI ≈ 0: the whole space is the eigenspace
+        if (maxNorm < tolerance) {
+            return [{ x: 1, y: 0, z: 0 }, { x: 0, y: 1, z: 0 }, { x: 0, y: 0, z: 1 }];
+        }
+
+        // Rank 2: the null line is the largest cross product of two rows
+        const crosses = [
+            cross3(rows[0], rows[1]),
+            cross3(rows[0], rows[2]),
+            cross3(rows[1], rows[2])
+        ];
+        const best = crosses.reduce((a, b) => (norm3(b) > norm3(a) ? b : a));
+        if (norm3(best) > tolerance * maxNorm * maxNorm) {
+            return [toVec3(normalize3(best))];
+        }
+
+        // Rank 1: the null space is the plane perpendicular to the surviving row
+        const row = rows[norms.indexOf(maxNorm)];
+        const n = normalize3(row);
+        const helper = Math.abs(n[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+        const u = normalize3(cross3(n, helper));
+        const w = normalize3(cross3(n, u));
+        return [toVec3(u), toVec3(w)];
+    }
+
+    // Real and imaginary parts of an eigenvector for a complex eigenvalue λ = { real, imag }.
+    // Together they span the plane that A rotates and scales.
+    complexEigenvector(lambda) {
+        const rows = this.m.map((row, i) => row.map((value, j) => ({
+            re: value - (i === j ? lambda.real : 0),
+            im: i === j ? -lambda.imag : 0
+        })));
+
+        const candidates = [
+            complexCross3(rows[0], rows[1]),
+            complexCross3(rows[0], rows[2]),
+            complexCross3(rows[1], rows[2])
+        ];
+        const size = v => Math.sqrt(v.reduce((sum, c) => sum + c.re * c.re + c.im * c.im, 0));
+        const best = candidates.reduce((a, b) => (size(b) > size(a) ? b : a));
+        const mag = size(best);
+
+        return {
+            re: { x: best[0].re / mag, y: best[1].re / mag, z: best[2].re / mag },
+            im: { x: best[0].im / mag, y: best[1].im / mag, z: best[2].im / mag }
+        };
+    }
+
+    // Real eigenpairs [{ lambda, v }], one per independent eigenvector.
+    // Repeated eigenvalues contribute as many vectors as their eigenspace has dimensions.
+    getEigenvectors() {
+        const eigenvalues = this.eigenvalues();
+        const lambdas = eigenvalues.isComplex
+            ? [eigenvalues.lambda1.real]
+            : [eigenvalues.lambda1.real, eigenvalues.lambda2.real, eigenvalues.lambda3.real];
+
+        // Group repeated roots so each eigenspace is only visited once
+        const groups = [];
+        lambdas.forEach(lambda => {
+            const group = groups.find(g => Math.abs(g.lambda - lambda) < 1e-6 * Math.max(1, Math.abs(lambda)));
+            if (group) {
+                group.multiplicity++;
+            } else {
+                groups.push({ lambda, multiplicity: 1 });
+            }
+        });
+
+        const pairs = [];
+        groups.forEach(group => {
+            const basis = this.eigenspace(group.lambda);
+            basis.slice(0, group.multiplicity).forEach(v => {
+                pairs.push({ lambda: group.lambda, v });
+            });
+        });
+
+        return pairs;
+    }
+
+    inverse() {
+        const det = this.determinant();
+        if (Math.abs(det) < 1e-10) {
+            return null; // Singular matrix
+        }
+
+        const m = this.m;
+        const cofactor = (i, j) => {
+            const r = [0, 1, 2].filter(k => k !== i);
+            const c = [0, 1, 2].filter(k => k !== j);
+            const minor = m[r[0]][c[0]] * m[r[1]][c[1]] - m[r[0]][c[1]] * m[r[1]][c[0]];
+            return ((i + j) % 2 === 0 ? 1 : -1) * minor;
+        };
+
+        // Inverse = adjugate / det (adjugate is the transposed cofactor matrix)
+        return new Matrix3D([0, 1, 2].map(i => [0, 1, 2].map(j => cofactor(j, i) / det)));
+    }
+
+    // Matrix multiplication: this * other
+    multiply(other) {
+        return new Matrix3D([0, 1, 2].map(i => [0, 1, 2].map(j =>
+            this.m[i][0] * other.m[0][j] + this.m[i][1] * other.m[1][j] + this.m[i][2] * other.m[2][j]
+        )));
+    }
+}
+
+// Vector helpers on [x, y, z] arrays
+function cross3(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ];
+}
+
+function norm3(a) {
+    return Math.sqrt(a[0] * a[0] + a[1] * a[1] + a[2] * a[2]);
+}
+
+function normalize3(a) {
+    const n = norm3(a);
+    return [a[0] / n, a[1] / n, a[2] / n];
+}
+
+function toVec3(a) {
+    return { x: a[0], y: a[1], z: a[2] };
+}
+
+// Cross product of rows of complex entries { re, im }, returned as an array of { re, im }
+function complexCross3(a, b) {
+    const mul = (p, q) => ({ re: p.re * q.re - p.im * q.im, im: p.re * q.im + p.im * q.re });
+    const sub = (p, q) => ({ re: p.re - q.re, im: p.im - q.im });
+    return [
+        sub(mul(a[1], b[2]), mul(a[2], b[1])),
+        sub(mul(a[2], b[0]), mul(a[0], b[2])),
+        sub(mul(a[0], b[1]), mul(a[1], b[0]))
+    ];
+}
+
+// 3D Transformation Presets
+const PRESETS_3D = {
+    rotationZ: {
+        name: "Rotation about Z (90°)",
+        matrix: new Matrix3D([[0, -1, 0], [1, 0, 0], [0, 0, 1]]),
+        description: "Rotates the xy-plane 90° about the z-axis. The z-axis is the only real eigenvector (λ = 1); the xy-plane carries a complex pair."
+    },
+    scaling: {
+        name: "Uniform Scaling (2x)",
+        matrix: new Matrix3D([[2, 0, 0], [0, 2, 0], [0, 0, 2]]),
+        description: "Scales all vectors by 2. Every vector is an eigenvector with eigenvalue 2."
+    },
+    stretch: {
+        name: "Axis Stretch",
+        matrix: new Matrix3D([[2, 0, 0], [0, 1, 0], [0, 0, 0.5]]),
+        description: "Stretches x, keeps y and compresses z. The coordinate axes are the eigenvectors."
+    },
+    shear: {
+        name: "Shear XY",
+        matrix: new Matrix3D([[1, 1, 0], [0, 1, 0], [0, 0, 1]]),
+        description: "Shears x by y. λ = 1 is repeated three times but only the x- and z-axes stay on their lines."
+    },
+    reflection: {
+        name: "Reflection (XY-plane)",
+        matrix: new Matrix3D([[1, 0, 0], [0, 1, 0], [0, 0, -1]]),
+        description: "Mirrors across the xy-plane. The plane is an eigenspace with λ = 1, the z-axis has λ = −1."
+    },
+    projection: {
+        name: "Projection onto XY-plane",
+        matrix: new Matrix3D([[1, 0, 0], [0, 1, 0], [0, 0, 0]]),
+        description: "Flattens space onto the xy-plane. Collapses the z-dimension (eigenvalue = 0)."
+    },
+    symmetric: {
+        name: "Symmetric",
+        matrix: new Matrix3D([[2, 1, 0], [1, 2, 1], [0, 1, 2]]),
+        description: "Symmetric matrices have three real, mutually perpendicular eigenvectors."
+    }
+};
@@ -0,0 +1,117 @@
+// Principal component analysis of a 2D point cloud: the principal axes are the
+// eigenvectors of the covariance matrix, ordered by the variance they explain.
+const PCA_MAX_POINTS = 2000;
+
+// Built-in datasets: { name, description, generate() → [{x, y}] }
+const PCA_EXAMPLES = {
+    correlated: {
+        name: 'Correlated',
+        description: 'y grows with x plus noise: most of the variance lies along one diagonal axis.',
+        generate: () => samplePoints(60, p => ({ x: 1.6 * p.x, y: 0.9 * p.x + 0.5 * p.y }))
+    },
+    round: {
+        name: 'Round cloud',
+        description: 'Equal spread in every direction: λ₁ ≈ λ₂ and no axis stands out.',
+        generate: () => samplePoints(60, p => ({ x: p.x, y: p.y }))
+    },
+    line: {
+        name: 'Almost a line',
+        description: 'Points close to a line through (1, 1): the first component explains nearly everything.',
+        generate: () => samplePoints(40, p => ({ x: 1 + 2 * p.x - 0.1 * p.y, y: 1 - p.x + 0.2 * p.y }))
+    },
+    offset: {
+        name: 'Off-centre',
+        description: 'A tilted cloud centred at (2, −1): the axes pass through the mean, not the origin.',
+        generate: () => samplePoints(50, p => ({ x: 2 + 0.4 * p.x - 1.2 * p.y, y: -1 + 0.3 * p.x + 0.8 * p.y }))
+    }
+};
+
+// n standard normal pairs (Box–Muller) mapped through shape, rounded for tidy CSV
+function samplePoints(n, shape) {
+    const round = v => Math.round(v * 100) / 100;
+    const points = [];
+    for (let i = 0; i < n; i++) {
+        const r = Math.sqrt(-2 * Math.log(1 - Math.random()));
+        const theta = 2 * Math.PI * Math.random();
+        const p = shape({ x: r * Math.cos(theta), y: r * Math.sin(theta) });
+        points.push({ x: round(p.x), y: round(p.y) });
+    }
+    return points;
+}
+
+// Parse "x, y" rows (comma, semicolon, tab or space separated). A first row with
+// non-numeric text is taken as a header; any other bad row throws with its line number.
+function parsePointsCSV(text) {
+    const points = [];
+    let isFirstRow = true;
+
+    text.split(/\r?\n/).forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+
+        const fields = trimmed.split(/\s*[,;\t]\s*|\s+/);
+        const x = Number(fields[0]);
+        const y = Number(fields[1]);
+        const isHeader = isFirstRow && fields.some(field => field !== '' && !isFinite(Number(field)));
+        if (fields.length >= 2 && fields[1] !== '' && isFinite(x) && isFinite(y)) {
+            points.push({ x, y });
+        } else if (!isHeader) {
+            throw new Error(`Line ${i + 1}: expected two numbers, got "${trimmed.slice(0, 40)}".`);
+        }
+        isFirstRow = false;
+    });
+
+    if (points.length > PCA_MAX_POINTS) {
+        throw new Error(`Too many points (${points.length}); the limit is ${PCA_MAX_POINTS}.`);
+    }
+    return points;
+}
+
+function formatPointsCSV(points) {
+    return ['x,y', ...points.map(p => `${p.x},${p.y}`)].join('\n');
+}
+
+// Mean and sample covariance (n − 1) of the points, or null with fewer than two
+function pcaAnalysis(points) {
+    const n = points.length;
+    if (n < 2) return null;
+
+    const mean = {
+        x: points.reduce((sum, p) => sum + p.x, 0) / n,
+        y: points.reduce((sum, p) => sum + p.y, 0) / n
+    };
+
+    let sxx = 0, sxy = 0, syy = 0;
+    points.forEach(p => {
+        const dx = p.x - mean.x;
+        const dy = p.y - mean.y;
+        sxx += dx * dx;
+        sxy += dx * dy;
+        syy += dy * dy;
+    });
+    const covariance = new Matrix2D(sxx / (n - 1), sxy / (n - 1), sxy / (n - 1), syy / (n - 1));
+
+    // Symmetric, so the eigenvalues are real and λ₁ ≥ λ₂ ≥ 0 (a round cloud can
+    // round the discriminant just below zero: treat that as a repeated eigenvalue)
+    const total = covariance.trace();
+    const eigenvectors = covariance.getEigenvectors() ||
+        { lambda1: total / 2, lambda2: total / 2, v1: { x: 1, y: 0 }, v2: { x: 0, y: 1 } };
+    const lambda1 = Math.max(0, eigenvectors.lambda1);
+    const lambda2 = Math.max(0, eigenvectors.lambda2);
+
+    return {
+        mean,
+        covariance,
+        lambda1,
+        lambda2,
+        v1: eigenvectors.v1,
+        v2: eigenvectors.v2,
+        explained: total > 0 ? [lambda1 / total, lambda2 / total] : [0, 0]
+    };
+}
+
+// Orthogonal projection of p onto the line through mean along unit vector v
+function projectOntoAxis(p, mean, v) {
+    const t = (p.x - mean.x) * v.x + (p.y - mean.y) * v.y;
+    return { x: mean.x + t * v.x, y: mean.y + t * v.y };
+}
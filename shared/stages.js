@@ -0,0 +1,215 @@
+// Scrubber, play/step/speed controls and stage animation shared by the decomposition pages
+// (diagonalization.html, svd.html). The timeline runs I → first factor → second → third,
+// and Step animates to the next stage boundary.
+//
+// The timeline state lives on the host, where its drawing code reads it:
+//   progress (0 to 1), isAnimating, animationSpeed
+// The host provides:
+//   updateUI(), draw(), reset()
+const STAGE_PHASES = [0, 0.33, 0.67, 1.0]; // Start, then after each factor
+const STAGE_STEP_DURATION = 800; // ms per step at 1×
+const STAGE_PLAY_DURATION = 2400; // ms for all three stages at 1×
+
+class StageTimeline {
+    constructor(host) {
+        this.host = host;
+        this.setupScrubber();
+        this.setupButtons();
+    }
+
+    setupScrubber() {
+        const track = document.getElementById('scrubberTrack');
+        const handle = document.getElementById('scrubberHandle');
+        let isDragging = false;
+
+        const updateProgress = (clientX) => {
+            const rect = track.getBoundingClientRect();
+            const x = Math.max(0, Math.min(clientX - rect.left, rect.width));
+            this.host.progress = x / rect.width;
+            this.host.updateUI();
+            this.host.draw();
+        };
+
+        handle.addEventListener('mousedown', () => {
+            isDragging = true;
+        });
+
+        document.addEventListener('mousemove', (e) => {
+            if (isDragging) {
+                updateProgress(e.clientX);
+            }
+        });
+
+        document.addEventListener('mouseup', () => {
+            isDragging = false;
+        });
+
+        track.addEventListener('click', (e) => {
+            updateProgress(e.clientX);
+        });
+    }
+
+    setupButtons() {
+        document.getElementById('playBtn').addEventListener('click', () => this.play());
+        document.getElementById('stepBtn').addEventListener('click', () => this.stepToNextPhase());
+        document.getElementById('resetBtn').addEventListener('click', () => this.host.reset());
+
+        // Speed control buttons
+        document.querySelectorAll('.speed-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const speed = parseFloat(e.target.dataset.speed);
+                this.setSpeed(speed);
+            });
+        });
+
+        // Space bar to step (not while typing in an input)
+        document.addEventListener('keydown', (e) => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+            if (e.code === 'Space') {
+                e.preventDefault();
+                this.stepToNextPhase();
+            }
+        });
+    }
+
+    setSpeed(speed) {
+        this.host.animationSpeed = speed;
+
+        // Update active state on speed buttons
+        document.querySelectorAll('.speed-btn').forEach(btn => {
+            btn.classList.toggle('active', parseFloat(btn.dataset.speed) === speed);
+        });
+    }
+
+    // Called from the host's updateUI()
+    updateScrubber() {
+        const percent = this.host.progress * 100;
+        document.getElementById('scrubberProgress').style.width = `${percent}%`;
+        document.getElementById('scrubberHandle').style.left = `${percent}%`;
+    }
+
+    play() {
+        // Run all three stages in one go (restart from the start when already at the end)
+        if (this.host.progress >= 1) {
+            this.host.progress = 0;
+        }
+        this.animateToProgress(1, STAGE_PLAY_DURATION);
+    }
+
+    stepToNextPhase() {
+        const nextPhase = STAGE_PHASES.find(p => p > this.host.progress + 0.01);
+
+        // At the end, go back to the start
+        this.animateToProgress(nextPhase === undefined ? 0 : nextPhase);
+    }
+
+    animateToProgress(targetProgress, baseDuration = STAGE_STEP_DURATION) {
+        const host = this.host;
+        if (host.isAnimating) return; // Prevent overlapping animations
+
+        host.isAnimating = true;
+        const startProgress = host.progress;
+        const duration = baseDuration / host.animationSpeed;
+        const startTime = performance.now();
+
+        const animate = (currentTime) => {
+            const elapsed = currentTime - startTime;
+            const t = Math.min(elapsed / duration, 1);
+
+            // Ease in-out
+            const eased = t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+
+            host.progress = startProgress + (targetProgress - startProgress) * eased;
+            host.updateUI();
+            host.draw();
+
+            if (t < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                host.progress = targetProgress;
+                host.isAnimating = false;
+                host.updateUI();
+                host.draw();
+            }
+        };
+
+        requestAnimationFrame(animate);
+    }
+}
+
+// Index into STAGE_PHASES of the last phase reached (with a small tolerance to snap onto it)
+function getStageIndex(progress) {
+    for (let i = STAGE_PHASES.length - 1; i >= 0; i--) {
+        if (progress >= STAGE_PHASES[i] - 0.01) {
+            return i;
+        }
+    }
+    return 0;
+}
+
+// ?matrix=a,b,c,d as a Matrix2D, or null when missing or malformed
+function parseMatrixFromURL() {
+    const params = new URLSearchParams(window.location.search);
+    const matrixStr = params.get('matrix');
+    if (matrixStr) {
+        const values = matrixStr.split(',').map(Number);
+        if (values.length === 4 && values.every(v => !isNaN(v))) {
+            return new Matrix2D(values[0], values[1], values[2], values[3]);
+        }
+    }
+    return null;
+}
+
+// Fill the window and keep the origin centred
+function resizeCanvasToWindow(app) {
+    app.canvas.width = window.innerWidth;
+    app.canvas.height = window.innerHeight;
+    app.width = app.canvas.width;
+    app.height = app.canvas.height;
+    app.origin = { x: app.width / 2, y: app.height / 2 };
+}
+
+// Grid and axes in world units, drawn with the y-axis pointing up.
+// Lines are 1, 10, 100, ... units apart so they stay at least 24px apart when zoomed out.
+function drawStageGrid(ctx, scale) {
+    const step = Math.pow(10, Math.max(0, Math.ceil(Math.log10(24 / scale))));
+    const gridSize = 10;
+    const spacing = step * scale;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.06)';
+    ctx.lineWidth = 1;
+
+    for (let i = -gridSize; i <= gridSize; i++) {
+        ctx.beginPath();
+        ctx.moveTo(i * spacing, -gridSize * spacing);
+        ctx.lineTo(i * spacing, gridSize * spacing);
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.moveTo(-gridSize * spacing, i * spacing);
+        ctx.lineTo(gridSize * spacing, i * spacing);
+        ctx.stroke();
+    }
+
+    if (step > 1) {
+        ctx.save();
+        ctx.scale(1, -1);
+        ctx.font = '13px JetBrains Mono';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.fillText(`grid: ${step} units`, spacing + 6, -6);
+        ctx.restore();
+    }
+
+    // Axes
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.lineWidth = 2;
+
+    ctx.beginPath();
+    ctx.moveTo(-gridSize * spacing, 0);
+    ctx.lineTo(gridSize * spacing, 0);
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.moveTo(0, -gridSize * spacing);
+    ctx.lineTo(0, gridSize * spacing);
+    ctx.stroke();
+}
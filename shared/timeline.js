@@ -0,0 +1,153 @@
+// Play/pause, scrubber, step and speed controls plus preset chips, shared by the
+// transformation pages (eigenvectors.html, eigenvectors3d.html).
+//
+// The timeline state lives on the host, where its drawing code reads it:
+//   animationProgress (0 to 1), isAnimating, animationSpeed, animationId
+// The host provides:
+//   setProgress(progress)     → move the timeline, update the matrix and redraw
+//   renderAnimationFrame()    → show the current progress while playing (called once per frame)
+//   reset()
+//   getSegmentCount()         (optional) segments that each play as long as one transformation
+const TIMELINE_FRAME_STEP = 0.008; // Progress per frame at 1×
+const TIMELINE_STEP = 0.1; // Progress per step button or arrow key
+
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+class TimelineControls {
+    constructor(host) {
+        this.host = host;
+        this.setupScrubber();
+    }
+
+    setupScrubber() {
+        const track = document.getElementById('scrubberTrack');
+        const handle = document.getElementById('scrubberHandle');
+        let isDragging = false;
+
+        const updateProgress = (clientX) => {
+            const rect = track.getBoundingClientRect();
+            const x = Math.max(0, Math.min(clientX - rect.left, rect.width));
+            this.host.setProgress(x / rect.width);
+        };
+
+        handle.addEventListener('mousedown', (e) => {
+            isDragging = true;
+            e.preventDefault();
+        });
+
+        track.addEventListener('mousedown', (e) => {
+            updateProgress(e.clientX);
+            isDragging = true;
+        });
+
+        document.addEventListener('mousemove', (e) => {
+            if (isDragging) {
+                this.host.isAnimating = false;
+                updateProgress(e.clientX);
+            }
+        });
+
+        document.addEventListener('mouseup', () => {
+            isDragging = false;
+        });
+    }
+
+    getSegmentCount() {
+        return this.host.getSegmentCount ? this.host.getSegmentCount() : 1;
+    }
+
+    togglePlay() {
+        if (this.host.isAnimating) {
+            this.pause();
+        } else {
+            if (this.host.animationProgress >= 1) {
+                this.host.reset();
+            }
+            this.host.isAnimating = true;
+            document.getElementById('playBtn').textContent = '⏸';
+            this.animate();
+        }
+    }
+
+    pause() {
+        this.host.isAnimating = false;
+        document.getElementById('playBtn').textContent = '▶';
+    }
+
+    // Pause and drop any queued frame
+    stop() {
+        this.pause();
+        if (this.host.animationId) {
+            cancelAnimationFrame(this.host.animationId);
+        }
+    }
+
+    animate() {
+        const host = this.host;
+        if (!host.isAnimating) return;
+
+        // Each segment gets as long as a single transformation would
+        host.animationProgress += TIMELINE_FRAME_STEP * host.animationSpeed / this.getSegmentCount();
+
+        if (host.animationProgress >= 1) {
+            host.animationProgress = 1;
+            this.pause();
+        }
+
+        host.renderAnimationFrame();
+
+        if (host.isAnimating) {
+            host.animationId = requestAnimationFrame(() => this.animate());
+        }
+    }
+
+    // direction: 1 forward, −1 back
+    step(direction) {
+        this.pause();
+        const progress = this.host.animationProgress + direction * TIMELINE_STEP / this.getSegmentCount();
+        this.host.setProgress(Math.max(0, Math.min(1, progress)));
+    }
+
+    setSpeed(speed) {
+        this.host.animationSpeed = speed;
+
+        // Update active state on speed buttons (other chip groups share the .speed-btn look)
+        document.querySelectorAll('.speed-btn[data-speed]').forEach(btn => {
+            btn.classList.toggle('active', parseFloat(btn.dataset.speed) === speed);
+        });
+    }
+}
+
+// Clicks on .preset-chip elements inside container (and Enter/Space on focused chips) call onSelect(name).
+// Delegated, so chips added later work too.
+function setupPresetChips(container, onSelect) {
+    container.addEventListener('click', (e) => {
+        const chip = e.target.closest('.preset-chip');
+        if (chip) {
+            onSelect(chip.dataset.preset);
+        }
+    });
+    container.addEventListener('keydown', (e) => {
+        const chip = e.target.closest('.preset-chip');
+        if (chip && (e.code === 'Enter' || e.code === 'Space')) {
+            e.preventDefault();
+            e.stopPropagation(); // Space shouldn't also toggle playback
+            onSelect(chip.dataset.preset);
+        }
+    });
+}
+
+function setActivePresetChip(presetName) {
+    document.querySelectorAll('.preset-chip').forEach(chip => {
+        chip.classList.toggle('active', chip.dataset.preset === presetName);
+    });
+}
+
+// Preset for an unmodified digit key: presetNames[0] for 1, presetNames[1] for 2, ...; null otherwise
+function getPresetShortcut(e, presetNames) {
+    const match = /^Digit([1-9])$/.exec(e.code);
+    if (!match || e.ctrlKey || e.metaKey || e.shiftKey) return null;
+    return presetNames[Number(match[1]) - 1] || null;
+}
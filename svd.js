@@ -0,0 +1,310 @@
+class SVDApp {
+    constructor() {
+        this.canvas = document.getElementById('canvas');
+        this.ctx = this.canvas.getContext('2d');
+
+        // Set canvas to window size
+        resizeCanvasToWindow(this);
+        window.addEventListener('resize', () => {
+            resizeCanvasToWindow(this);
+            this.draw();
+        });
+
+        this.scale = 80;
+        this.origin = { x: this.width / 2, y: this.height / 2 };
+
+        // Animation state (0 to 1, maps to I → Vᵀ → ΣVᵀ → UΣVᵀ)
+        this.progress = 0;
+        this.isAnimating = false;
+        this.animationSpeed = 1; // Speed multiplier
+
+        // Parse matrix from URL or use default
+        this.targetMatrix = parseMatrixFromURL() || new Matrix2D(1, 2, 0, 1.5);
+
+        // Decompose
+        this.decompose();
+
+        // Setup UI
+        this.timeline = new StageTimeline(this);
+        this.updateUI();
+        this.draw();
+    }
+
+    decompose() {
+        this.svd = this.targetMatrix.svd();
+
+        // Eigen-data for comparison (null when eigenvalues are complex)
+        this.eigenvectors = this.targetMatrix.getEigenvectors();
+    }
+
+    // Path from I to an orthogonal Q that rotates rigidly (and flips at the end for a reflection)
+    orthogonalPath(Q, t) {
+        const angle = Math.atan2(Q.c, Q.a);
+        const flip = Q.determinant() < 0 ? -1 : 1;
+        const rotation = Matrix2D.rotationScaling(angle * t, 1);
+        return rotation.multiply(new Matrix2D(1, 0, 0, 1 + (flip - 1) * t));
+    }
+
+    getCurrentMatrix() {
+        const { U, S, Vt } = this.svd;
+
+        // Map progress 0→1 to stages: I → Vᵀ → ΣVᵀ → UΣVᵀ
+        if (this.progress < 0.33) {
+            // Stage 1: rotate/reflect by Vᵀ
+            const t = this.progress / 0.33;
+            return this.orthogonalPath(Vt, t);
+        } else if (this.progress < 0.67) {
+            // Stage 2: stretch the axes by Σ
+            const t = (this.progress - 0.33) / 0.34;
+            return Matrix2D.lerp(Matrix2D.identity(), S, t).multiply(Vt);
+        } else {
+            // Stage 3: rotate/reflect by U
+            const t = (this.progress - 0.67) / 0.33;
+            return this.orthogonalPath(U, t).multiply(S).multiply(Vt);
+        }
+    }
+
+    reset() {
+        this.progress = 0;
+        this.isAnimating = false;
+        this.updateUI();
+        this.draw();
+    }
+
+    updateUI() {
+        this.timeline.updateScrubber();
+
+        // Update SVD matrices
+        this.updateMatrixDisplay('matrixA', this.targetMatrix);
+        this.updateMatrixDisplay('matrixU', this.svd.U);
+        this.updateMatrixDisplay('matrixS', this.svd.S, true); // Highlight diagonal
+        this.updateMatrixDisplay('matrixVt', this.svd.Vt);
+
+        // Update eigendecomposition for comparison
+        this.updateComparison();
+
+        // Update stage description
+        this.updateStageDescription();
+    }
+
+    updateMatrixDisplay(id, matrix, highlightDiagonal = false) {
+        const container = document.getElementById(id);
+        if (!container) return;
+
+        // No real matrix to show (e.g. complex eigenvalues)
+        if (!matrix) {
+            container.innerHTML = ['—', '—', '—', '—']
+                .map(value => `<div class="matrix-cell">${value}</div>`)
+                .join('');
+            return;
+        }
+
+        const cells = [
+            { value: matrix.a, diagonal: true },
+            { value: matrix.b, diagonal: false },
+            { value: matrix.c, diagonal: false },
+            { value: matrix.d, diagonal: true }
+        ];
+
+        container.innerHTML = cells.map(cell => {
+            const highlight = highlightDiagonal && cell.diagonal ? 'highlight' : '';
+            return `<div class="matrix-cell ${highlight}">${cell.value.toFixed(2)}</div>`;
+        }).join('');
+    }
+
+    updateComparison() {
+        const note = document.getElementById('comparisonNote');
+        const ev = this.eigenvectors;
+
+        if (!ev) {
+            this.updateMatrixDisplay('matrixP', null);
+            this.updateMatrixDisplay('matrixD', null);
+            note.innerHTML = 'A has complex eigenvalues, so there are no real eigenvectors to draw. The SVD still exists: σ₁ and σ₂ measure the stretch even when A rotates.';
+            return;
+        }
+
+        this.updateMatrixDisplay('matrixP', new Matrix2D(ev.v1.x, ev.v2.x, ev.v1.y, ev.v2.y));
+        this.updateMatrixDisplay('matrixD', new Matrix2D(ev.lambda1, 0, 0, ev.lambda2), true);
+
+        const m = this.targetMatrix;
+        if (Math.abs(m.b - m.c) < 1e-9) {
+            note.innerHTML = 'A is symmetric, so its singular vectors are its eigenvectors (up to sign) and σᵢ = |λᵢ|.';
+        } else {
+            const { sigma1, sigma2 } = this.svd;
+            note.innerHTML = `Eigenvectors (dashed) keep their direction but need not be perpendicular. Singular vectors (solid) are the perpendicular pair that stays perpendicular. Here σ = ${sigma1.toFixed(2)}, ${sigma2.toFixed(2)} while |λ| = ${Math.abs(ev.lambda1).toFixed(2)}, ${Math.abs(ev.lambda2).toFixed(2)}.`;
+        }
+    }
+
+    updateStageDescription() {
+        const desc = document.getElementById('stageDescription');
+        const { sigma1, sigma2, U, Vt } = this.svd;
+        const reflects = matrix => (matrix.determinant() < 0 ? 'reflects' : 'rotates');
+
+        const descriptions = [
+            'Stage 0: Start with the unit circle and the right singular vectors v₁, v₂ (green & purple). They are perpendicular, and A maps them to perpendicular vectors.',
+            `Stage 1: Applying Vᵀ ${reflects(Vt)} so v₁ and v₂ land on the x- and y-axes. The circle is unchanged because Vᵀ is orthogonal.`,
+            `Stage 2: Applying Σ stretches the x-axis by σ₁ = ${sigma1.toFixed(2)} and the y-axis by σ₂ = ${sigma2.toFixed(2)}. The circle becomes an axis-aligned ellipse.`,
+            `Stage 3: Applying U ${reflects(U)} the ellipse into place. Its semi-axes are σ₁u₁ and σ₂u₂. Final result: A = UΣVᵀ ✓`
+        ];
+
+        desc.innerHTML = `<p>${descriptions[getStageIndex(this.progress)]}</p>`;
+    }
+
+    draw() {
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        this.ctx.restore();
+
+        this.ctx.save();
+        this.ctx.translate(this.origin.x, this.origin.y);
+        this.ctx.scale(1, -1);
+
+        const currentMatrix = this.getCurrentMatrix();
+
+        // Draw grid
+        drawStageGrid(this.ctx, this.scale);
+
+        // Eigenvector lines for comparison (fixed, like on the diagonalization page)
+        if (this.eigenvectors) {
+            this.drawEigenvectorLines();
+        }
+
+        // Unit circle → ellipse
+        this.drawUnitCircle(currentMatrix);
+
+        // Singular vectors carried along by the current stage
+        this.drawSingularVectors(currentMatrix);
+
+        // Draw origin
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.beginPath();
+        this.ctx.arc(0, 0, 5, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        this.ctx.restore();
+    }
+
+    drawEigenvectorLines() {
+        const v1 = this.eigenvectors.v1;
+        const v2 = this.eigenvectors.v2;
+        const length = 12;
+
+        this.ctx.strokeStyle = 'rgba(6, 182, 212, 0.5)';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([10, 6]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(-v1.x * length * this.scale, -v1.y * length * this.scale);
+        this.ctx.lineTo(v1.x * length * this.scale, v1.y * length * this.scale);
+        this.ctx.stroke();
+
+        this.ctx.strokeStyle = 'rgba(236, 72, 153, 0.5)';
+        this.ctx.beginPath();
+        this.ctx.moveTo(-v2.x * length * this.scale, -v2.y * length * this.scale);
+        this.ctx.lineTo(v2.x * length * this.scale, v2.y * length * this.scale);
+        this.ctx.stroke();
+
+        this.ctx.setLineDash([]);
+    }
+
+    drawUnitCircle(matrix) {
+        const steps = 96;
+
+        // Faded reference circle
+        this.ctx.strokeStyle = 'rgba(156, 163, 175, 0.3)';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.beginPath();
+        this.ctx.arc(0, 0, this.scale, 0, Math.PI * 2);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        // Transformed circle
+        this.ctx.fillStyle = 'rgba(245, 158, 11, 0.1)';
+        this.ctx.strokeStyle = 'rgba(245, 158, 11, 0.8)';
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        for (let i = 0; i <= steps; i++) {
+            const angle = (i / steps) * Math.PI * 2;
+            const p = this.transform(Math.cos(angle), Math.sin(angle), matrix);
+            if (i === 0) {
+                this.ctx.moveTo(p.x * this.scale, p.y * this.scale);
+            } else {
+                this.ctx.lineTo(p.x * this.scale, p.y * this.scale);
+            }
+        }
+        this.ctx.closePath();
+        this.ctx.fill();
+        this.ctx.stroke();
+    }
+
+    drawSingularVectors(matrix) {
+        const { v1, v2, sigma1, sigma2 } = this.svd;
+
+        // Both directions, like the eigenvector arrows on the eigenvector page
+        const p1 = this.transform(v1.x, v1.y, matrix);
+        const p2 = this.transform(v2.x, v2.y, matrix);
+
+        this.drawVector(p1.x, p1.y, '#10B981', `σ₁=${sigma1.toFixed(2)}`);
+        this.drawVector(-p1.x, -p1.y, '#10B981', '');
+        this.drawVector(p2.x, p2.y, '#A78BFA', `σ₂=${sigma2.toFixed(2)}`);
+        this.drawVector(-p2.x, -p2.y, '#A78BFA', '');
+    }
+
+    drawVector(x, y, color, label) {
+        const sx = x * this.scale;
+        const sy = y * this.scale;
+
+        // Line with glow
+        this.ctx.shadowBlur = 15;
+        this.ctx.shadowColor = color;
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 5;
+        this.ctx.beginPath();
+        this.ctx.moveTo(0, 0);
+        this.ctx.lineTo(sx, sy);
+        this.ctx.stroke();
+        this.ctx.shadowBlur = 0;
+
+        // Collapsed direction (σ = 0): nothing to point at
+        if (Math.hypot(sx, sy) < 1) return;
+
+        const angle = Math.atan2(sy, sx);
+        const headLength = 15;
+
+        this.ctx.fillStyle = color;
+        this.ctx.beginPath();
+        this.ctx.moveTo(sx, sy);
+        this.ctx.lineTo(
+            sx - headLength * Math.cos(angle - Math.PI / 6),
+            sy - headLength * Math.sin(angle - Math.PI / 6)
+        );
+        this.ctx.lineTo(
+            sx - headLength * Math.cos(angle + Math.PI / 6),
+            sy - headLength * Math.sin(angle + Math.PI / 6)
+        );
+        this.ctx.closePath();
+        this.ctx.fill();
+
+        if (label) {
+            this.ctx.save();
+            this.ctx.scale(1, -1);
+            this.ctx.font = 'bold 13px "JetBrains Mono", monospace';
+            this.ctx.fillStyle = color;
+            this.ctx.fillText(label, sx + 15, -sy - 10);
+            this.ctx.restore();
+        }
+    }
+
+    transform(x, y, matrix) {
+        return {
+            x: matrix.a * x + matrix.b * y,
+            y: matrix.c * x + matrix.d * y
+        };
+    }
+}
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    new SVDApp();
+});